@@ -0,0 +1,149 @@
+/**
+ * The kinds of elements that components can expose to assistive technology.
+ */
+const AccessibleRole = {
+    /** A button that activates the component. */
+    BUTTON: "button",
+    /** A slider that activates the component with the direction it is moved in. */
+    SLIDER: "slider",
+    /** Text that is read but can't be activated. */
+    TEXT: "text",
+};
+
+/**
+ * Defines a layer of DOM elements over the canvas that mirrors its components for assistive technology.
+ * @description Each component with an accessibleRole gets an element that is kept over the component, labeled with its text and activates it.
+ * @param {HTMLCanvasElement} canvas The canvas the components are drawn on.
+ * @param {HTMLElement} container The element to add the component elements to.
+ * @param {HTMLElement} announcer The aria-live element used to announce changes.
+ */
+function AccessibleOverlay(canvas, container, announcer) {
+    /**
+     * The canvas the components are drawn on.
+     * @type {HTMLCanvasElement}
+     */
+    this.canvas = canvas;
+    /**
+     * The element to add the component elements to.
+     * @type {HTMLElement}
+     */
+    this.container = container;
+    /**
+     * The aria-live element used to announce changes.
+     * @type {HTMLElement}
+     */
+    this.announcer = announcer;
+    /**
+     * The element of each component, by component.
+     * @type {Map<LabeledComponent, HTMLElement>}
+     */
+    this.elements = new Map();
+}
+/**
+ * Gets the element for a component, creating it the first time.
+ * @param {LabeledComponent} component The component.
+ * @returns {HTMLElement} The element, or null if the component has no accessibleRole.
+ */
+AccessibleOverlay.prototype.getElement = function (component) {
+    if (!component.accessibleRole) {
+        return null;
+    }
+    let element = this.elements.get(component);
+    if (!element) {
+        switch (component.accessibleRole) {
+            case AccessibleRole.BUTTON: {
+                element = document.createElement("button");
+                element.type = "button";
+                element.addEventListener("click", () => component.onActivate());
+                break;
+            }
+            case AccessibleRole.SLIDER: {
+                // A native range input can be moved with the arrow keys and with screen reader swipes.
+                element = document.createElement("input");
+                element.type = "range";
+                element.min = "-1";
+                element.max = "1";
+                element.step = "1";
+                element.value = "0";
+                element.addEventListener("input", () => {
+                    const value = Number(element.value);
+                    element.value = "0";
+                    if (value !== 0) {
+                        component.onActivate(value < 0 ? SlideDirection.LEFT : SlideDirection.RIGHT);
+                    }
+                });
+                break;
+            }
+            default: {
+                element = document.createElement("div");
+                break;
+            }
+        }
+        element.addEventListener("focus", () => { component.isFocused = true; });
+        element.addEventListener("blur", () => { component.isFocused = false; });
+        this.container.appendChild(element);
+        this.elements.set(component, element);
+    }
+    return element;
+};
+/**
+ * Called when the components are invalidated to move, label and show the elements of the visible components of the active screen and hide the rest.
+ * @param {Object<string, LabeledComponent[]>} screens The screens of the game.
+ * @param {LabeledComponent[]} activeScreen The screen that is being drawn.
+ */
+AccessibleOverlay.prototype.sync = function (screens, activeScreen) {
+    const rect = this.canvas.getBoundingClientRect();
+    // The components are positioned on the canvas bitmap, which can be a different size than the element.
+    const scaleX = rect.width / this.canvas.width;
+    const scaleY = rect.height / this.canvas.height;
+    let hasLostFocus = false;
+    let firstVisible = null;
+    Object.keys(screens).forEach(name => {
+        const isActive = screens[name] === activeScreen;
+        screens[name].forEach(component => {
+            const element = this.getElement(component);
+            if (!element) {
+                return;
+            }
+            if (!isActive || !component.isVisible()) {
+                hasLostFocus = hasLostFocus || document.activeElement === element;
+                element.hidden = true;
+                return;
+            }
+            const bounds = component.getBounds();
+            element.hidden = false;
+            element.style.left = `${rect.left + (bounds.x * scaleX)}px`;
+            element.style.top = `${rect.top + (bounds.y * scaleY)}px`;
+            element.style.width = `${bounds.width * scaleX}px`;
+            element.style.height = `${bounds.height * scaleY}px`;
+            if (component.accessibleRole === AccessibleRole.TEXT) {
+                element.textContent = component.labelText;
+                element.hidden = !component.labelText;
+            }
+            else {
+                element.setAttribute("aria-label", component.labelText);
+            }
+            firstVisible = firstVisible || (component.accessibleRole === AccessibleRole.TEXT ? null : element);
+        });
+    });
+    if (hasLostFocus && firstVisible) {
+        // The focused control went away with its screen, so keyboard users continue from the new screen.
+        firstVisible.focus();
+    }
+};
+/**
+ * Called to have screen readers announce a message.
+ * @param {string} message The message to announce.
+ */
+AccessibleOverlay.prototype.announce = function (message) {
+    // Clearing the region first makes the same message announce again.
+    this.announcer.textContent = "";
+    setTimeout(() => {
+        this.announcer.textContent = message;
+    }, 50);
+};
+
+// Let the roles be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { AccessibleRole, AccessibleOverlay };
+}
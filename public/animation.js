@@ -0,0 +1,164 @@
+/**
+ * The curves that tweens can ease along.
+ * @description Each function takes the fraction of the duration that has passed, from 0 to 1, and returns how far along the value is.
+ */
+const Easing = {
+    /** The value moves at the same speed throughout. */
+    linear: t => t,
+    /** The value starts fast and slows down towards the end. */
+    easeOut: t => t * (2 - t),
+    /** The value starts slowly and speeds up towards the end. */
+    easeIn: t => t * t,
+    /** The value starts and ends slowly. */
+    easeInOut: t => (t < .5 ? 2 * t * t : -1 + ((4 - (2 * t)) * t)),
+    /** The value overshoots the end a little and settles back, like something springing into place. */
+    easeOutBack: t => 1 + (2.70158 * Math.pow(t - 1, 3)) + (1.70158 * Math.pow(t - 1, 2)),
+};
+
+/**
+ * Defines a tween that moves a number property of an object from one value to another over time.
+ * @param {Object} target The object whose property is moved.
+ * @param {string} property The name of the property.
+ * @param {number} from The value at the start.
+ * @param {number} to The value at the end.
+ * @param {number} startTime The time (in milliseconds) the tween starts at.
+ * @param {number} duration The time (in milliseconds) the tween takes.
+ * @param {function(number): number} easing The curve from Easing that the value moves along.
+ * @param {function(): void} [onComplete] Called once the value has reached the end.
+ */
+function Tween(target, property, from, to, startTime, duration, easing, onComplete) {
+    /**
+     * The object whose property is moved.
+     * @type {Object}
+     */
+    this.target = target;
+    /**
+     * The name of the property.
+     * @type {string}
+     */
+    this.property = property;
+    /**
+     * The value at the start.
+     * @type {number}
+     */
+    this.from = from;
+    /**
+     * The value at the end.
+     * @type {number}
+     */
+    this.to = to;
+    /**
+     * The time (in milliseconds) the tween starts at.
+     * @type {number}
+     */
+    this.startTime = startTime;
+    /**
+     * The time (in milliseconds) the tween takes.
+     * @type {number}
+     */
+    this.duration = duration;
+    /**
+     * The curve from Easing that the value moves along.
+     * @type {function(number): number}
+     */
+    this.easing = easing;
+    /**
+     * Called once the value has reached the end, or null if nothing is.
+     * @type {function(): void}
+     */
+    this.onComplete = onComplete || null;
+}
+/**
+ * Called to move the value to where it is at a time.
+ * @description Before the start time the value is held at the start, so a tween can wait for a delay.
+ * @param {number} now The time in milliseconds.
+ * @returns {boolean} True if the value has reached the end.
+ */
+Tween.prototype.update = function (now) {
+    const progress = this.duration > 0 ? Math.max(0, Math.min(1, (now - this.startTime) / this.duration)) : 1;
+    this.target[this.property] = progress >= 1 ? this.to : this.from + ((this.to - this.from) * this.easing(progress));
+    return progress >= 1;
+};
+
+/**
+ * Defines the animator that plays the tweens of the game, such as the components shrinking when pressed.
+ * @description Animations follow real time rather than game time, so they finish even while the game is paused.
+ * @param {function(): number} [getTime] Gets the time in milliseconds, for example a fake time in tests. Default is performance.now().
+ */
+function Animator(getTime) {
+    /**
+     * Gets the time in milliseconds.
+     * @type {function(): number}
+     */
+    this.getTime = getTime || (() => performance.now());
+    /**
+     * The tweens that are playing.
+     * @type {Tween[]}
+     */
+    this.tweens = [];
+    /**
+     * Indicates if the user asked for less motion, in which case every value jumps straight to its end.
+     * @type {boolean}
+     */
+    this.isReducedMotion = false;
+}
+/**
+ * Called to move a property of an object to a value over time.
+ * @description A tween that is already moving the same property is stopped, so the new one takes over from wherever the value is.
+ * @param {Object} target The object whose property is moved.
+ * @param {string} property The name of the property.
+ * @param {number} to The value to move to.
+ * @param {number} duration The time (in milliseconds) to take.
+ * @param {{from: number, delay: number, easing: function(number): number, onComplete: function(): void}} [options] The value to start from (default is the current value), the time (in milliseconds) to wait before starting, the curve from Easing to move along (default is Easing.easeOut) and a function to call once the value has reached the end.
+ */
+Animator.prototype.animate = function (target, property, to, duration, options) {
+    options = options || {};
+    this.stop(target, property);
+    if (this.isReducedMotion || duration <= 0) {
+        target[property] = to;
+        if (options.onComplete) {
+            options.onComplete();
+        }
+        return;
+    }
+    const from = typeof options.from === "number" ? options.from : target[property];
+    const tween = new Tween(target, property, from, to, this.getTime() + (options.delay || 0), duration, options.easing || Easing.easeOut, options.onComplete);
+    // Start from the first value straight away, so nothing shows at its end value while it waits for the delay.
+    tween.update(this.getTime());
+    this.tweens.push(tween);
+};
+/**
+ * Called to stop the tweens of an object where they are.
+ * @param {Object} target The object.
+ * @param {string} [property] The name of the property to stop. Default is every property of the object.
+ */
+Animator.prototype.stop = function (target, property) {
+    this.tweens = this.tweens.filter(x => x.target !== target || (property && x.property !== property));
+};
+/**
+ * Gets a value indicating if an object is being animated.
+ * @param {Object} target The object.
+ * @returns {boolean} True if any of its properties are being moved.
+ */
+Animator.prototype.isAnimating = function (target) {
+    return this.tweens.some(x => x.target === target);
+};
+/**
+ * Called by the game loop to move every value to where it is now.
+ */
+Animator.prototype.tick = function () {
+    const now = this.getTime();
+    const completed = this.tweens.filter(x => x.update(now));
+    this.tweens = this.tweens.filter(x => !completed.includes(x));
+    // The tweens are finished before they are told, so they can start new ones on the same property.
+    completed.forEach(x => {
+        if (x.onComplete) {
+            x.onComplete();
+        }
+    });
+};
+
+// Let the animations be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { Easing, Tween, Animator };
+}
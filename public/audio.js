@@ -0,0 +1,240 @@
+/**
+ * The channels that sounds are played on, each with its own volume.
+ */
+const SoundChannel = {
+    /** Every sound, including speech. */
+    MASTER: "master",
+    /** The spoken instructions. */
+    VOICE: "voice",
+    /** The cues, chimes and ticks. */
+    EFFECTS: "effects",
+};
+/**
+ * The volume (0 to 1) of each channel until the player changes it.
+ */
+const DefaultVolumes = {
+    master: .8,
+    voice: 1,
+    effects: .6,
+};
+/**
+ * The amount a volume changes by each time it is stepped, for example with the arrow keys.
+ */
+const VolumeStep = .1;
+/**
+ * The key the volumes are saved under.
+ */
+const VolumesKey = "volumes";
+/**
+ * The key the name of the chosen SoundTheme is saved under.
+ */
+const SoundThemeKey = "sound-theme";
+
+/**
+ * The notes of each sound, by the key of the action it is the cue for or by the event it is played for.
+ * @description The pitch of each note is a multiple of the pitch of the SoundTheme, and times are in seconds.
+ * A note slides to its endPitch when it has one, and pan moves it to the left (-1) or right (1) speaker.
+ */
+const SoundCues = {
+    TAP: [{ at: 0, duration: .08, pitch: 1 }],
+    DOUBLE_TAP: [{ at: 0, duration: .06, pitch: 1 }, { at: .1, duration: .06, pitch: 1 }],
+    HOLD: [{ at: 0, duration: .4, pitch: .75 }],
+    FLICK: [{ at: 0, duration: .12, pitch: 1, endPitch: 2 }],
+    TURN: [{ at: 0, duration: .15, pitch: 1, endPitch: 1.5 }, { at: .15, duration: .15, pitch: 1.5, endPitch: 1 }],
+    SLIDE: [{ at: 0, duration: .2, pitch: 1, endPitch: 1.25 }],
+    SLIDE_LEFT: [{ at: 0, duration: .2, pitch: 1.25, endPitch: 1, pan: -.8 }],
+    SLIDE_RIGHT: [{ at: 0, duration: .2, pitch: 1, endPitch: 1.25, pan: .8 }],
+    SHAKE: [0, .06, .12, .18].map((at, i) => ({ at: at, duration: .05, pitch: i % 2 ? 1.2 : .9, pan: i % 2 ? .5 : -.5 })),
+    SUCCESS: [{ at: 0, duration: .08, pitch: 1.5 }, { at: .08, duration: .16, pitch: 2 }],
+    FAILURE: [{ at: 0, duration: .2, pitch: .6 }, { at: .2, duration: .45, pitch: .5, endPitch: .3 }],
+    TICK: [{ at: 0, duration: .02, pitch: 3 }],
+};
+
+/**
+ * Defines a sound theme, which gives every cue the same character.
+ * @param {string} name The name the theme is saved under, which is also the key of its label in Translations.
+ * @param {string} wave The OscillatorNode type the notes are played with.
+ * @param {number} pitch The frequency (in Hz) that the pitches of the notes are multiplied by.
+ */
+function SoundTheme(name, wave, pitch) {
+    /**
+     * The name the theme is saved under.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The OscillatorNode type the notes are played with.
+     * @type {string}
+     */
+    this.wave = wave;
+    /**
+     * The frequency (in Hz) that the pitches of the notes are multiplied by.
+     * @type {number}
+     */
+    this.pitch = pitch;
+}
+/**
+ * Gets the text displayed to the user.
+ * @returns {string} The label.
+ */
+SoundTheme.prototype.getLabel = function () {
+    return translate(`soundTheme.${this.name}`);
+};
+
+/**
+ * The sound themes the user can choose from.
+ */
+const SoundThemes = [
+    new SoundTheme("classic", "sine", 660),
+    new SoundTheme("arcade", "square", 440),
+    new SoundTheme("soft", "triangle", 520),
+];
+
+/**
+ * Defines the sound engine, which plays the cues with Web Audio and sets the volume of the voice.
+ * @description The audio context can only start while handling a press, so nothing is played until unlock() is called.
+ * @param {SafeStorage} storage The storage the volumes and the theme are saved in.
+ */
+function AudioEngine(storage) {
+    /**
+     * The storage the volumes and the theme are saved in.
+     * @type {SafeStorage}
+     */
+    this.storage = storage;
+    /**
+     * The audio context, or null until it is unlocked or if the browser has no Web Audio.
+     * @type {AudioContext}
+     */
+    this.audioContext = null;
+    /**
+     * The node that sets the volume of each SoundChannel, by channel.
+     * @type {Object<string, GainNode>}
+     */
+    this.gains = {};
+    /**
+     * The volume (0 to 1) of each SoundChannel, by channel.
+     * @type {Object<string, number>}
+     */
+    this.volumes = Object.assign({}, DefaultVolumes);
+    /**
+     * The SoundTheme chosen by the user.
+     * @type {SoundTheme}
+     */
+    this.theme = SoundThemes.find(x => x.name === storage.getItem(SoundThemeKey)) || SoundThemes[0];
+
+    try {
+        const saved = JSON.parse(storage.getItem(VolumesKey));
+        Object.keys(DefaultVolumes).forEach(channel => {
+            if (saved && typeof saved[channel] === "number") {
+                this.volumes[channel] = Math.max(0, Math.min(1, saved[channel]));
+            }
+        });
+    }
+    catch (error) {
+        // The defaults are used until the volumes are changed again.
+    }
+}
+/**
+ * Gets a value indicating if the browser can play sounds with Web Audio.
+ * @returns {boolean} True if Web Audio is supported.
+ */
+AudioEngine.prototype.isSupported = function () {
+    return "AudioContext" in window || "webkitAudioContext" in window;
+};
+/**
+ * Called while handling a press to start the audio context, which browsers only allow after the user has interacted with the page.
+ */
+AudioEngine.prototype.unlock = function () {
+    if (!this.isSupported()) {
+        return;
+    }
+    if (!this.audioContext) {
+        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.gains[SoundChannel.MASTER] = this.audioContext.createGain();
+        this.gains[SoundChannel.MASTER].connect(this.audioContext.destination);
+        [SoundChannel.VOICE, SoundChannel.EFFECTS].forEach(channel => {
+            this.gains[channel] = this.audioContext.createGain();
+            this.gains[channel].connect(this.gains[SoundChannel.MASTER]);
+        });
+        Object.keys(this.gains).forEach(channel => { this.gains[channel].gain.value = this.volumes[channel]; });
+    }
+    if (this.audioContext.state === "suspended") {
+        this.audioContext.resume();
+    }
+};
+/**
+ * Gets the volume of a channel.
+ * @param {string} channel The SoundChannel.
+ * @returns {number} The volume from 0 to 1.
+ */
+AudioEngine.prototype.getVolume = function (channel) {
+    return this.volumes[channel];
+};
+/**
+ * Gets the volume a channel is heard at, after the master volume.
+ * @param {string} channel The SoundChannel.
+ * @returns {number} The volume from 0 to 1.
+ */
+AudioEngine.prototype.getOutputVolume = function (channel) {
+    return channel === SoundChannel.MASTER ? this.volumes[channel] : this.volumes[channel] * this.volumes[SoundChannel.MASTER];
+};
+/**
+ * Called to change the volume of a channel and save it.
+ * @param {string} channel The SoundChannel.
+ * @param {number} volume The volume from 0 to 1, which is rounded to the VolumeStep.
+ */
+AudioEngine.prototype.setVolume = function (channel, volume) {
+    this.volumes[channel] = Math.round(Math.max(0, Math.min(1, volume)) / VolumeStep) * VolumeStep;
+    if (this.gains[channel]) {
+        this.gains[channel].gain.value = this.volumes[channel];
+    }
+    this.storage.setItem(VolumesKey, JSON.stringify(this.volumes));
+};
+/**
+ * Called when the user chooses a SoundTheme to save it.
+ * @param {SoundTheme} theme The theme.
+ */
+AudioEngine.prototype.setTheme = function (theme) {
+    this.theme = theme;
+    this.storage.setItem(SoundThemeKey, this.theme.name);
+    this.unlock();
+};
+/**
+ * Called to play a sound on the effects channel with the chosen theme.
+ * @param {string} name The key of the sound in SoundCues.
+ */
+AudioEngine.prototype.play = function (name) {
+    const notes = SoundCues[name];
+    if (!this.audioContext || !notes) {
+        return;
+    }
+    const now = this.audioContext.currentTime;
+    notes.forEach(note => {
+        const start = now + note.at;
+        const end = start + note.duration;
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = this.theme.wave;
+        oscillator.frequency.setValueAtTime(this.theme.pitch * note.pitch, start);
+        if (note.endPitch) {
+            oscillator.frequency.linearRampToValueAtTime(this.theme.pitch * note.endPitch, end);
+        }
+        // Fade each note in and out so it doesn't click.
+        const envelope = this.audioContext.createGain();
+        envelope.gain.setValueAtTime(0, start);
+        envelope.gain.linearRampToValueAtTime(1, start + .005);
+        envelope.gain.exponentialRampToValueAtTime(.001, end);
+        let output = envelope;
+        if (note.pan && this.audioContext.createStereoPanner) {
+            output = this.audioContext.createStereoPanner();
+            output.pan.value = note.pan;
+            envelope.connect(output);
+        }
+        oscillator.connect(envelope);
+        output.connect(this.gains[SoundChannel.EFFECTS]);
+        oscillator.start(start);
+        oscillator.stop(end + .01);
+    });
+};
+
+// Create the sound engine, which stays silent until the first press unlocks it.
+const audioEngine = new AudioEngine(storage);
@@ -14,6 +14,11 @@ function LabeledComponent(labelText, labelColor) {
      * @type {string}
      * */
     this.labelText = labelText;
+    /**
+     * The key in Translations of the text of the label, or null if the component sets the text itself.
+     * @type {string}
+     * */
+    this.labelKey = null;
     /**
      * The horizontal position of the center of the label text.
      * @type {number}
@@ -31,7 +36,7 @@ function LabeledComponent(labelText, labelColor) {
     this.labelSize = -1;
     /**
      * The size of the component.
-     * @description This is calculated by multiplying the ComponentSize by the scale of the game area.
+     * @description This is the shorter side of the box the layout gives the component.
      * @type {number}
      * */
     this.size = -1;
@@ -42,25 +47,48 @@ function LabeledComponent(labelText, labelColor) {
      * */
     this.margin = -1;
     /**
-     * The offset of the component.
-     * @description This is calculated by adding the margin and size of each earlier component and multiplying that by the number of earlier components.
-     * @type {number}
+     * The LayoutBox the layout of the screen gave the component, or null if it hasn't been laid out.
+     * @type {LayoutBox}
      * */
-    this.offset = -1;
+    this.box = null;
+    /**
+     * The Player the component belongs to in versus, or null if it belongs to the whole game.
+     * @type {Player}
+     */
+    this.player = null;
 }
+/**
+ * Gets the area the component is laid out in.
+ * @returns {{top: number, left: number, width: number, height: number, scale: number}} The area of the player the component belongs to, or the game area.
+ */
+LabeledComponent.prototype.getArea = function () {
+    return this.player ? this.player.area : gameArea;
+};
 /**
  * Called when the component is invalidated.
- * @param {number} index The position of the component in the collection of components.
+ * @description The component is centered in its box.
+ * @param {LayoutBox} box The box the layout of the screen gave the component.
  */
-LabeledComponent.prototype.update = function (index) {
-    this.size = ComponentSize * gameArea.scale;
-    this.margin = ComponentMargin * gameArea.scale;
-    this.offset = (this.size + this.margin) * index;
-    const halfSize = this.size / 2;
-    this.labelX = gameArea.left + this.margin + halfSize + (gameArea.height > gameArea.width ? 0 : this.offset);
-    this.labelY = gameArea.top + this.margin + halfSize + (gameArea.width > gameArea.height ? 0 : this.offset);
+LabeledComponent.prototype.update = function (box) {
+    if (this.labelKey) {
+        // Translate the label every time, so it follows the language.
+        this.labelText = translate(this.labelKey);
+    }
+    this.box = box;
+    this.size = Math.min(box.width, box.height);
+    this.margin = ComponentMargin * box.scale;
+    this.labelX = box.x + (box.width / 2);
+    this.labelY = box.y + (box.height / 2);
     this.labelSize = this.size * .2;
 };
+/**
+ * Gets a value indicating if the component is shown on its screen.
+ * @description Hidden components are not drawn, can't be pressed and are hidden from assistive technology.
+ * @returns {boolean} True if the component is shown.
+ */
+LabeledComponent.prototype.isVisible = function () {
+    return true;
+};
 /**
  * Called to draw the label.
  */
@@ -98,12 +126,186 @@ function InteractiveComponent(onGetShape, labelText, labelColor) {
      * @type {boolean}
      */
     this.isPressStarted = false;
+    /**
+     * The gesture being made by the pointer (touch or mouse) that pressed the component.
+     * @description Only this pointer can move or release the component until it is released.
+     * @type {Gesture}
+     */
+    this.gesture = null;
+    /**
+     * The AccessibleRole of the element that mirrors the component for assistive technology, or null if it has none.
+     * @type {string}
+     */
+    this.accessibleRole = null;
+    /**
+     * Indicates if the element that mirrors the component has the keyboard focus.
+     * @type {boolean}
+     */
+    this.isFocused = false;
+    /**
+     * The name that Actions use to say they are performed with the component, or null if none are.
+     * @type {string}
+     */
+    this.componentName = null;
+    /**
+     * The size the component is drawn at compared to its layout, which is animated when it is pressed, performed or shown.
+     * @type {number}
+     */
+    this.scale = 1;
+    /**
+     * How opaque the component is drawn, from 0 to 1, which is animated when it is shown.
+     * @type {number}
+     */
+    this.opacity = 1;
+    /**
+     * The scale the component shrinks to while it is pressed, or 1 if it stays the same size.
+     * @type {number}
+     */
+    this.pressedScale = 1;
 }
 InteractiveComponent.prototype = new LabeledComponent();
+/**
+ * Gets the rectangle that contains the component.
+ * @returns {{x: number, y: number, width: number, height: number}} The bounds of the component.
+ */
+InteractiveComponent.prototype.getBounds = function () {
+    const halfSize = this.size / 2;
+    return { x: this.labelX - halfSize, y: this.labelY - halfSize, width: this.size, height: this.size };
+};
+/**
+ * Called by the game loop to outline the component, for example while its element has the keyboard focus.
+ * @param {string} color The CSS color of the outline.
+ * @param {number} width The width of the outline as a fraction of the size of the component.
+ */
+InteractiveComponent.prototype.drawOutline = function (color, width) {
+    this.onGetShape();
+    context.strokeStyle = color;
+    context.lineWidth = this.size * width;
+    context.stroke();
+};
+/**
+ * Called by the game loop before the component is drawn to scale it around its center and fade it.
+ * @description The context has to be saved before and restored after drawing, so the other components aren't affected.
+ */
+InteractiveComponent.prototype.applyAnimation = function () {
+    if (this.scale !== 1) {
+        const bounds = this.getBounds();
+        const centerX = bounds.x + (bounds.width / 2);
+        const centerY = bounds.y + (bounds.height / 2);
+        context.translate(centerX, centerY);
+        context.scale(this.scale, this.scale);
+        context.translate(-centerX, -centerY);
+    }
+    context.globalAlpha = this.opacity;
+};
+/**
+ * Called when the component is pressed or let go to shrink it, or grow it back.
+ * @param {boolean} isPressed Indicates if the component is pressed.
+ */
+InteractiveComponent.prototype.animatePress = function (isPressed) {
+    if (this.pressedScale !== 1) {
+        animator.animate(this, "scale", isPressed ? this.pressedScale : 1, PressDuration);
+    }
+};
+/**
+ * Called when the action the component performs is scored, to make it pop.
+ */
+InteractiveComponent.prototype.animateSuccess = function () {
+    animator.animate(this, "scale", SuccessScale, SuccessDuration / 2, {
+        onComplete: () => animator.animate(this, "scale", this.isPressStarted ? this.pressedScale : 1, SuccessDuration / 2, { easing: Easing.easeInOut }),
+    });
+};
+/**
+ * Called when the screen of the component is switched to, to fade and grow it in.
+ * @param {number} delay The time (in milliseconds) to wait first, so the components of a screen come in one after the other.
+ */
+InteractiveComponent.prototype.animateShow = function (delay) {
+    animator.animate(this, "opacity", 1, TransitionDuration, { from: 0, delay: delay });
+    animator.animate(this, "scale", 1, TransitionDuration, { from: TransitionScale, delay: delay, easing: Easing.easeOutBack });
+};
+/**
+ * Called when the component recognizes a gesture that can perform an action.
+ * @param {string} recognizer The Recognizer of the gesture.
+ * @param {string} [direction] The SlideDirection the gesture was made in, if it has one.
+ */
+InteractiveComponent.prototype.recognize = function (recognizer, direction) {
+    game.handleGesture(this.componentName, recognizer, direction, this.player);
+};
+/**
+ * Called when a gesture falls short of being recognized, so the tutorial can explain what it needed.
+ * @param {string} miss The GestureMiss.
+ * @param {number} [progress] How much of the gesture was made, from 0 to 1, for misses that measure it.
+ */
+InteractiveComponent.prototype.miss = function (miss, progress) {
+    game.handleMiss(miss, progress, this.player);
+};
+/**
+ * Called by the game loop to show how an action is performed with the component, with a finger that makes the gesture over and over.
+ * @param {Action} action The action.
+ * @param {number} phase How far through the gesture the finger is, from 0 to 1.
+ */
+InteractiveComponent.prototype.drawHint = function (action, phase) {
+    /* NO-OP */
+};
+/**
+ * Called to draw the finger of a hint, which is filled in while it presses the component.
+ * @param {number} x The horizontal position of the finger.
+ * @param {number} y The vertical position of the finger.
+ * @param {boolean} isPressed Indicates if the finger presses the component.
+ */
+InteractiveComponent.prototype.drawFinger = function (x, y, isPressed) {
+    const radius = this.size * HintFingerSize;
+    context.beginPath();
+    context.arc(x, y, radius, CircleStartAngle, CircleEndAngle);
+    context.fillStyle = isPressed ? "rgba(255, 255, 255, .7)" : "rgba(255, 255, 255, .3)";
+    context.fill();
+    context.lineWidth = radius * .2;
+    context.strokeStyle = "rgba(0, 0, 0, .5)";
+    context.stroke();
+};
+/**
+ * Called to draw the path a finger of a hint has moved along.
+ * @param {function(): void} getPath A function that adds the path to the context.
+ */
+InteractiveComponent.prototype.drawTrail = function (getPath) {
+    context.beginPath();
+    getPath();
+    context.strokeStyle = "rgba(255, 255, 255, .5)";
+    context.lineWidth = this.size * HintFingerSize * .6;
+    context.lineCap = "round";
+    context.stroke();
+};
+/**
+ * Called by the game loop for gestures that depend on time passing rather than on the pointer moving.
+ */
+InteractiveComponent.prototype.tick = function () {
+    /* NO-OP */
+};
+/**
+ * Called when the element that mirrors the component is activated by assistive technology or the keyboard.
+ */
+InteractiveComponent.prototype.onActivate = function () {
+    /* NO-OP */
+};
+/**
+ * Gets a value indicating if the given pointer is the one that pressed the component.
+ * @param {number} pointerId The identifier of the pointer.
+ * @returns {boolean} True if the component is pressed by the pointer.
+ */
+InteractiveComponent.prototype.isPressedBy = function (pointerId) {
+    return this.isPressStarted && this.gesture.pointerId === pointerId;
+};
 /**
  * Called when the mouse is moved on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that moved.
  */
-InteractiveComponent.prototype.onMouseMove = function (mouseX, mouseY) {
+InteractiveComponent.prototype.onMouseMove = function (mouseX, mouseY, pointerId) {
+    if (this.isPressStarted && !this.isPressedBy(pointerId)) {
+        // Another pointer owns the component, so this one is ignored until it is released.
+        return;
+    }
     this.onGetShape();
     const isMouseOver = context.isPointInPath(mouseX, mouseY);
     if (!this.isMouseOver && isMouseOver) {
@@ -113,36 +315,126 @@ InteractiveComponent.prototype.onMouseMove = function (mouseX, mouseY) {
         this.onMouseLeave();
     }
     this.isMouseOver = isMouseOver;
+    if (this.isPressStarted) {
+        this.gesture.moveTo(mouseX, mouseY);
+        this.dispatchGesture();
+    }
 };
 /**
  * Called when the mouse is pressed on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that was pressed.
  */
-InteractiveComponent.prototype.onMouseDown = function (mouseX, mouseY) {
+InteractiveComponent.prototype.onMouseDown = function (mouseX, mouseY, pointerId) {
+    if (this.isPressStarted) {
+        // The component is already owned by another pointer.
+        return;
+    }
     this.onGetShape();
     const isMouseOver = context.isPointInPath(mouseX, mouseY);
     if (isMouseOver) {
+        this.isMouseOver = true;
         this.isPressStarted = true;
-        this.onMousePressed(mouseX, mouseY);
+        // The label is drawn at the center of the component, so rotation is measured around it.
+        this.gesture = new Gesture(pointerId, mouseX, mouseY, this.labelX, this.labelY, this.size * TapSlop, (this.size / 2) * TurnDeadZone, game.clock);
+        this.onGestureStart(this.gesture);
+        this.animatePress(true);
     }
 };
 /**
  * Called when the mouse is released on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that was released.
  */
-InteractiveComponent.prototype.onMouseUp = function (mouseX, mouseY) {
+InteractiveComponent.prototype.onMouseUp = function (mouseX, mouseY, pointerId) {
+    if (!this.isPressedBy(pointerId)) {
+        // Releasing a pointer that didn't press the component must not affect it.
+        return;
+    }
     this.onGetShape();
-    this.onMouseReleased(mouseX, mouseY);
+    this.isMouseOver = context.isPointInPath(mouseX, mouseY);
+    this.gesture.end(mouseX, mouseY);
+    this.dispatchGesture();
+    this.endGesture();
+};
+/**
+ * Called when the browser takes a pointer away before it is released.
+ * @param {number} pointerId The identifier of the pointer that was cancelled.
+ */
+InteractiveComponent.prototype.onMouseCancel = function (pointerId) {
+    if (this.isPressedBy(pointerId)) {
+        this.gesture.cancel();
+        this.endGesture();
+    }
+};
+/**
+ * Called to pass the current gesture to the hook for its recognized type.
+ */
+InteractiveComponent.prototype.dispatchGesture = function () {
+    switch (this.gesture.type) {
+        case GestureType.TAP: {
+            if (this.gesture.isEnded) {
+                this.onTap(this.gesture);
+            }
+            break;
+        }
+        case GestureType.ROTATE: {
+            this.onRotate(this.gesture);
+            // A rotation is also a drag.
+            this.onDrag(this.gesture);
+            break;
+        }
+        case GestureType.DRAG: {
+            this.onDrag(this.gesture);
+            break;
+        }
+    }
+};
+/**
+ * Called to release the component from the pointer that pressed it.
+ */
+InteractiveComponent.prototype.endGesture = function () {
+    const gesture = this.gesture;
     this.isPressStarted = false;
+    this.gesture = null;
+    this.animatePress(false);
+    this.onGestureEnd(gesture);
+};
+/**
+ * Called when a pointer is pressed within the bounds of the component.
+ * @param {Gesture} gesture The gesture that was started.
+ */
+InteractiveComponent.prototype.onGestureStart = function (gesture) {
+    /* NO-OP */
+};
+/**
+ * Called when the pointer that pressed the component is released without moving further than the tap slop.
+ * @param {Gesture} gesture The tap.
+ */
+InteractiveComponent.prototype.onTap = function (gesture) {
+    /* NO-OP */
+};
+/**
+ * Called each time the pointer that pressed the component moves once it has moved further than the tap slop, and once more when it is released.
+ * @param {Gesture} gesture The drag.
+ */
+InteractiveComponent.prototype.onDrag = function (gesture) {
+    /* NO-OP */
 };
 /**
- * Called when the mouse is pressed within the bounds of the component.
+ * Called each time the pointer that pressed the component moves once it has been dragged around its center, and once more when it is released.
+ * @param {Gesture} gesture The rotation.
  */
-InteractiveComponent.prototype.onMousePressed = function (mouseX, mouseY) {
+InteractiveComponent.prototype.onRotate = function (gesture) {
     /* NO-OP */
 };
 /**
- * Called when the mouse is released after being pressed within the bounds of the component.
+ * Called when the pointer that pressed the component is released or cancelled.
+ * @param {Gesture} gesture The gesture that ended.
  */
-InteractiveComponent.prototype.onMouseReleased = function (mouseX, mouseY) {
+InteractiveComponent.prototype.onGestureEnd = function (gesture) {
     /* NO-OP */
 };
 /**
@@ -168,7 +460,12 @@ function CircleComponent(color, labelText, labelColor) {
     // Call the base component.
     InteractiveComponent.call(this, this.getCircle, labelText, labelColor);
     /**
-     * The CSS color of the circle.
+     * The CSS color of the circle in the classic ColorTheme.
+     * @type {string}
+     * */
+    this.baseColor = color;
+    /**
+     * The CSS color of the circle in the chosen ColorTheme.
      * @type {string}
      * */
     this.color = color;
@@ -192,15 +489,22 @@ function CircleComponent(color, labelText, labelColor) {
 CircleComponent.prototype = new InteractiveComponent();
 /**
  * Called when the component is invalidated.
- * @param {number} index The position of the circle component in the collection of components.
+ * @param {LayoutBox} box The box the layout of the screen gave the circle component.
  */
-CircleComponent.prototype.update = function (index) {
+CircleComponent.prototype.update = function (box) {
     // Call the LabeledComponent to update the label.
-    LabeledComponent.prototype.update.call(this, index);
+    LabeledComponent.prototype.update.call(this, box);
+    this.color = game.colorTheme.getColor(this.baseColor);
     this.radius = this.size / 2;
-    const center = (ComponentMargin * gameArea.scale) + this.radius;
-    this.x = gameArea.left + center + (gameArea.height > gameArea.width ? 0 : this.offset);
-    this.y = gameArea.top + center + (gameArea.width > gameArea.height ? 0 : this.offset);
+    this.x = this.labelX;
+    this.y = this.labelY;
+};
+/**
+ * Gets the rectangle that contains the circle.
+ * @returns {{x: number, y: number, width: number, height: number}} The bounds of the circle.
+ */
+CircleComponent.prototype.getBounds = function () {
+    return { x: this.x - this.radius, y: this.y - this.radius, width: this.size, height: this.size };
 };
 /**
  * Called by the game loop to draw the circle component.
@@ -231,7 +535,12 @@ function RectangleComponent(color, labelText, labelColor) {
     // Call the base component.
     InteractiveComponent.call(this, this.getRectangle, labelText, labelColor);
     /**
-     * The CSS color of the rectangle.
+     * The CSS color of the rectangle in the classic ColorTheme.
+     * @type {string}
+     * */
+    this.baseColor = color;
+    /**
+     * The CSS color of the rectangle in the chosen ColorTheme.
      * @type {string}
      * */
     this.color = color;
@@ -240,6 +549,16 @@ function RectangleComponent(color, labelText, labelColor) {
      * @type {number}
      */
     this.cornerRadius = -1;
+    /**
+     * The width of the rectangle.
+     * @type {number}
+     */
+    this.width = -1;
+    /**
+     * The height of the rectangle.
+     * @type {number}
+     */
+    this.height = -1;
     /**
      * The left of the rectangle.
      * @type {number}
@@ -255,16 +574,25 @@ function RectangleComponent(color, labelText, labelColor) {
 RectangleComponent.prototype = new InteractiveComponent();
 /**
  * Called when the component is invalidated.
- * @param {number} index The position of the rectangle component in the collection of components.
+ * @param {LayoutBox} box The box the layout of the screen gave the rectangle component.
  */
-RectangleComponent.prototype.update = function (index) {
+RectangleComponent.prototype.update = function (box) {
     // Call the LabeledComponent to update the label.
-    LabeledComponent.prototype.update.call(this, index);
+    LabeledComponent.prototype.update.call(this, box);
+    this.color = game.colorTheme.getColor(this.baseColor);
+    this.width = this.size;
     this.height = this.size / 2;
-    this.y = gameArea.top + this.margin + (gameArea.width > gameArea.height ? 0 : this.offset) + (this.height / 2);
-    this.x = gameArea.left + this.margin + (gameArea.height > gameArea.width ? 0 : this.offset);
+    this.x = this.labelX - (this.width / 2);
+    this.y = this.labelY - (this.height / 2);
     this.cornerRadius = this.size * .12;
 };
+/**
+ * Gets the rectangle that contains the rectangle component.
+ * @returns {{x: number, y: number, width: number, height: number}} The bounds of the rectangle.
+ */
+RectangleComponent.prototype.getBounds = function () {
+    return { x: this.x, y: this.y, width: this.width, height: this.height };
+};
 /**
  * Called by the game loop to draw the rectangle component.
  */
@@ -281,320 +609,2708 @@ RectangleComponent.prototype.draw = function () {
 RectangleComponent.prototype.getRectangle = function () {
     context.beginPath();
     context.moveTo(this.x + this.cornerRadius, this.y);
-    context.lineTo(this.x + this.size - this.cornerRadius, this.y);
-    context.quadraticCurveTo(this.x + this.size, this.y, this.x + this.size, this.y + this.cornerRadius);
-    context.lineTo(this.x + this.size, this.y + this.height - this.cornerRadius);
-    context.quadraticCurveTo(this.x + this.size, this.y + this.height, this.x + this.size - this.cornerRadius, this.y + this.height);
+    context.lineTo(this.x + this.width - this.cornerRadius, this.y);
+    context.quadraticCurveTo(this.x + this.width, this.y, this.x + this.width, this.y + this.cornerRadius);
+    context.lineTo(this.x + this.width, this.y + this.height - this.cornerRadius);
+    context.quadraticCurveTo(this.x + this.width, this.y + this.height, this.x + this.width - this.cornerRadius, this.y + this.height);
     context.lineTo(this.x + this.cornerRadius, this.y + this.height);
     context.quadraticCurveTo(this.x, this.y + this.height, this.x, this.y + this.height - this.cornerRadius);
     context.lineTo(this.x, this.y + this.cornerRadius);
     context.quadraticCurveTo(this.x, this.y, this.x + this.cornerRadius, this.y);
     context.closePath();
 };
+/**
+ * Called when the component is invalidated to lay it out in the strip above or below a button.
+ * @description Buttons are half as tall as their box, which leaves a strip free above and below them for smaller controls. A StackLayout gives the button and the component the same box.
+ * @param {LayoutBox} box The box of the button the strip belongs to.
+ * @param {boolean} isAbove Indicates if the component sits in the strip above the button rather than below.
+ */
+RectangleComponent.prototype.updateStrip = function (box, isAbove) {
+    // Call the RectangleComponent to lay the component out like the button.
+    RectangleComponent.prototype.update.call(this, box);
+    const buttonHeight = this.height;
+    this.height = this.size * .18;
+    this.y = isAbove ? this.y - (this.size * .035) - this.height : this.y + buttonHeight + (this.size * .035);
+    this.cornerRadius = this.height * .3;
+    this.labelX = this.x + (this.width / 2);
+    this.labelY = this.y + (this.height / 2);
+    this.labelSize = this.height * .5;
+};
 
 /**
- * Defines the Tap It! component.
+ * Defines the base component for buttons.
+ * @description A button is activated when the pointer that pressed it is released over it, or when its accessible element is activated.
+ * @param {string} color The CSS color of the button.
+ * @param {string} labelText The text to display.
+ * @param {string} labelColor The CSS color of the text to display.
  */
-function TapIt() {
+function ButtonComponent(color, labelText, labelColor) {
     // Call the base component.
-    CircleComponent.call(this, "red", "Tap It!");
+    RectangleComponent.call(this, color, labelText, labelColor);
+    this.accessibleRole = AccessibleRole.BUTTON;
+    this.pressedScale = .95;
 }
-// Inherit from CircleComponent
-TapIt.prototype = new CircleComponent();
+// Inherit from RectangleComponent
+ButtonComponent.prototype = new RectangleComponent();
 /**
- * Called when the mouse button is released after being pressed within the bounds of the Tap It! circle.
+ * Called when the pointer that pressed the button is released or cancelled.
+ * @param {Gesture} gesture The gesture that ended.
  */
-TapIt.prototype.onMouseReleased = function () {
-    if (this.isPressStarted) {
-        game.handleTap();
+ButtonComponent.prototype.onGestureEnd = function (gesture) {
+    if (!gesture.isCancelled && this.isMouseOver) {
+        this.onActivate();
     }
-}
+};
 
 /**
- * Defines the Turn It! component.
+ * Defines the Tap It! component.
+ * @param {Player} [player] The player the component belongs to in versus.
  */
-function TurnIt() {
+function TapIt(player) {
     // Call the base component.
-    CircleComponent.call(this, "green", "Turn It!");
+    CircleComponent.call(this, "red", "");
+    this.labelKey = "action.TAP";
+    this.player = player || null;
+    this.accessibleRole = AccessibleRole.BUTTON;
+    this.componentName = "TapIt";
+    this.pressedScale = .9;
     /**
-     * The horizontal position of the mouse when it was pressed.
+     * The game time when a tap was made that may turn out to be the first of a double tap, or -1 if there is none.
      * @type {number}
      */
-    this.downX = -1;
+    this.pendingTapTime = -1;
     /**
-     * The vertical position of the mouse when it was pressed.
+     * Indicates if the current press has already been recognized as a hold.
      * @type {boolean}
      */
-    this.downY = -1;
+    this.isHoldComplete = false;
 }
 // Inherit from CircleComponent
-TurnIt.prototype = new CircleComponent();
+TapIt.prototype = new CircleComponent();
 /**
- * Called when the mouse button is pressed within the bounds of the Turn It! circle.
+ * Called when the Tap It! circle is pressed.
  */
-TurnIt.prototype.onMousePressed = function (mouseX, mouseY) {
-    this.downX = mouseX;
-    this.downY = mouseY;
+TapIt.prototype.onGestureStart = function () {
+    this.isHoldComplete = false;
 }
 /**
- * Called when the mouse button is released after being pressed within the bounds of the Turn It! circle.
+ * Called when the Tap It! circle is tapped.
+ * @description When double taps can be given, a tap is held back until it is clear that no second tap follows.
  */
-TurnIt.prototype.onMouseReleased = function (mouseX, mouseY) {
-    if (this.isPressStarted) {
-        const xMove = Math.max(mouseX, this.downX) - Math.min(mouseX, this.downX);
-        const yMove = Math.max(mouseY, this.downY) - Math.min(mouseY, this.downY);
-        const requiredMovement = this.size * .30;
-        if (xMove > requiredMovement && yMove > requiredMovement) {
-            game.handleTurn();
-        }
+TapIt.prototype.onTap = function () {
+    if (this.isHoldComplete) {
+        // Letting go after a hold is not a tap.
+        return;
+    }
+    if (this.pendingTapTime >= 0) {
+        this.pendingTapTime = -1;
+        this.recognize(Recognizer.DOUBLE_TAP);
+    }
+    else if (game.hasAction("DOUBLE_TAP")) {
+        this.pendingTapTime = game.clock.now();
+    }
+    else {
+        this.recognize(Recognizer.TAP);
     }
 }
-
 /**
- * Defines the Slide It! component.
+ * Called when the Tap It! circle is dragged.
+ * @description When flicks can be given, a short, fast drag that is let go is a flick. A drag that is let go without being one falls short of it.
+ * @param {Gesture} gesture The drag.
  */
-function SlideIt() {
-    // Call the base component.
-    RectangleComponent.call(this, "blue", "Slide It!");
-    /**
-     * The horizontal position of the mouse when it was pressed.
-     * @type {number}
-     */
-    this.downX = -1;
+TapIt.prototype.onDrag = function (gesture) {
+    if (!gesture.isEnded || this.isHoldComplete || !game.hasAction("FLICK")) {
+        return;
+    }
+    const distance = Math.sqrt((gesture.dx * gesture.dx) + (gesture.dy * gesture.dy));
+    const requiredDistance = this.size * FlickMinDistance;
+    if (gesture.duration > FlickMaxDuration) {
+        this.miss(GestureMiss.FLICK_SLOW);
+    }
+    else if (distance < requiredDistance) {
+        this.miss(GestureMiss.FLICK_SHORT, distance / requiredDistance);
+    }
+    else {
+        this.recognize(Recognizer.FLICK);
+    }
 }
-// Inherit from RectangleComponent
-SlideIt.prototype = new RectangleComponent();
 /**
- * Called when the mouse button is pressed within the bounds of the Slide It! bar.
+ * Called by the game loop to recognize holds and taps that were not followed by a second tap.
  */
-SlideIt.prototype.onMousePressed = function (mouseX) {
-    this.downX = mouseX;
+TapIt.prototype.tick = function () {
+    const now = game.clock.now();
+    if (this.pendingTapTime >= 0 && now - this.pendingTapTime > DoubleTapInterval) {
+        this.pendingTapTime = -1;
+        this.recognize(Recognizer.TAP);
+    }
+    if (this.isPressStarted && !this.isHoldComplete && this.gesture.type === GestureType.TAP && now - this.gesture.startTime >= HoldDuration && game.hasAction("HOLD")) {
+        this.isHoldComplete = true;
+        this.recognize(Recognizer.HOLD);
+    }
 }
 /**
- * Called when the mouse button is released after being pressed within the bounds of the Slide It! bar.
+ * Called by the game loop to show how to tap, double tap, hold or flick the Tap It! circle.
+ * @param {Action} action The action.
+ * @param {number} phase How far through the gesture the finger is, from 0 to 1.
  */
-SlideIt.prototype.onMouseReleased = function (mouseX) {
-    if (this.isPressStarted) {
-        const xMove = Math.max(mouseX, this.downX) - Math.min(mouseX, this.downX);
-        const requiredMovement = this.size * .45;
-        if (xMove > requiredMovement) {
-            game.handleSlide();
+TapIt.prototype.drawHint = function (action, phase) {
+    switch (action.Recognizer) {
+        case Recognizer.DOUBLE_TAP: {
+            this.drawFinger(this.x, this.y, (phase >= .2 && phase < .3) || (phase >= .4 && phase < .5));
+            break;
+        }
+        case Recognizer.HOLD: {
+            // A ring fills up around the finger for as long as the press has to last.
+            const isPressed = phase >= .1 && phase < .85;
+            if (isPressed) {
+                const progress = (phase - .1) / .75;
+                this.drawTrail(() => context.arc(this.x, this.y, this.size * HintFingerSize * 1.6, -Math.PI / 2, (-Math.PI / 2) + (progress * CircleEndAngle)));
+            }
+            this.drawFinger(this.x, this.y, isPressed);
+            break;
+        }
+        case Recognizer.FLICK: {
+            // The finger swipes up and to the right, further than a flick has to go.
+            const progress = Math.max(0, Math.min(1, (phase - .2) / .2));
+            const distance = this.size * FlickMinDistance * 1.5 * progress;
+            const x = this.x + (distance * Math.SQRT1_2);
+            const y = this.y - (distance * Math.SQRT1_2);
+            if (progress > 0) {
+                this.drawTrail(() => {
+                    context.moveTo(this.x, this.y);
+                    context.lineTo(x, y);
+                });
+            }
+            this.drawFinger(x, y, phase >= .2 && phase < .4);
+            break;
+        }
+        default: {
+            this.drawFinger(this.x, this.y, phase >= .3 && phase < .5);
+            break;
         }
     }
 }
+/**
+ * Called when the Tap It! button is activated.
+ */
+TapIt.prototype.onActivate = function () {
+    game.handleAction("TAP", null, this.player);
+}
 
 /**
- * Defines the Start button.
+ * Defines the Turn It! component.
+ * @param {Player} [player] The player the component belongs to in versus.
  */
-function Start() {
+function TurnIt(player) {
     // Call the base component.
-    RectangleComponent.call(this, "orange", "Start");
+    CircleComponent.call(this, "green", "");
+    this.labelKey = "action.TURN";
+    this.player = player || null;
+    this.accessibleRole = AccessibleRole.BUTTON;
+    this.componentName = "TurnIt";
+    this.pressedScale = .96;
+    /**
+     * Indicates if the current turn has already been reported to the game.
+     * @type {boolean}
+     */
+    this.isTurnComplete = false;
 }
-// Inherit from RectangleComponent
-Start.prototype = new RectangleComponent();
+// Inherit from CircleComponent
+TurnIt.prototype = new CircleComponent();
 /**
- * Called when the mouse button is released after being pressed within the bounds of the Start button.
+ * Called by the game loop to draw the Turn It! circle and the arc that has been turned so far.
  */
-Start.prototype.onMouseReleased = function () {
-    if (this.isPressStarted && this.isMouseOver) {
-        game.start();
+TurnIt.prototype.draw = function () {
+    // Call the CircleComponent to draw the circle and label.
+    CircleComponent.prototype.draw.call(this);
+    if (this.gesture && this.gesture.sweptAngle !== 0) {
+        const sweptAngle = Math.max(-TurnRequiredAngle, Math.min(TurnRequiredAngle, this.gesture.sweptAngle));
+        context.beginPath();
+        context.arc(this.x, this.y, this.radius * .85, this.gesture.startAngle, this.gesture.startAngle + sweptAngle, sweptAngle < 0);
+        context.strokeStyle = this.isTurnComplete ? "yellow" : "white";
+        context.lineWidth = this.radius * .1;
+        context.lineCap = "round";
+        context.stroke();
     }
 }
-
 /**
- * Defines the BestScore label.
+ * Called when the Turn It! circle is pressed.
  */
-function BestScore() {
-    const score = Number(localStorage.getItem("best-score"));
-
-    // Call the base component.
-    RectangleComponent.call(this, "green", !Number.isNaN(score) && score > 0 ? `Best: ${score.toLocaleString()}` : "");
+TurnIt.prototype.onGestureStart = function () {
+    this.isTurnComplete = false;
 }
-// Inherit from RectangleComponent
-BestScore.prototype = new RectangleComponent();
 /**
- * Called when the component is invalidated.
- * @param {number} index The position of the circle component in the collection of components.
+ * Called while the pointer is turned around the Turn It! circle.
+ * @description The turn is reported once the angle swept around the center reaches TurnRequiredAngle.
+ * @param {Gesture} gesture The rotation.
  */
-BestScore.prototype.update = function (index) {
-    // Call the RectangleComponent to update the label.
-    RectangleComponent.prototype.update.call(this, index);
-
-    const score = Number(localStorage.getItem("best-score"));
-
-    this.labelText = !Number.isNaN(score) && score > 0 ? `Best: ${score.toLocaleString()}` : "";
+TurnIt.prototype.onRotate = function (gesture) {
+    if (!this.isTurnComplete && Math.abs(gesture.sweptAngle) >= TurnRequiredAngle) {
+        this.isTurnComplete = true;
+        this.recognize(Recognizer.TURN);
+    }
 }
 /**
- * Called by the game loop to draw the best score.
+ * Called when the Turn It! circle is let go to say why a turn that was started wasn't recognized.
+ * @param {Gesture} gesture The gesture that ended.
  */
-BestScore.prototype.draw = function () {
-    if (this.labelText.length > 0) {
-        // Call the RectangleComponent to update the label.
-        RectangleComponent.prototype.draw.call(this);
+TurnIt.prototype.onGestureEnd = function (gesture) {
+    if (gesture.isCancelled || this.isTurnComplete) {
+        return;
+    }
+    if (gesture.type === GestureType.ROTATE) {
+        this.miss(GestureMiss.TURN_SHORT, Math.abs(gesture.sweptAngle) / TurnRequiredAngle);
+    }
+    else if (gesture.type === GestureType.DRAG) {
+        this.miss(GestureMiss.TURN_AROUND);
     }
 }
-
 /**
- * Defines an action.
- * @param {string} name The name of the action.
- * @param {string} instruction The message to speak to the user.
+ * Called by the game loop to show how to turn the Turn It! circle, with a finger that goes half way around it.
+ * @param {Action} action The action.
+ * @param {number} phase How far through the gesture the finger is, from 0 to 1.
  */
-function Action(name, instruction) {
-    /**
-     * The name of the action.
-     * @type {string}
-     */
-    this.Name = name;
-    /**
-     * The message to speak to the user.
-     * @type {SpeechSynthesisUtterance}
-     */
-    this.Instruction = new SpeechSynthesisUtterance(instruction);
-
-    this.Instruction.voice = speechSynthesis.getVoices().find(v => v.lang === UserLocale && true === v.default);
+TurnIt.prototype.drawHint = function (action, phase) {
+    const radius = this.radius * .7;
+    const startAngle = -Math.PI / 2;
+    const angle = startAngle + (TurnRequiredAngle * Math.max(0, Math.min(1, (phase - .1) / .7)));
+    if (angle > startAngle) {
+        this.drawTrail(() => context.arc(this.x, this.y, radius, startAngle, angle));
+    }
+    this.drawFinger(this.x + (Math.cos(angle) * radius), this.y + (Math.sin(angle) * radius), phase >= .1 && phase < .85);
+}
+/**
+ * Called when the Turn It! button is activated.
+ */
+TurnIt.prototype.onActivate = function () {
+    game.handleAction("TURN", null, this.player);
 }
 
-function Game() {
-    /**
-     * The possible screens to draw.
-     */
-    this.screens = {
-        "menu": [new Start(), new BestScore()],
-        "game": [new TapIt(), new TurnIt(), new SlideIt()],
-    };
-    /**
-     * The screen that is being drawn.
-     */
-    this.activeScreen = this.screens["menu"];
-    /**
-     * The number of correct actions within the allotted time. 
-     */
-    this.score = -1;
+/**
+ * Defines the Slide It! component.
+ * @param {Player} [player] The player the component belongs to in versus.
+ */
+function SlideIt(player) {
+    // Call the base component.
+    RectangleComponent.call(this, "blue", "");
+    this.labelKey = "action.SLIDE";
+    this.player = player || null;
+    this.accessibleRole = AccessibleRole.SLIDER;
+    this.componentName = "SlideIt";
     /**
-     * The additional amount of time for the user to take action.
+     * Indicates if the bar runs vertically because the game area is in portrait.
+     * @type {boolean}
      */
-    this.additionalTimeForAction = -1;
+    this.isVertical = false;
     /**
-     * The next action the user is expected to perform.
-     * @type {Action}
+     * The radius of the knob.
+     * @type {number}
      */
-    this.expectedAction = null;
+    this.knobRadius = -1;
     /**
-     * Indicates if the game has ended.
+     * The furthest the knob can move from the center of the bar in either direction.
+     * @type {number}
      */
-    this.isEnded = true;
+    this.knobTravel = -1;
     /**
-     * The handle to the timeout that will end the game if the user does not act correctly before it is fired.
+     * The distance of the knob from the center of the bar.
+     * @description Negative values are towards the start of the bar (left or top) and positive values are towards the end (right or bottom).
+     * @type {number}
      */
-    this.actionTimeoutId = null;
-}
-Game.prototype.start = function () {
-    this.activeScreen = this.screens["game"];
-    this.update();
-    this.isEnded = false;
-    this.score = 0;
-    this.additionalTimeForAction = 3000;
-    this.expectedAction = getRandomAction();
-    this.doAction();
-}
-Game.prototype.end = function () {
-    this.isEnded = true;
-    if (this.actionTimeoutId >= 0) {
-        clearTimeout(this.actionTimeoutId);
-    }
-    const bestScore = Number(localStorage.getItem("best-score"));
-    if (Number.isNaN(bestScore) || this.score > bestScore) {
-        localStorage.setItem("best-score", this.score.toString());
-    }
-    this.activeScreen = this.screens["menu"];
-    this.update();
-}
-Game.prototype.doAction = function () {
-    // Start a timer to end the game if the user takes too long
-    this.actionTimeoutId = setTimeout(() => {
-        this.end();
-    }, MinTimeForAction + this.additionalTimeForAction);
-    
-    speechSynthesis.speak(this.expectedAction.Instruction);
+    this.knobOffset = 0;
 }
+// Inherit from RectangleComponent
+SlideIt.prototype = new RectangleComponent();
 /**
- * Called when the user performs the correct action.
+ * Called when the component is invalidated.
+ * @description The bar runs along the long axis of the game area, so it is turned upright in portrait.
+ * @param {LayoutBox} box The box the layout of the screen gave the Slide It! bar.
  */
-Game.prototype.nextAction = function () {
-    // Don't do anything if they timer expired before they did the action.
-    if (!this.isEnded) {
-        // Prevent the timer from ending the game 
-        if (this.actionTimeoutId >= 0) {
-            clearTimeout(this.actionTimeoutId);
-        }
-
-        // Increment the score
-        this.score += 1;
-
-        // Decrease the amount of time the user has to respond
-        if (this.score % 3 === 0 && this.additionalTimeForAction >= 250) {
-            this.additionalTimeForAction -= 250;
-        }
-
-        // Get the next random action
-        this.expectedAction = getRandomAction();
-
-        // Start the action.
-        this.doAction();
+SlideIt.prototype.update = function (box) {
+    // Call the RectangleComponent to update the bar.
+    RectangleComponent.prototype.update.call(this, box);
+    const area = this.getArea();
+    this.isVertical = area.height > area.width;
+    if (this.isVertical) {
+        this.width = this.size / 2;
+        this.height = this.size;
+        this.x = this.labelX - (this.width / 2);
+        this.y = this.labelY - (this.height / 2);
     }
+    const thickness = Math.min(this.width, this.height);
+    this.knobRadius = thickness * .4;
+    this.knobTravel = (this.size / 2) - (thickness / 2);
+    this.knobOffset = 0;
 }
-Game.prototype.handleTap = function () {
-    if (this.expectedAction.Name === "TAP") {
-        this.nextAction();
-    }
-    else {
-        this.end();
+/**
+ * Called by the game loop to draw the Slide It! bar and its knob.
+ */
+SlideIt.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const center = this.getKnobCenter();
+    context.beginPath();
+    context.arc(center.x, center.y, this.knobRadius, CircleStartAngle, CircleEndAngle, false);
+    context.closePath();
+    context.fillStyle = this.isPressStarted ? "rgba(255, 255, 255, .8)" : "rgba(255, 255, 255, .4)";
+    context.fill();
+    // Call the LabeledComponent to draw the label.
+    LabeledComponent.prototype.draw.call(this);
+}
+/**
+ * Gets the center of the knob for its current offset.
+ * @returns {{x: number, y: number}} The center of the knob.
+ */
+SlideIt.prototype.getKnobCenter = function () {
+    return {
+        x: this.x + (this.width / 2) + (this.isVertical ? 0 : this.knobOffset),
+        y: this.y + (this.height / 2) + (this.isVertical ? this.knobOffset : 0),
+    };
+}
+/**
+ * Called while the Slide It! knob is dragged.
+ * @description The knob follows the pointer along the bar and stops at either end. The slide is reported when the knob is let go at either end.
+ * @param {Gesture} gesture The drag.
+ */
+SlideIt.prototype.onDrag = function (gesture) {
+    this.knobOffset = Math.max(-this.knobTravel, Math.min(this.knobTravel, this.isVertical ? gesture.dy : gesture.dx));
+    if (!gesture.isEnded) {
+        return;
+    }
+    const requiredTravel = this.knobTravel * SlideRequiredTravel;
+    if (Math.abs(this.knobOffset) >= requiredTravel) {
+        this.recognize(Recognizer.SLIDE, this.knobOffset < 0 ? SlideDirection.LEFT : SlideDirection.RIGHT);
+    }
+    else {
+        this.miss(GestureMiss.SLIDE_SHORT, Math.abs(this.knobOffset) / requiredTravel);
+    }
+}
+/**
+ * Called by the game loop to show how to slide the Slide It! knob, with a finger that drags it to the end of the bar.
+ * @param {Action} action The action, whose direction the finger drags towards. It drags right, or down, when any direction is accepted.
+ * @param {number} phase How far through the gesture the finger is, from 0 to 1.
+ */
+SlideIt.prototype.drawHint = function (action, phase) {
+    const start = this.getKnobCenter();
+    const offset = this.knobTravel * (action.Direction === SlideDirection.LEFT ? -1 : 1) * Math.max(0, Math.min(1, (phase - .1) / .6));
+    const x = start.x + (this.isVertical ? 0 : offset);
+    const y = start.y + (this.isVertical ? offset : 0);
+    if (offset !== 0) {
+        this.drawTrail(() => {
+            context.moveTo(start.x, start.y);
+            context.lineTo(x, y);
+        });
+    }
+    this.drawFinger(x, y, phase >= .1 && phase < .8);
+}
+/**
+ * Called when the Slide It! knob is let go.
+ */
+SlideIt.prototype.onGestureEnd = function () {
+    this.knobOffset = 0;
+}
+/**
+ * Called when the Slide It! slider is moved.
+ * @param {string} direction The SlideDirection the slider was moved in.
+ */
+SlideIt.prototype.onActivate = function (direction) {
+    game.handleAction("SLIDE", direction, this.player);
+}
+
+/**
+ * Defines the Start button.
+ */
+function Start() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+    this.labelKey = "label.start";
+}
+// Inherit from ButtonComponent
+Start.prototype = new ButtonComponent();
+/**
+ * Called when the Start button is activated.
+ */
+Start.prototype.onActivate = function () {
+    // Asking for motion has to happen while handling the user's press.
+    shakeDetector.requestPermission();
+    game.start();
+}
+
+/**
+ * Defines the button that offers a new version of the game, shown in the strip above the Start button once it has been downloaded.
+ */
+function UpdateButton() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+    this.labelKey = "label.update";
+}
+// Inherit from ButtonComponent
+UpdateButton.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box of the Start button the update button sits above.
+ */
+UpdateButton.prototype.update = function (box) {
+    this.updateStrip(box, true);
+}
+/**
+ * Gets a value indicating if the button is shown.
+ * @returns {boolean} True if a new version is ready.
+ */
+UpdateButton.prototype.isVisible = function () {
+    return appUpdater.isUpdateAvailable();
+}
+/**
+ * Called when the update button is activated, to reload the game with the new version.
+ */
+UpdateButton.prototype.onActivate = function () {
+    appUpdater.applyUpdate();
+}
+
+/**
+ * Defines the picker for the difficulty, which also shows the best score for it.
+ */
+function DifficultyPicker() {
+    // Call the base component.
+    ButtonComponent.call(this, "green", "");
+    /**
+     * The best score line displayed under the name of the difficulty.
+     * @type {string}
+     */
+    this.bestScoreText = "";
+}
+// Inherit from ButtonComponent
+DifficultyPicker.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the picker.
+ */
+DifficultyPicker.prototype.update = function (box) {
+    // Call the ButtonComponent to update the picker.
+    ButtonComponent.prototype.update.call(this, box);
+    const score = game.getBestScore();
+    this.bestScoreText = score > 0 ? translate("label.best", { score: score }) : "";
+    this.labelText = `${game.difficulty.getLabel()}${this.bestScoreText ? `. ${this.bestScoreText}` : ""}`;
+}
+/**
+ * Called by the game loop to draw the name of the difficulty with the best score under it.
+ */
+DifficultyPicker.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const centerX = this.x + (this.width / 2);
+    const centerY = this.y + (this.height / 2);
+    const smallSize = this.labelSize * .7;
+    context.fillStyle = this.labelColor;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = `bold ${this.labelSize}px sans-serif`;
+    context.fillText(game.difficulty.getLabel(), centerX, this.bestScoreText ? centerY - (smallSize * .6) : centerY);
+    if (this.bestScoreText) {
+        context.font = `${smallSize}px sans-serif`;
+        context.fillText(this.bestScoreText, centerX, centerY + (this.labelSize * .6));
+    }
+}
+/**
+ * Called when the picker is activated to move to the next difficulty.
+ */
+DifficultyPicker.prototype.onActivate = function () {
+    game.selectNextDifficulty();
+}
+
+/**
+ * Defines the toggle for how instructions are given.
+ */
+function InstructionModeToggle() {
+    // Call the base component.
+    ButtonComponent.call(this, "purple", "");
+}
+// Inherit from ButtonComponent
+InstructionModeToggle.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the toggle.
+ */
+InstructionModeToggle.prototype.update = function (box) {
+    // Call the ButtonComponent to update the toggle.
+    ButtonComponent.prototype.update.call(this, box);
+    // The labels are longer than the other buttons, so they are a bit smaller.
+    this.labelSize = this.size * .14;
+    this.labelText = translate("label.cues", { mode: translate(`instructionMode.${game.getInstructionMode()}`) });
+}
+/**
+ * Called when the toggle is activated to move to the next InstructionMode.
+ */
+InstructionModeToggle.prototype.onActivate = function () {
+    game.toggleInstructionMode();
+}
+
+/**
+ * Defines the slider for the volume of a SoundChannel, shown in the strip below a button of the menu.
+ * @description The slider is stacked with the button in a StackLayout, so the two are given the same box.
+ * @param {string} channel The SoundChannel.
+ */
+function VolumeSlider(channel) {
+    // Call the base component.
+    RectangleComponent.call(this, "rgba(0, 0, 0, .3)", "");
+    this.accessibleRole = AccessibleRole.SLIDER;
+    /**
+     * The SoundChannel.
+     * @type {string}
+     */
+    this.channel = channel;
+}
+// Inherit from RectangleComponent
+VolumeSlider.prototype = new RectangleComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box of the button the slider sits below.
+ */
+VolumeSlider.prototype.update = function (box) {
+    this.updateStrip(box, false);
+    this.labelText = translate("label.volume", { channel: translate(`channel.${this.channel}`), percent: Math.round(audioEngine.getVolume(this.channel) * 100) });
+}
+/**
+ * Called by the game loop to draw the slider filled up to the volume.
+ */
+VolumeSlider.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.save();
+    context.clip();
+    context.fillStyle = this.isPressStarted ? "rgba(255, 255, 255, .6)" : "rgba(255, 255, 255, .35)";
+    context.fillRect(this.x, this.y, this.width * audioEngine.getVolume(this.channel), this.height);
+    context.restore();
+    context.fillStyle = this.labelColor;
+    context.font = `bold ${this.labelSize}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(`${translate(`channel.${this.channel}`)} ${Math.round(audioEngine.getVolume(this.channel) * 100)}%`, this.labelX, this.labelY);
+}
+/**
+ * Called when the slider is pressed to set the volume where it was pressed.
+ * @param {Gesture} gesture The gesture that was started.
+ */
+VolumeSlider.prototype.onGestureStart = function (gesture) {
+    audioEngine.setVolume(this.channel, (gesture.x - this.x) / this.width);
+}
+/**
+ * Called while the slider is dragged to set the volume under the pointer.
+ * @param {Gesture} gesture The drag.
+ */
+VolumeSlider.prototype.onDrag = function (gesture) {
+    audioEngine.setVolume(this.channel, (gesture.x - this.x) / this.width);
+}
+/**
+ * Called when the slider is let go to play a sound at the new volume.
+ */
+VolumeSlider.prototype.onGestureEnd = function () {
+    this.preview();
+}
+/**
+ * Called when the slider is moved by assistive technology or the keyboard.
+ * @param {string} direction The SlideDirection the slider was moved in.
+ */
+VolumeSlider.prototype.onActivate = function (direction) {
+    audioEngine.setVolume(this.channel, audioEngine.getVolume(this.channel) + (direction === SlideDirection.LEFT ? -VolumeStep : VolumeStep));
+    this.preview();
+}
+/**
+ * Called to play a sound at the new volume and show it.
+ */
+VolumeSlider.prototype.preview = function () {
+    audioEngine.unlock();
+    audioEngine.play("TAP");
+    game.update();
+}
+
+/**
+ * Defines the base component for buttons that sit in the margin above or below the components.
+ * @description The ScreenLayout gives the button the band of the margin it is declared in, and the button is centered in it.
+ */
+function BandButton() {
+    // Call the base component.
+    ButtonComponent.call(this, "rgba(0, 0, 0, .3)", "");
+}
+// Inherit from ButtonComponent
+BandButton.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the button.
+ */
+BandButton.prototype.update = function (box) {
+    // Call the ButtonComponent to update the sizes.
+    ButtonComponent.prototype.update.call(this, box);
+    // Leave room for the corner buttons on narrow screens.
+    this.width = Math.min(this.margin * 6, box.width - (this.margin * 2));
+    this.height = this.margin * .7;
+    this.x = box.x + ((box.width - this.width) / 2);
+    this.y = box.y + ((box.height - this.height) / 2);
+    this.cornerRadius = this.height * .2;
+    this.labelX = this.x + (this.width / 2);
+    this.labelY = this.y + (this.height / 2);
+    this.labelSize = this.height * .5;
+}
+
+/**
+ * Defines the toggle for the DecoyMode, shown in the margin below the menu.
+ */
+function DecoyModeToggle() {
+    // Call the base component.
+    BandButton.call(this);
+}
+// Inherit from BandButton
+DecoyModeToggle.prototype = new BandButton();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the toggle.
+ */
+DecoyModeToggle.prototype.update = function (box) {
+    // Call the BandButton to update the sizes.
+    BandButton.prototype.update.call(this, box);
+    this.labelText = translate("label.decoys", { mode: game.decoyMode.getLabel() });
+}
+/**
+ * Called when the toggle is activated to move to the next DecoyMode.
+ */
+DecoyModeToggle.prototype.onActivate = function () {
+    game.selectNextDecoyMode();
+}
+
+/**
+ * Defines the toggle for the PlayMode, shown in the margin above the menu.
+ */
+function PlayModeToggle() {
+    // Call the base component.
+    BandButton.call(this);
+}
+// Inherit from BandButton
+PlayModeToggle.prototype = new BandButton();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the toggle.
+ */
+PlayModeToggle.prototype.update = function (box) {
+    // Call the BandButton to update the sizes.
+    BandButton.prototype.update.call(this, box);
+    this.labelText = translate("label.mode", { mode: translate(`playMode.${game.getPlayMode()}`) });
+}
+/**
+ * Called when the toggle is activated to move to the next PlayMode.
+ */
+PlayModeToggle.prototype.onActivate = function () {
+    game.selectNextPlayMode();
+}
+
+/**
+ * Defines the base component for panels of text that take the whole space of their position.
+ */
+function TextPanel() {
+    // Call the base component.
+    RectangleComponent.call(this, "rgb(60, 60, 60)", "");
+    this.accessibleRole = AccessibleRole.TEXT;
+    /**
+     * The lines of text to display.
+     * @type {string[]}
+     */
+    this.lines = [];
+}
+// Inherit from RectangleComponent
+TextPanel.prototype = new RectangleComponent();
+/**
+ * Called when the component is invalidated.
+ * @description The panel takes the whole space of its position so there is room for every line.
+ * @param {LayoutBox} box The box the layout of the screen gave the panel.
+ */
+TextPanel.prototype.update = function (box) {
+    // Call the RectangleComponent to update the panel.
+    RectangleComponent.prototype.update.call(this, box);
+    this.x = box.x;
+    this.y = box.y;
+    this.width = box.width;
+    this.height = box.height;
+    this.labelSize = this.size * .1;
+}
+/**
+ * Called to set the lines of text, which are also read to assistive technology.
+ * @param {string[]} lines The lines. Empty lines are left out.
+ */
+TextPanel.prototype.setLines = function (lines) {
+    this.lines = lines.filter(x => x.length > 0);
+    this.labelText = this.lines.join(". ");
+}
+/**
+ * Called by the game loop to draw the panel and its lines, wrapping any that are too wide.
+ */
+TextPanel.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.fillStyle = this.labelColor;
+    context.font = `bold ${this.labelSize}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    const maxWidth = this.width - (this.labelSize * 2);
+    const rows = [];
+    this.lines.forEach(line => {
+        let row = "";
+        line.split(" ").forEach(word => {
+            const candidate = row ? `${row} ${word}` : word;
+            if (row && context.measureText(candidate).width > maxWidth) {
+                rows.push(row);
+                row = word;
+            }
+            else {
+                row = candidate;
+            }
+        });
+        rows.push(row);
+    });
+    const lineHeight = this.labelSize * 1.3;
+    const top = this.y + (this.height / 2) - ((rows.length - 1) * lineHeight / 2);
+    rows.forEach((row, i) => context.fillText(row, this.x + (this.width / 2), top + (i * lineHeight)));
+}
+
+/**
+ * Defines the Results panel that shows how the last game went.
+ */
+function Results() {
+    // Call the base component.
+    TextPanel.call(this);
+}
+// Inherit from TextPanel
+Results.prototype = new TextPanel();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the panel.
+ */
+Results.prototype.update = function (box) {
+    // Call the TextPanel to update the panel.
+    TextPanel.prototype.update.call(this, box);
+
+    const results = game.results;
+    this.setLines(results && results.isReplay ? [
+        translate("results.replay"),
+        translate("results.score", { score: results.score }),
+        results.cause,
+        translate("results.seed", { seed: results.seed }),
+    ] : results && results.players.length > 0 ? [
+        results.headline,
+        ...results.players.map(x => `${x.name}: ${x.score.toLocaleString(localizer.locale)}${x.cause ? ` (${x.cause})` : ""}`),
+        results.isNewBest ? translate("results.newBest") : translate("label.best", { score: results.bestScore }),
+        translate("results.seed", { seed: results.seed }),
+    ] : results ? [
+        translate("results.score", { score: results.score }),
+        results.isNewBest ? translate("results.newBest") : translate("label.best", { score: results.bestScore }),
+        results.cause,
+        results.reactionTimes.length > 0
+            ? translate("results.average", { time: Math.round(results.reactionTimes.reduce((a, b) => a + b, 0) / results.reactionTimes.length) })
+            : "",
+        results.reactionTimes.length > 0 ? translate("results.fastest", { time: Math.round(Math.min(...results.reactionTimes)) }) : "",
+        translate("results.seed", { seed: results.seed }),
+    ] : []);
+}
+
+/**
+ * Defines the chart of the most recent scores in the profile.
+ * @description The chart is declared to span two cells so the bars are wide enough to tell apart.
+ */
+function ScoreChart() {
+    // Call the base component.
+    RectangleComponent.call(this, "rgb(60, 60, 60)", "");
+    this.accessibleRole = AccessibleRole.TEXT;
+    /**
+     * The runs that are charted, oldest first.
+     * @type {{date: string, score: number, difficulty: string, decoyMode: string, cause: string}[]}
+     */
+    this.runs = [];
+}
+// Inherit from RectangleComponent
+ScoreChart.prototype = new RectangleComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the chart.
+ */
+ScoreChart.prototype.update = function (box) {
+    // Call the RectangleComponent to update the sizes.
+    RectangleComponent.prototype.update.call(this, box);
+    this.x = box.x;
+    this.y = box.y;
+    this.width = box.width;
+    this.height = box.height;
+    this.labelSize = this.size * .1;
+    this.runs = game.profile.getRecentRuns(ScoreChartLength);
+    this.labelText = this.runs.length > 0
+        ? translate("stats.recentList", { scores: this.runs.map(x => x.score.toLocaleString(localizer.locale)).join(", ") })
+        : translate("stats.empty");
+}
+/**
+ * Called by the game loop to draw a bar for each run, colored by its difficulty.
+ */
+ScoreChart.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const padding = this.labelSize;
+    context.fillStyle = this.labelColor;
+    context.font = `bold ${this.labelSize}px sans-serif`;
+    context.textAlign = "left";
+    context.textBaseline = "top";
+    context.fillText(translate(this.runs.length > 0 ? "stats.recent" : "stats.empty"), this.x + padding, this.y + padding);
+    if (this.runs.length === 0) {
+        return;
+    }
+    const maxScore = Math.max(1, ...this.runs.map(x => x.score));
+    context.textAlign = "right";
+    context.fillText(maxScore.toLocaleString(localizer.locale), this.x + this.width - padding, this.y + padding);
+    const top = this.y + (padding * 2.5);
+    const chartHeight = this.y + this.height - padding - top;
+    const slotWidth = (this.width - (padding * 2)) / ScoreChartLength;
+    this.runs.forEach((run, i) => {
+        const height = Math.max(1, chartHeight * (run.score / maxScore));
+        const difficulty = Difficulties.find(x => x.name === run.difficulty);
+        context.fillStyle = difficulty ? game.colorTheme.getColor(difficulty.color) : this.labelColor;
+        context.fillRect(this.x + padding + (i * slotWidth) + (slotWidth * .15), top + chartHeight - height, slotWidth * .7, height);
+    });
+}
+
+/**
+ * Defines the panel with the lifetime totals and the accuracy and reaction time of each action.
+ */
+function ActionStats() {
+    // Call the base component.
+    TextPanel.call(this);
+}
+// Inherit from TextPanel
+ActionStats.prototype = new TextPanel();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the panel.
+ */
+ActionStats.prototype.update = function (box) {
+    // Call the TextPanel to update the panel.
+    TextPanel.prototype.update.call(this, box);
+    this.labelSize = this.size * .08;
+    const totals = game.profile.getTotals();
+    this.setLines([
+        translate("stats.games", { count: totals.games }),
+        translate("stats.actions", { count: totals.actions }),
+        translate("stats.played", { minutes: Math.round(totals.playTime / 60000) }),
+        ...game.profile.getActionStats()
+            .filter(x => Actions[x.key])
+            .map(x => `${Actions[x.key].Text} ${Math.round(x.accuracy * 100)}%${x.averageReactionTime > 0 ? ` ${Math.round(x.averageReactionTime).toLocaleString(localizer.locale)} ms` : ""}`),
+    ]);
+}
+
+/**
+ * Defines the button that goes back to the screen that opened the current one, shown in the margin below the components.
+ */
+function BackButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.back";
+}
+// Inherit from BandButton
+BackButton.prototype = new BandButton();
+/**
+ * Called when the Back button is activated.
+ */
+BackButton.prototype.onActivate = function () {
+    game.back();
+}
+
+/**
+ * Defines the Retry button.
+ */
+function Retry() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+    this.labelKey = "label.retry";
+}
+// Inherit from ButtonComponent
+Retry.prototype = new ButtonComponent();
+/**
+ * Called when the Retry button is activated.
+ */
+Retry.prototype.onActivate = function () {
+    game.start();
+}
+
+/**
+ * Defines the button that plays back the replay of the last solo game, shown in the margin above the results.
+ */
+function WatchReplayButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.watchReplay";
+}
+// Inherit from BandButton
+WatchReplayButton.prototype = new BandButton();
+/**
+ * Gets the key the replay to play back is saved under.
+ * @returns {string} The key.
+ */
+WatchReplayButton.prototype.getReplayKey = function () {
+    return LastReplayKey;
+}
+/**
+ * Called when the button is activated.
+ */
+WatchReplayButton.prototype.onActivate = function () {
+    replayRecorder.play(replayRecorder.load(this.getReplayKey()));
+}
+
+/**
+ * Defines the button that plays back the replay of the best run on the chosen difficulty, shown in the margin above the stats.
+ * @description The button is hidden until a run on the difficulty has set a best score.
+ */
+function WatchBestReplayButton() {
+    // Call the base component.
+    WatchReplayButton.call(this);
+    this.labelKey = null;
+    /**
+     * Indicates if there is a replay of the best run to play back.
+     * @type {boolean}
+     */
+    this.hasReplay = false;
+}
+// Inherit from WatchReplayButton
+WatchBestReplayButton.prototype = new WatchReplayButton();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the button.
+ */
+WatchBestReplayButton.prototype.update = function (box) {
+    // Call the WatchReplayButton to update the sizes.
+    WatchReplayButton.prototype.update.call(this, box);
+    this.labelText = translate("label.watchBest", { difficulty: game.difficulty.getLabel() });
+    this.hasReplay = replayRecorder.load(this.getReplayKey()) !== null;
+}
+/**
+ * Gets a value indicating if the button is shown.
+ * @returns {boolean} True if there is a replay of the best run.
+ */
+WatchBestReplayButton.prototype.isVisible = function () {
+    return this.hasReplay;
+}
+/**
+ * Gets the key the replay of the best run on the chosen difficulty is saved under.
+ * @returns {string} The key.
+ */
+WatchBestReplayButton.prototype.getReplayKey = function () {
+    return getBestReplayKey(game.difficulty.name);
+}
+
+/**
+ * Defines the button that downloads the replay of the last solo game as JSON, shown in the margin below the results.
+ */
+function DownloadReplayButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.exportReplay";
+}
+// Inherit from BandButton
+DownloadReplayButton.prototype = new BandButton();
+/**
+ * Called when the button is activated.
+ */
+DownloadReplayButton.prototype.onActivate = function () {
+    replayRecorder.download(LastReplayKey);
+}
+
+/**
+ * Defines the button that starts the turn of the next player in hot-seat.
+ */
+function NextPlayer() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+}
+// Inherit from ButtonComponent
+NextPlayer.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the button.
+ */
+NextPlayer.prototype.update = function (box) {
+    // Call the ButtonComponent to update the button.
+    ButtonComponent.prototype.update.call(this, box);
+    const player = game.getNextPlayer();
+    this.labelText = player ? translate("label.go", { player: player.name }) : "";
+}
+/**
+ * Called when the button is activated.
+ */
+NextPlayer.prototype.onActivate = function () {
+    game.startNextTurn();
+}
+
+/**
+ * Defines the Menu button.
+ */
+function MenuButton() {
+    // Call the base component.
+    ButtonComponent.call(this, "purple", "");
+    this.labelKey = "label.menu";
+}
+// Inherit from ButtonComponent
+MenuButton.prototype = new ButtonComponent();
+/**
+ * Called when the Menu button is activated.
+ */
+MenuButton.prototype.onActivate = function () {
+    game.showMenu();
+}
+
+/**
+ * Defines the base component for buttons that are drawn as an icon in a corner of the margins around the components instead of taking a cell of their own.
+ * @description The ScreenLayout gives the button the corner it is declared in, and the button is centered in it.
+ * @param {string} labelKey The key in Translations of the text read to assistive technology.
+ */
+function CornerButton(labelKey) {
+    // Call the base component.
+    ButtonComponent.call(this, "rgba(0, 0, 0, .3)", "");
+    this.labelKey = labelKey || null;
+}
+// Inherit from ButtonComponent
+CornerButton.prototype = new ButtonComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the button.
+ */
+CornerButton.prototype.update = function (box) {
+    // Call the ButtonComponent to update the sizes.
+    ButtonComponent.prototype.update.call(this, box);
+    this.width = this.size * .7;
+    this.height = this.width;
+    this.x = this.labelX - (this.width / 2);
+    this.y = this.labelY - (this.height / 2);
+    this.cornerRadius = this.width * .2;
+}
+/**
+ * Called to draw an arrow over a tray, the icon of saving and opening files.
+ * @param {boolean} isUp Indicates if the arrow points up out of the tray, rather than down into it.
+ */
+CornerButton.prototype.drawTrayArrow = function (isUp) {
+    const x = this.x + (this.width / 2);
+    const top = this.y + (this.height * .22);
+    const bottom = this.y + (this.height * .6);
+    const tip = isUp ? top : bottom;
+    const head = this.width * .15 * (isUp ? 1 : -1);
+    context.beginPath();
+    context.moveTo(x, top);
+    context.lineTo(x, bottom);
+    context.moveTo(x - Math.abs(head), tip + head);
+    context.lineTo(x, tip);
+    context.lineTo(x + Math.abs(head), tip + head);
+    context.moveTo(this.x + (this.width * .25), this.y + (this.height * .65));
+    context.lineTo(this.x + (this.width * .25), this.y + (this.height * .78));
+    context.lineTo(this.x + (this.width * .75), this.y + (this.height * .78));
+    context.lineTo(this.x + (this.width * .75), this.y + (this.height * .65));
+    context.strokeStyle = this.labelColor;
+    context.lineWidth = this.width * .08;
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.stroke();
+}
+
+/**
+ * Defines the Pause button.
+ * @param {Player} [player] The player the component belongs to in versus.
+ */
+function PauseButton(player) {
+    // Call the base component.
+    CornerButton.call(this, "label.pause");
+    this.player = player || null;
+}
+// Inherit from CornerButton
+PauseButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Pause button as two bars.
+ */
+PauseButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const barWidth = this.width * .18;
+    const barHeight = this.height * .5;
+    const top = this.y + ((this.height - barHeight) / 2);
+    context.fillStyle = this.labelColor;
+    context.fillRect(this.x + (this.width * .28), top, barWidth, barHeight);
+    context.fillRect(this.x + this.width - (this.width * .28) - barWidth, top, barWidth, barHeight);
+}
+/**
+ * Called when the Pause button is activated.
+ */
+PauseButton.prototype.onActivate = function () {
+    game.pause();
+}
+
+/**
+ * Defines the Stats button, which opens the chart of recent scores from the menu.
+ */
+function StatsButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.stats");
+}
+// Inherit from CornerButton
+StatsButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Stats button as three bars of a chart.
+ */
+StatsButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const barWidth = this.width * .16;
+    const bottom = this.y + (this.height * .78);
+    context.fillStyle = this.labelColor;
+    [.3, .55, .42].forEach((height, i) => {
+        context.fillRect(this.x + (this.width * (.2 + (i * .22))), bottom - (this.height * height), barWidth, this.height * height);
+    });
+}
+/**
+ * Called when the Stats button is activated.
+ */
+StatsButton.prototype.onActivate = function () {
+    game.openScreen("stats");
+}
+
+/**
+ * Defines the Settings button, which opens the settings from the menu.
+ */
+function SettingsButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.settings");
+}
+// Inherit from CornerButton
+SettingsButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Settings button as three sliders.
+ */
+SettingsButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.fillStyle = this.labelColor;
+    [.35, .7, .5].forEach((knob, i) => {
+        const y = this.y + (this.height * (.3 + (i * .2)));
+        context.fillRect(this.x + (this.width * .2), y - (this.height * .03), this.width * .6, this.height * .06);
+        context.beginPath();
+        context.arc(this.x + (this.width * (.2 + (knob * .6))), y, this.width * .07, CircleStartAngle, CircleEndAngle, false);
+        context.fill();
+    });
+}
+/**
+ * Called when the Settings button is activated.
+ */
+SettingsButton.prototype.onActivate = function () {
+    game.openScreen("settings");
+}
+
+/**
+ * Defines the Learn button, which opens the choice of the tutorial or practice from the menu.
+ */
+function LearnButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.learn");
+}
+// Inherit from CornerButton
+LearnButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Learn button as a question mark.
+ */
+LearnButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.fillStyle = this.labelColor;
+    context.font = `bold ${this.height * .6}px sans-serif`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText("?", this.labelX, this.labelY);
+}
+/**
+ * Called when the Learn button is activated.
+ */
+LearnButton.prototype.onActivate = function () {
+    game.openScreen("learn");
+}
+
+/**
+ * Defines the button that downloads the replay of the best run on the chosen difficulty, shown in a bottom corner of the stats.
+ * @description The button is hidden until a run on the difficulty has set a best score.
+ */
+function DownloadBestReplayButton() {
+    // Call the base component.
+    CornerButton.call(this);
+    /**
+     * Indicates if there is a replay of the best run to download.
+     * @type {boolean}
+     */
+    this.hasReplay = false;
+}
+// Inherit from CornerButton
+DownloadBestReplayButton.prototype = new CornerButton();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the button.
+ */
+DownloadBestReplayButton.prototype.update = function (box) {
+    // Call the CornerButton to update the sizes.
+    CornerButton.prototype.update.call(this, box);
+    this.labelText = translate("label.exportBest", { difficulty: game.difficulty.getLabel() });
+    this.hasReplay = replayRecorder.load(getBestReplayKey(game.difficulty.name)) !== null;
+}
+/**
+ * Gets a value indicating if the button is shown.
+ * @returns {boolean} True if there is a replay of the best run.
+ */
+DownloadBestReplayButton.prototype.isVisible = function () {
+    return this.hasReplay;
+}
+/**
+ * Called by the game loop to draw the button as an arrow into a tray.
+ */
+DownloadBestReplayButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    this.drawTrayArrow(false);
+}
+/**
+ * Called when the button is activated.
+ */
+DownloadBestReplayButton.prototype.onActivate = function () {
+    replayRecorder.download(getBestReplayKey(game.difficulty.name));
+}
+
+/**
+ * Defines the button that plays back a downloaded replay, for example one a friend shared, shown in a bottom corner of the stats.
+ */
+function ImportReplayButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.importReplay");
+}
+// Inherit from CornerButton
+ImportReplayButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the button as an arrow out of a tray.
+ */
+ImportReplayButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    this.drawTrayArrow(true);
+}
+/**
+ * Called when the button is activated.
+ */
+ImportReplayButton.prototype.onActivate = function () {
+    replayRecorder.pickFile();
+}
+
+/**
+ * Defines the button that starts the tutorial, which teaches each gesture in turn.
+ */
+function TutorialButton() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+    this.labelKey = "label.tutorial";
+}
+// Inherit from ButtonComponent
+TutorialButton.prototype = new ButtonComponent();
+/**
+ * Called when the Tutorial button is activated.
+ */
+TutorialButton.prototype.onActivate = function () {
+    game.startTutorial(TutorialMode.TUTORIAL);
+}
+
+/**
+ * Defines the button that starts practice, where any gesture can be tried without a time limit.
+ */
+function PracticeButton() {
+    // Call the base component.
+    ButtonComponent.call(this, "green", "");
+    this.labelKey = "label.practice";
+}
+// Inherit from ButtonComponent
+PracticeButton.prototype = new ButtonComponent();
+/**
+ * Called when the Practice button is activated.
+ */
+PracticeButton.prototype.onActivate = function () {
+    game.startTutorial(TutorialMode.PRACTICE);
+}
+
+/**
+ * Defines the button that leaves the tutorial or practice, drawn as a cross in a corner so the margins are free for the instructions.
+ */
+function CloseButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.back");
+}
+// Inherit from CornerButton
+CloseButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Close button as a cross.
+ */
+CloseButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    const inset = this.width * .3;
+    context.beginPath();
+    context.moveTo(this.x + inset, this.y + inset);
+    context.lineTo(this.x + this.width - inset, this.y + this.height - inset);
+    context.moveTo(this.x + this.width - inset, this.y + inset);
+    context.lineTo(this.x + inset, this.y + this.height - inset);
+    context.strokeStyle = this.labelColor;
+    context.lineWidth = this.width * .1;
+    context.lineCap = "round";
+    context.stroke();
+}
+/**
+ * Called when the Close button is activated.
+ */
+CloseButton.prototype.onActivate = function () {
+    game.back();
+}
+
+/**
+ * Defines the base component for the controls of the settings screen, which each show the name of a setting and its value.
+ * @description The settings screen declares the controls in a GridLayout, and each control takes most of the height of its row.
+ * @param {string} labelKey The key in Translations of the name of the setting.
+ * @param {function(): Array} getOptions A function that gets the values the setting can have, in order.
+ * @param {function(): *} getValue A function that gets the value of the setting.
+ * @param {function(*): void} setValue A function that changes and saves the value of the setting.
+ * @param {function(*): string} formatOption A function that gets the text displayed for a value.
+ */
+function SettingControl(labelKey, getOptions, getValue, setValue, formatOption) {
+    // Call the base component.
+    RectangleComponent.call(this, "rgb(60, 60, 60)", "");
+    this.accessibleRole = AccessibleRole.SLIDER;
+    this.labelKey = labelKey || null;
+    /**
+     * A function that gets the values the setting can have, in order.
+     * @type {function(): Array}
+     */
+    this.getOptions = getOptions;
+    /**
+     * A function that gets the value of the setting.
+     * @type {function(): *}
+     */
+    this.getValue = getValue;
+    /**
+     * A function that changes and saves the value of the setting.
+     * @type {function(*): void}
+     */
+    this.setValue = setValue;
+    /**
+     * A function that gets the text displayed for a value.
+     * @type {function(*): string}
+     */
+    this.formatOption = formatOption;
+    /**
+     * Indicates if moving past the last value goes back to the first, rather than stopping.
+     * @type {boolean}
+     */
+    this.isWrapping = false;
+    /**
+     * The name of the setting displayed above its value.
+     * @type {string}
+     */
+    this.titleText = "";
+    /**
+     * The value of the setting displayed under its name.
+     * @type {string}
+     */
+    this.valueText = "";
+}
+// Inherit from RectangleComponent
+SettingControl.prototype = new RectangleComponent();
+/**
+ * Called when the component is invalidated.
+ * @param {LayoutBox} box The box the layout of the screen gave the control.
+ */
+SettingControl.prototype.update = function (box) {
+    // Call the RectangleComponent to update the sizes and the label.
+    RectangleComponent.prototype.update.call(this, box);
+    this.width = box.width;
+    this.height = box.height * .8;
+    this.x = box.x;
+    this.y = box.y + ((box.height - this.height) / 2);
+    this.cornerRadius = this.height * .2;
+    this.labelX = this.x + (this.width / 2);
+    this.labelY = this.y + (this.height / 2);
+    this.labelSize = Math.min(this.height * .3, this.width * .09);
+    this.titleText = this.labelText;
+    this.valueText = this.formatOption(this.getValue());
+    // Assistive technology reads the name and value together.
+    this.labelText = translate("setting.value", { setting: this.titleText, value: this.valueText });
+}
+/**
+ * Called by the game loop to draw the name of the setting with its value under it.
+ */
+SettingControl.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    this.drawControl();
+    context.fillStyle = this.labelColor;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = `${this.labelSize * .75}px sans-serif`;
+    context.fillText(this.titleText, this.labelX, this.y + (this.height * .3), this.width * .9);
+    context.font = `bold ${this.labelSize}px sans-serif`;
+    context.fillText(this.valueText, this.labelX, this.y + (this.height * .68), this.width * .6);
+}
+/**
+ * Called by the game loop to draw how the control is used, behind the name and value of the setting.
+ */
+SettingControl.prototype.drawControl = function () {
+    /* NO-OP */
+}
+/**
+ * Called to draw a sign at each side of the value, which show where to press to change it.
+ * @param {string} previous The sign on the left, which moves to the previous value.
+ * @param {string} next The sign on the right, which moves to the next value.
+ */
+SettingControl.prototype.drawSigns = function (previous, next) {
+    const y = this.y + (this.height * .68);
+    context.fillStyle = this.labelColor;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.font = `bold ${this.labelSize * 1.4}px sans-serif`;
+    context.fillText(previous, this.x + (this.width * .1), y);
+    context.fillText(next, this.x + (this.width * .9), y);
+}
+/**
+ * Called to move the setting by a number of values.
+ * @param {number} delta The number of values to move by, which is negative to move back.
+ */
+SettingControl.prototype.step = function (delta) {
+    const options = this.getOptions();
+    const index = options.indexOf(this.getValue());
+    const next = this.isWrapping
+        ? (((index + delta) % options.length) + options.length) % options.length
+        : Math.max(0, Math.min(options.length - 1, index + delta));
+    if (next !== index) {
+        this.select(options[next]);
+    }
+}
+/**
+ * Called to change the setting and apply it right away.
+ * @param {*} value The value.
+ */
+SettingControl.prototype.select = function (value) {
+    this.setValue(value);
+    game.update();
+}
+/**
+ * Called when the control is tapped to move to the previous value on its left half or the next value on its right half.
+ * @param {Gesture} gesture The tap.
+ */
+SettingControl.prototype.onTap = function (gesture) {
+    this.step(gesture.x < this.x + (this.width / 2) ? -1 : 1);
+}
+/**
+ * Called when the control is moved by assistive technology or the keyboard.
+ * @param {string} [direction] The SlideDirection the control was moved in, which is the next value when omitted.
+ */
+SettingControl.prototype.onActivate = function (direction) {
+    this.step(direction === SlideDirection.LEFT ? -1 : 1);
+}
+
+/**
+ * Defines a switch that turns a setting on or off.
+ * @param {string} labelKey The key in Translations of the name of the setting.
+ * @param {function(): boolean} getValue A function that gets if the setting is on.
+ * @param {function(boolean): void} setValue A function that turns the setting on or off and saves it.
+ */
+function ToggleControl(labelKey, getValue, setValue) {
+    // Call the base component.
+    SettingControl.call(this, labelKey, () => [false, true], getValue, setValue, x => translate(x ? "setting.on" : "setting.off"));
+    this.accessibleRole = AccessibleRole.BUTTON;
+    this.isWrapping = true;
+}
+// Inherit from SettingControl
+ToggleControl.prototype = new SettingControl();
+/**
+ * Called by the game loop to draw the switch on the right of the value.
+ */
+ToggleControl.prototype.drawControl = function () {
+    const isOn = this.getValue();
+    const height = this.height * .26;
+    const width = height * 1.8;
+    const x = this.x + (this.width * .93) - width;
+    const y = this.y + (this.height * .68) - (height / 2);
+    context.beginPath();
+    context.arc(x + (height / 2), y + (height / 2), height / 2, Math.PI / 2, Math.PI * 1.5, false);
+    context.arc(x + width - (height / 2), y + (height / 2), height / 2, Math.PI * 1.5, Math.PI / 2, false);
+    context.closePath();
+    context.fillStyle = isOn ? game.colorTheme.getColor("green") : "rgba(0, 0, 0, .4)";
+    context.fill();
+    context.beginPath();
+    context.arc(isOn ? x + width - (height / 2) : x + (height / 2), y + (height / 2), height * .4, CircleStartAngle, CircleEndAngle, false);
+    context.fillStyle = this.labelColor;
+    context.fill();
+}
+/**
+ * Called when the switch is tapped anywhere to turn the setting on or off.
+ */
+ToggleControl.prototype.onTap = function () {
+    this.step(1);
+}
+
+/**
+ * Defines a control that steps a setting through values in order, which can also be dragged like a slider.
+ * @param {string} labelKey The key in Translations of the name of the setting.
+ * @param {Array} values The values the setting can have, from lowest to highest.
+ * @param {function(): *} getValue A function that gets the value of the setting.
+ * @param {function(*): void} setValue A function that changes and saves the value of the setting.
+ * @param {function(*): string} formatValue A function that gets the text displayed for a value.
+ */
+function StepperControl(labelKey, values, getValue, setValue, formatValue) {
+    // Call the base component.
+    SettingControl.call(this, labelKey, () => values, getValue, setValue, formatValue);
+}
+// Inherit from SettingControl
+StepperControl.prototype = new SettingControl();
+/**
+ * Called by the game loop to draw the minus and plus signs and a bar filled up to the value.
+ */
+StepperControl.prototype.drawControl = function () {
+    const options = this.getOptions();
+    const fraction = options.length > 1 ? options.indexOf(this.getValue()) / (options.length - 1) : 1;
+    const x = this.x + (this.width * .2);
+    const width = this.width * .6;
+    const y = this.y + (this.height * .86);
+    const height = this.height * .05;
+    context.fillStyle = "rgba(0, 0, 0, .4)";
+    context.fillRect(x, y, width, height);
+    context.fillStyle = this.isPressStarted ? "rgba(255, 255, 255, .8)" : "rgba(255, 255, 255, .5)";
+    context.fillRect(x, y, width * fraction, height);
+    this.drawSigns("−", "+");
+}
+/**
+ * Called while the control is dragged to pick the value under the pointer.
+ * @param {Gesture} gesture The drag.
+ */
+StepperControl.prototype.onDrag = function (gesture) {
+    const options = this.getOptions();
+    const fraction = Math.max(0, Math.min(1, (gesture.x - this.x - (this.width * .2)) / (this.width * .6)));
+    const value = options[Math.round(fraction * (options.length - 1))];
+    if (value !== this.getValue()) {
+        this.select(value);
+    }
+}
+
+/**
+ * Defines a control that picks a setting from a list of options, going around from the last option to the first.
+ * @param {string} labelKey The key in Translations of the name of the setting.
+ * @param {function(): Array} getOptions A function that gets the options, which can change, for example when the browser lists more voices.
+ * @param {function(): *} getValue A function that gets the option that is picked.
+ * @param {function(*): void} setValue A function that picks an option and saves it.
+ * @param {function(*): string} formatOption A function that gets the text displayed for an option.
+ */
+function OptionPicker(labelKey, getOptions, getValue, setValue, formatOption) {
+    // Call the base component.
+    SettingControl.call(this, labelKey, getOptions, getValue, setValue, formatOption);
+    this.isWrapping = true;
+}
+// Inherit from SettingControl
+OptionPicker.prototype = new SettingControl();
+/**
+ * Called by the game loop to draw arrows on each side of the option.
+ */
+OptionPicker.prototype.drawControl = function () {
+    this.drawSigns("‹", "›");
+}
+
+/**
+ * Defines a control that shows the keys and gamepad buttons bound to a Command, and binds the next one pressed when it is activated.
+ * @param {string} command The Command.
+ */
+function BindingControl(command) {
+    // Call the base component.
+    SettingControl.call(this, command && (Actions[command] ? `action.${command}` : `label.${command.toLowerCase()}`), () => [], () => command, () => {}, x => (controlBindings.remapCommand === x ? translate("control.press") : controlBindings.describe(x)));
+    this.accessibleRole = AccessibleRole.BUTTON;
+    /**
+     * The Command.
+     * @type {string}
+     */
+    this.command = command;
+}
+// Inherit from SettingControl
+BindingControl.prototype = new SettingControl();
+/**
+ * Gets a value indicating if the next key or button pressed will be bound to the command.
+ * @returns {boolean} True if the control is waiting for a key or button.
+ */
+BindingControl.prototype.isRemapping = function () {
+    return controlBindings.remapCommand === this.command;
+}
+/**
+ * Called by the game loop to outline the control while it waits for a key or button.
+ */
+BindingControl.prototype.drawControl = function () {
+    if (this.isRemapping()) {
+        context.strokeStyle = game.colorTheme.getColor("yellow");
+        context.lineWidth = this.height * .05;
+        context.stroke();
+    }
+}
+/**
+ * Called when the control is tapped to wait for a key or button.
+ */
+BindingControl.prototype.onTap = function () {
+    game.remapControl(this);
+}
+/**
+ * Called when the control is activated by assistive technology or the keyboard to wait for a key or button.
+ */
+BindingControl.prototype.onActivate = function () {
+    game.remapControl(this);
+}
+
+/**
+ * Defines the button that opens the layout editor from the settings, shown in the margin above them.
+ */
+function EditLayoutButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.editLayout";
+}
+// Inherit from BandButton
+EditLayoutButton.prototype = new BandButton();
+/**
+ * Called when the button is activated.
+ */
+EditLayoutButton.prototype.onActivate = function () {
+    game.openScreen("layout");
+}
+
+/**
+ * Defines the button that puts the components that actions are performed with back where they started, shown in the margin above the layout editor.
+ */
+function ResetLayoutButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.resetLayout";
+}
+// Inherit from BandButton
+ResetLayoutButton.prototype = new BandButton();
+/**
+ * Called when the button is activated.
+ */
+ResetLayoutButton.prototype.onActivate = function () {
+    game.resetLayout();
+}
+
+/**
+ * Defines the Controls button, which opens the keys and gamepad buttons bound to each command from the settings.
+ */
+function ControlsButton() {
+    // Call the base component.
+    CornerButton.call(this, "label.controls");
+}
+// Inherit from CornerButton
+ControlsButton.prototype = new CornerButton();
+/**
+ * Called by the game loop to draw the Controls button as a keyboard.
+ */
+ControlsButton.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.fillStyle = this.labelColor;
+    const keySize = this.width * .12;
+    for (let row = 0; row < 2; row++) {
+        for (let column = 0; column < 4; column++) {
+            context.fillRect(this.x + (this.width * (.2 + (column * .17))), this.y + (this.height * (.3 + (row * .17))), keySize, keySize);
+        }
+    }
+    context.fillRect(this.x + (this.width * .3), this.y + (this.height * .64), this.width * .4, keySize);
+}
+/**
+ * Called when the Controls button is activated.
+ */
+ControlsButton.prototype.onActivate = function () {
+    game.openScreen("controls");
+}
+
+/**
+ * Defines the button that puts the default keys and gamepad buttons back, shown in the margin above the controls.
+ */
+function ResetControlsButton() {
+    // Call the base component.
+    BandButton.call(this);
+    this.labelKey = "label.resetControls";
+}
+// Inherit from BandButton
+ResetControlsButton.prototype = new BandButton();
+/**
+ * Called when the button is activated.
+ */
+ResetControlsButton.prototype.onActivate = function () {
+    game.resetControls();
+}
+
+/**
+ * Defines a handle of the layout editor, which shows a component that actions are performed with and lets it be dragged to another position.
+ * @description The component is only drawn, so pressing it doesn't perform its action. Dropping it over another handle swaps the two, and assistive technology moves it one position at a time like a slider.
+ * @param {InteractiveComponent} component The component.
+ */
+function LayoutHandle(component) {
+    // Call the base component.
+    RectangleComponent.call(this, "rgba(0, 0, 0, .3)", "");
+    this.accessibleRole = AccessibleRole.SLIDER;
+    this.pressedScale = .95;
+    /**
+     * The component.
+     * @type {InteractiveComponent}
+     */
+    this.component = component || null;
+    /**
+     * How far (in pixels) the component is drawn to the right of its position, while it is dragged or settles.
+     * @type {number}
+     */
+    this.dragX = 0;
+    /**
+     * How far (in pixels) the component is drawn below its position, while it is dragged or settles.
+     * @type {number}
+     */
+    this.dragY = 0;
+}
+// Inherit from RectangleComponent
+LayoutHandle.prototype = new RectangleComponent();
+/**
+ * Called when the component is invalidated.
+ * @description The handle takes the whole box, so the component can be picked up anywhere in its position.
+ * @param {LayoutBox} box The box the layout of the screen gave the handle.
+ */
+LayoutHandle.prototype.update = function (box) {
+    // Call the RectangleComponent to update the sizes.
+    RectangleComponent.prototype.update.call(this, box);
+    this.x = box.x;
+    this.y = box.y;
+    this.width = box.width;
+    this.height = box.height;
+    this.component.update(box);
+    this.labelText = translate("label.moveControl", { control: this.component.labelText });
+}
+/**
+ * Called by the game loop to draw the position of the handle and the component where it is dragged.
+ */
+LayoutHandle.prototype.draw = function () {
+    this.getRectangle();
+    context.fillStyle = this.color;
+    context.fill();
+    context.save();
+    context.translate(this.dragX, this.dragY);
+    this.component.draw();
+    context.restore();
+}
+/**
+ * Called while the handle is dragged to move the component with the pointer.
+ * @param {Gesture} gesture The drag.
+ */
+LayoutHandle.prototype.onDrag = function (gesture) {
+    animator.stop(this);
+    this.dragX = gesture.dx;
+    this.dragY = gesture.dy;
+}
+/**
+ * Called when the handle is let go to swap the component with the one it was dropped on, if any.
+ * @param {Gesture} gesture The gesture that ended.
+ */
+LayoutHandle.prototype.onGestureEnd = function (gesture) {
+    const target = gesture.isCancelled ? null : game.activeScreen.find(x => x instanceof LayoutHandle && x !== this && x.box.contains(gesture.x, gesture.y));
+    if (target) {
+        const dropX = this.x + this.dragX;
+        const dropY = this.y + this.dragY;
+        const targetX = target.x;
+        const targetY = target.y;
+        game.swapControls(this.component.componentName, target.component.componentName);
+        target.settle(targetX, targetY);
+        this.settle(dropX, dropY);
+    }
+    else {
+        this.settle(this.x + this.dragX, this.y + this.dragY);
+    }
+}
+/**
+ * Called to slide the component from where it is drawn into its position.
+ * @param {number} x The left the component is drawn at.
+ * @param {number} y The top the component is drawn at.
+ */
+LayoutHandle.prototype.settle = function (x, y) {
+    this.dragX = x - this.x;
+    this.dragY = y - this.y;
+    animator.animate(this, "dragX", 0, TransitionDuration);
+    animator.animate(this, "dragY", 0, TransitionDuration);
+}
+/**
+ * Called when the handle is moved by assistive technology or the keyboard, to move the component one position.
+ * @param {string} [direction] The SlideDirection the handle was moved in, which moves the component towards the end when omitted.
+ */
+LayoutHandle.prototype.onActivate = function (direction) {
+    game.moveControl(this.component.componentName, direction === SlideDirection.LEFT ? -1 : 1);
+}
+
+/**
+ * Defines the Resume button.
+ */
+function Resume() {
+    // Call the base component.
+    ButtonComponent.call(this, "orange", "");
+    this.labelKey = "label.resume";
+}
+// Inherit from ButtonComponent
+Resume.prototype = new ButtonComponent();
+/**
+ * Called when the Resume button is activated.
+ */
+Resume.prototype.onActivate = function () {
+    game.resume();
+}
+
+/**
+ * Defines a set of colors the game is drawn with.
+ * @description Components are given their colors in the classic theme, which other themes replace.
+ * @param {string} name The name that the theme is saved with, which is also the key of its label in Translations.
+ * @param {string} background The CSS color of the page behind the components.
+ * @param {string} text The CSS color of text drawn on the background, such as the score.
+ * @param {Object<string, string>} colors The CSS color to use instead of each classic color that the theme changes.
+ */
+function ColorTheme(name, background, text, colors) {
+    /**
+     * The name that the theme is saved with.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The CSS color of the page behind the components.
+     * @type {string}
+     */
+    this.background = background;
+    /**
+     * The CSS color of text drawn on the background.
+     * @type {string}
+     */
+    this.text = text;
+    /**
+     * The CSS color to use instead of each classic color that the theme changes.
+     * @type {Object<string, string>}
+     */
+    this.colors = colors;
+}
+/**
+ * Gets the text shown to the user.
+ * @returns {string} The label.
+ */
+ColorTheme.prototype.getLabel = function () {
+    return translate(`colorTheme.${this.name}`);
+}
+/**
+ * Gets the color to draw with in the theme.
+ * @param {string} color The CSS color in the classic theme.
+ * @returns {string} The CSS color.
+ */
+ColorTheme.prototype.getColor = function (color) {
+    return this.colors[color] || color;
+}
+
+/**
+ * Defines the game that is played on the page, which adds the screens, pausing and the choices of how it looks to the rules in GameCore.
+ * @param {{clock: GameClock, createRandom: function(string): SeededRandom, storage: SafeStorage, profile: PlayerProfile, speech: Speaker, renderer: CanvasRenderer}} options The options of GameCore, where the renderer is needed to draw the game.
+ */
+function Game(options) {
+    GameCore.call(this, options);
+    /**
+     * The custom arrangements of the layouts that the user has made.
+     * @type {LayoutArrangements}
+     */
+    this.arrangements = new LayoutArrangements(this.storage);
+    /**
+     * The layout of the components that actions are performed with in the layout editor, which is arranged like the ones that are played with.
+     * @type {FlexLayout}
+     */
+    this.layoutEditor = this.createPlayLayout([new TapIt(), new TurnIt(), new SlideIt()].map(x => ({ content: new LayoutHandle(x), key: x.componentName })));
+    /**
+     * The layout of each screen, which places its components.
+     * @description The second player's components in versus are placed in reverse, so the two sets mirror each other.
+     * @type {Object<string, Layout>}
+     */
+    this.layouts = {
+        "menu": new ScreenLayout({
+            content: new FlexLayout([
+                new StackLayout([new Start(), new VolumeSlider(SoundChannel.MASTER), new UpdateButton()]),
+                new StackLayout([new DifficultyPicker(), new VolumeSlider(SoundChannel.VOICE)]),
+                new StackLayout([new InstructionModeToggle(), new VolumeSlider(SoundChannel.EFFECTS)]),
+            ]),
+            top: new PlayModeToggle(),
+            bottom: new DecoyModeToggle(),
+            topLeft: new StatsButton(),
+            topRight: new SettingsButton(),
+            bottomLeft: new LearnButton(),
+        }),
+        "learn": new ScreenLayout({ content: new FlexLayout([new TutorialButton(), new PracticeButton()]), bottom: new BackButton() }),
+        "tutorial": new ScreenLayout({ content: this.createPlayLayout([new TapIt(), new TurnIt(), new SlideIt()]), topLeft: new CloseButton() }),
+        "stats": new ScreenLayout({
+            content: new FlexLayout([{ content: new ScoreChart(), span: 2 }, new ActionStats()]),
+            top: new WatchBestReplayButton(),
+            bottom: new BackButton(),
+            bottomLeft: new ImportReplayButton(),
+            bottomRight: new DownloadBestReplayButton(),
+        }),
+        "settings": new ScreenLayout({
+            content: new GridLayout(this.createSettings(), { columns: 3, portraitColumns: 1, rowSpacing: 0 }),
+            top: new EditLayoutButton(),
+            bottom: new BackButton(),
+            topRight: new ControlsButton(),
+        }),
+        "controls": new ScreenLayout({
+            content: new GridLayout(Object.values(Command).map(x => new BindingControl(x)), { columns: 5, portraitColumns: 2, rowSpacing: 0 }),
+            top: new ResetControlsButton(),
+            bottom: new BackButton(),
+        }),
+        "layout": new ScreenLayout({ content: this.layoutEditor, top: new ResetLayoutButton(), bottom: new BackButton() }),
+        "game": new ScreenLayout({ content: this.createPlayLayout([new TapIt(), new TurnIt(), new SlideIt()]), topLeft: new PauseButton() }),
+        "versus": new StackLayout(this.players.map((player, i) => new ScreenLayout({
+            content: this.createPlayLayout([new TapIt(player), new TurnIt(player), new SlideIt(player)], i > 0),
+            topLeft: i === 0 ? new PauseButton(player) : null,
+        }, player))),
+        "paused": new ScreenLayout({ content: new FlexLayout([new Resume(), new MenuButton()]) }),
+        "handoff": new ScreenLayout({ content: new FlexLayout([new Results(), new NextPlayer(), new MenuButton()]) }),
+        "gameover": new ScreenLayout({
+            content: new FlexLayout([new Results(), new Retry(), new MenuButton()]),
+            top: new WatchReplayButton(),
+            bottom: new DownloadReplayButton(),
+        }),
+    };
+    /**
+     * The possible screens to draw, which are the components of each layout.
+     * @type {Object<string, InteractiveComponent[]>}
+     */
+    this.screens = {};
+    Object.keys(this.layouts).forEach(x => { this.screens[x] = this.layouts[x].getComponents(); });
+    /**
+     * The screen that is being drawn.
+     */
+    this.activeScreen = this.screens["menu"];
+    /**
+     * The screens that opened the active screen, which going back returns to, most recent last.
+     * @type {InteractiveComponent[][]}
+     */
+    this.screenHistory = [];
+    /**
+     * The value of performance.now() when the countdown to resume ends, or -1 if it is not counting down.
+     * @description Game time is stopped while paused, so the countdown is measured in real time.
+     * @type {number}
+     */
+    this.resumeTime = -1;
+    /**
+     * The ColorTheme chosen by the user.
+     * @type {ColorTheme}
+     */
+    this.colorTheme = ColorThemes.find(x => x.name === this.storage.getItem("color-theme")) || ColorThemes[0];
+    /**
+     * Indicates if the user chose the left-handed layout, which puts the components the other way around.
+     * @type {boolean}
+     */
+    this.isLeftHanded = this.storage.getItem("left-handed") === "true";
+    /**
+     * The CSS color the screen is flashed with, for example red when the game ends.
+     * @type {string}
+     */
+    this.flashColor = "red";
+    /**
+     * How opaque the flash is drawn over the screen, which fades to 0.
+     * @type {number}
+     */
+    this.flashOpacity = 0;
+    /**
+     * The tutorial or practice that was started last, or null if none has been.
+     * @type {Tutorial}
+     */
+    this.tutorial = null;
+    this.applyColorTheme();
+}
+// Inherit from GameCore
+Game.prototype = new GameCore();
+/**
+ * Gets the controls of the settings screen.
+ * @description Each control changes and saves its setting, and the ones for speech speak a sample so the user hears the change.
+ * @returns {SettingControl[]} The controls.
+ */
+Game.prototype.createSettings = function () {
+    return [
+        new ToggleControl("setting.speech", () => this.getInstructionMode() !== InstructionMode.VISUAL, x => {
+            this.setInstructionMode(x ? InstructionMode.BOTH : InstructionMode.VISUAL);
+            this.previewSpeech();
+        }),
+        new OptionPicker("setting.voice", () => speechSettings.getVoiceURIs(), () => speechSettings.voiceURI, x => {
+            speechSettings.setVoice(x);
+            this.previewSpeech();
+        }, x => speechSettings.getVoiceName(x)),
+        new StepperControl("setting.rate", SpeechRates, () => speechSettings.rate, x => {
+            speechSettings.setRate(x);
+            this.previewSpeech();
+        }, x => translate("setting.times", { value: x })),
+        new StepperControl("setting.pitch", SpeechPitches, () => speechSettings.pitch, x => {
+            speechSettings.setPitch(x);
+            this.previewSpeech();
+        }, x => translate("setting.times", { value: x })),
+        new OptionPicker("setting.language", () => Object.keys(Translations), () => localizer.language, x => {
+            this.setLanguage(x);
+            this.previewSpeech();
+        }, x => Translations[x].language),
+        new OptionPicker("setting.difficulty", () => Difficulties, () => this.difficulty, x => this.setDifficulty(x), x => x.getLabel()),
+        new ToggleControl("setting.leftHanded", () => this.isLeftHanded, x => this.setLeftHanded(x)),
+        new OptionPicker("setting.colors", () => ColorThemes, () => this.colorTheme, x => this.setColorTheme(x), x => x.getLabel()),
+        new OptionPicker("setting.sounds", () => SoundThemes, () => audioEngine.theme, x => {
+            audioEngine.setTheme(x);
+            audioEngine.play("SUCCESS");
+        }, x => x.getLabel()),
+    ];
+}
+/**
+ * Gets the layout of the components that actions are performed with.
+ * @description Every such layout shares the custom arrangement the user makes in the layout editor, and is placed the other way around in the left-handed layout.
+ * @param {Array} items The components, or the items with them, in the order TapIt, TurnIt and SlideIt.
+ * @param {boolean} [isReversed] Indicates if the components are always placed the other way around, like those of the second player in versus.
+ * @returns {FlexLayout} The layout.
+ */
+Game.prototype.createPlayLayout = function (items, isReversed) {
+    return new FlexLayout(items, { id: "play", isMirrored: true, isReversed: isReversed });
+}
+/**
+ * Called to move to the next InstructionMode and save it.
+ */
+Game.prototype.toggleInstructionMode = function () {
+    if (this.getInstructionMode() !== this.instructionMode) {
+        // Speech isn't available, so there is nothing to choose.
+        return;
+    }
+    const modes = Object.values(InstructionMode);
+    this.setInstructionMode(modes[(modes.indexOf(this.instructionMode) + 1) % modes.length]);
+    this.update();
+}
+/**
+ * Called to speak a sample instruction with the speech settings, for example when they change.
+ */
+Game.prototype.previewSpeech = function () {
+    audioEngine.unlock();
+    if (this.getInstructionMode() !== InstructionMode.VISUAL) {
+        this.speech.cancel();
+        this.speak(Actions.TAP.Text);
+    }
+}
+/**
+ * Called to start a new game.
+ * @param {string} [seed] The seed to pick the actions with, for example to play a replay back. Default is the ?seed= URL parameter or a seed from the difficulty.
+ */
+Game.prototype.start = function (seed) {
+    GameCore.prototype.start.call(this, seed || UrlSeed);
+}
+/**
+ * Called when a new game starts, to record it.
+ */
+Game.prototype.onStart = function () {
+    // Starting a game is always a press, which lets the sounds play.
+    audioEngine.unlock();
+    replayRecorder.begin();
+}
+/**
+ * Called when a turn starts, to show the screen it is played on.
+ */
+Game.prototype.onTurnStart = function () {
+    this.resumeTime = -1;
+    screenWakeLock.request();
+    this.showScreen(this.getPlayScreenName());
+}
+/**
+ * Called when an action is given, to record it for the replay.
+ */
+Game.prototype.onActionGiven = function () {
+    replayRecorder.recordAction(this.expectedAction);
+}
+/**
+ * Called when the turn or game has ended, to finish the replay and show the results.
+ * @param {boolean} isNewBest Indicates if a new best score was set.
+ */
+Game.prototype.onEnd = function (isNewBest) {
+    replayRecorder.finish(isNewBest);
+    screenWakeLock.release();
+    this.flash("red");
+    this.showScreen(this.getNextPlayer() ? "handoff" : "gameover");
+}
+/**
+ * Called when a player has performed the expected action, to make the component they performed it with pop.
+ * @param {Player} player The player.
+ */
+Game.prototype.onActionCompleted = function (player) {
+    if (!this.expectedAction.IsDecoy) {
+        this.getPlayScreen()
+            .filter(x => x.componentName === this.expectedAction.Component && (!x.player || x.player === player))
+            .forEach(x => x.animateSuccess());
     }
 }
-Game.prototype.handleTurn = function () {
-    if (this.expectedAction.Name === "TURN") {
-        this.nextAction();
+/**
+ * Called to play a sound of the sound theme.
+ * @param {string} name The name of the sound.
+ */
+Game.prototype.playSound = function (name) {
+    audioEngine.play(name);
+}
+/**
+ * Called to tell users of screen readers what happened.
+ * @param {string} message The message.
+ */
+Game.prototype.announce = function (message) {
+    accessibleOverlay.announce(message);
+}
+/**
+ * Gets a value indicating if a replay is being watched.
+ * @returns {boolean} True if a replay is being played back.
+ */
+Game.prototype.isReplaying = function () {
+    return replayRecorder.isPlayingBack();
+}
+/**
+ * Gets the screen that is played on.
+ * @returns {InteractiveComponent[]} The screen.
+ */
+Game.prototype.getPlayScreen = function () {
+    return this.screens[this.getPlayScreenName()];
+}
+/**
+ * Gets the name of the screen that is played on.
+ * @returns {string} The name of the screen in screens.
+ */
+Game.prototype.getPlayScreenName = function () {
+    if (this.isTutorialShown()) {
+        return "tutorial";
     }
-    else {
-        this.end();
+    return this.activePlayMode === PlayMode.VERSUS ? "versus" : "game";
+}
+/**
+ * Gets the PlayMode to use.
+ * @description Versus needs room for two sets of components side by side, so it falls back to hot-seat on narrow screens.
+ * @returns {string} The PlayMode.
+ */
+Game.prototype.getPlayMode = function () {
+    return this.playMode === PlayMode.VERSUS && !isVersusAvailable() ? PlayMode.HOT_SEAT : this.playMode;
+}
+/**
+ * Called to move to the next PlayMode that can be used and save it.
+ */
+Game.prototype.selectNextPlayMode = function () {
+    const modes = Object.values(PlayMode).filter(x => x !== PlayMode.VERSUS || isVersusAvailable());
+    this.playMode = modes[(modes.indexOf(this.getPlayMode()) + 1) % modes.length];
+    this.save("play-mode", this.playMode);
+    this.update();
+}
+/**
+ * Called to start the tutorial or practice, which are played on their own screen without a time limit.
+ * @param {string} mode The TutorialMode.
+ */
+Game.prototype.startTutorial = function (mode) {
+    // Starting is always a press, which lets the sounds play.
+    audioEngine.unlock();
+    this.tutorial = new Tutorial(mode);
+    this.openScreen("tutorial");
+    this.giveLesson();
+}
+/**
+ * Called when the page loads to offer the tutorial, the first time the game is played.
+ */
+Game.prototype.offerTutorial = function () {
+    if (this.storage.getItem(TutorialOfferedKey) === "true" || this.profile.getTotals().games > 0) {
+        return;
+    }
+    this.save(TutorialOfferedKey, "true");
+    this.openScreen("learn");
+}
+/**
+ * Gets a value indicating if the tutorial or practice is being played.
+ * @returns {boolean} True if its screen is shown.
+ */
+Game.prototype.isTutorialShown = function () {
+    return this.activeScreen === this.screens["tutorial"];
+}
+/**
+ * Called to give the action the tutorial expects, or to say that any action can be performed.
+ */
+Game.prototype.giveLesson = function () {
+    const action = this.tutorial.getAction();
+    if (action) {
+        this.playSound(action.getKey());
+        if (this.getInstructionMode() !== InstructionMode.VISUAL) {
+            this.speech.cancel();
+            this.speak(action.Text);
+        }
     }
+    this.announce([this.tutorial.feedback, this.tutorial.getPrompt(), this.tutorial.getHint()].filter(x => x).join(" "));
 }
-Game.prototype.handleSlide = function () {
-    if (this.expectedAction.Name === "SLIDE") {
-        this.nextAction();
+/**
+ * Called when the user performs an action, which the tutorial or practice takes while it is being played.
+ * @param {string} name The name of the action.
+ * @param {string} [direction] The SlideDirection the action was performed in, if it has one.
+ * @param {Player} [player] The player who performed the action, if it isn't the player whose turn it is.
+ */
+Game.prototype.handleAction = function (name, direction, player) {
+    if (!this.isTutorialShown()) {
+        GameCore.prototype.handleAction.call(this, name, direction, player);
+        return;
+    }
+    const isGiven = this.tutorial.getAction() !== null;
+    if (!this.tutorial.handleAction(name, direction)) {
+        this.playSound("FAILURE");
+        this.announce(`${this.tutorial.feedback} ${this.tutorial.getHint()}`);
+        return;
+    }
+    this.playSound("SUCCESS");
+    const component = getAction(name).Component;
+    if (component) {
+        this.getPlayScreen().filter(x => x.componentName === component).forEach(x => x.animateSuccess());
+    }
+    if (isGiven) {
+        this.giveLesson();
     }
     else {
-        this.end();
+        this.announce(this.tutorial.feedback);
+    }
+}
+/**
+ * Called when a component's gesture falls short of being recognized, which the tutorial and practice explain.
+ * @param {string} miss The GestureMiss.
+ * @param {number} [progress] How much of the gesture was made, from 0 to 1, for misses that measure it.
+ */
+Game.prototype.handleMiss = function (miss, progress) {
+    if (this.isTutorialShown()) {
+        this.tutorial.handleMiss(miss, progress);
+        this.announce(this.tutorial.feedback);
+    }
+}
+/**
+ * Gets a value indicating if an action can be given, so the components know which gestures to wait for.
+ * @description The tutorial and practice teach every gesture, whatever the difficulty.
+ * @param {string} name The name of the action.
+ * @returns {boolean} True if the action can be given.
+ */
+Game.prototype.hasAction = function (name) {
+    return this.isTutorialShown() ? Object.values(Actions).some(x => x.Name === name && x.isAvailable()) : GameCore.prototype.hasAction.call(this, name);
+}
+/**
+ * Called to go back to the menu.
+ * @description A game that is paused is abandoned without saving its score.
+ */
+Game.prototype.showMenu = function () {
+    replayRecorder.cancel();
+    screenWakeLock.release();
+    this.isEnded = true;
+    this.isPaused = false;
+    this.resumeTime = -1;
+    this.showScreen("menu");
+}
+/**
+ * Called to switch to a screen that doesn't go back anywhere, such as the menu or the game.
+ * @param {string} name The name of the screen in screens.
+ */
+Game.prototype.showScreen = function (name) {
+    this.screenHistory = [];
+    this.activeScreen = this.screens[name];
+    this.animateScreen();
+    this.update();
+}
+/**
+ * Called to open a screen over the active one, which going back returns to.
+ * @description A browser history entry is added too, so the back button of the browser or phone closes the screen.
+ * @param {string} name The name of the screen in screens.
+ */
+Game.prototype.openScreen = function (name) {
+    this.screenHistory.push(this.activeScreen);
+    this.activeScreen = this.screens[name];
+    history.pushState({ screen: name }, "");
+    this.animateScreen();
+    this.update();
+}
+/**
+ * Called to go back to the screen that opened the active one.
+ */
+Game.prototype.back = function () {
+    if (this.screenHistory.length > 0) {
+        // The browser calls onHistoryBack once it has gone back.
+        history.back();
+    }
+}
+/**
+ * Called when the browser goes back, for example with its back button, to close the screen that was opened last.
+ */
+Game.prototype.onHistoryBack = function () {
+    // A key or button pressed once the controls are closed isn't bound.
+    controlBindings.cancelRemap();
+    if (this.screenHistory.length > 0) {
+        this.activeScreen = this.screenHistory.pop();
+        this.animateScreen();
+        this.update();
+    }
+}
+/**
+ * Called when the active screen is switched to, to bring its components in one after the other.
+ */
+Game.prototype.animateScreen = function () {
+    this.activeScreen.forEach((x, i) => x.animateShow(i * TransitionStagger));
+}
+/**
+ * Called to flash the screen with a color that fades away.
+ * @param {string} color The CSS color in the classic theme.
+ */
+Game.prototype.flash = function (color) {
+    this.flashColor = color;
+    animator.animate(this, "flashOpacity", 0, FailureFlashDuration, { from: .5, easing: Easing.easeIn });
+}
+/**
+ * Called to change the language and translate everything into it.
+ * @param {string} language The key of the language in Translations.
+ */
+Game.prototype.setLanguage = function (language) {
+    localizer.chooseLanguage(language);
+    Object.values(Actions).forEach(x => x.localize());
+    this.players.forEach((x, i) => { x.name = translate("player.name", { number: i + 1 }); });
+}
+/**
+ * Called to change the ColorTheme and save it.
+ * @param {ColorTheme} theme The theme.
+ */
+Game.prototype.setColorTheme = function (theme) {
+    this.colorTheme = theme;
+    this.save("color-theme", this.colorTheme.name);
+    this.applyColorTheme();
+}
+/**
+ * Called to draw with the ColorTheme, including the page behind the game area.
+ */
+Game.prototype.applyColorTheme = function () {
+    this.renderer.setColorTheme(this.colorTheme);
+}
+/**
+ * Called to change between the left-handed and right-handed layouts and save it.
+ * @param {boolean} isLeftHanded Indicates if the left-handed layout is used.
+ */
+Game.prototype.setLeftHanded = function (isLeftHanded) {
+    this.isLeftHanded = isLeftHanded;
+    this.save("left-handed", String(this.isLeftHanded));
+}
+/**
+ * Called to move to the next difficulty and save it.
+ */
+Game.prototype.selectNextDifficulty = function () {
+    this.setDifficulty(Difficulties[(Difficulties.indexOf(this.difficulty) + 1) % Difficulties.length]);
+    this.update();
+}
+/**
+ * Called to move to the next DecoyMode and save it.
+ */
+Game.prototype.selectNextDecoyMode = function () {
+    this.decoyMode = DecoyModes[(DecoyModes.indexOf(this.decoyMode) + 1) % DecoyModes.length];
+    this.save("decoy-mode", this.decoyMode.name);
+    this.update();
+}
+/**
+ * Called to pause the game, for example when the page is hidden.
+ * @description The time left for the expected action is frozen, speech is stopped and presses in progress are cancelled.
+ */
+Game.prototype.pause = function () {
+    if (this.isEnded || (this.isPaused && this.resumeTime < 0)) {
+        return;
+    }
+    this.isPaused = true;
+    this.resumeTime = -1;
+    this.clock.pause();
+    this.speech.cancel();
+    screenWakeLock.release();
+    this.getPlayScreen().forEach(x => {
+        if (x.isPressStarted) {
+            x.onMouseCancel(x.gesture.pointerId);
+        }
+    });
+    this.showScreen("paused");
+    this.announce(translate("announce.paused"));
+}
+/**
+ * Called to count down and then resume the paused game.
+ */
+Game.prototype.resume = function () {
+    if (!this.isPaused || this.resumeTime >= 0) {
+        return;
+    }
+    this.resumeTime = performance.now() + ResumeCountdown;
+    screenWakeLock.request();
+    this.showScreen(this.getPlayScreenName());
+    this.announce(translate("announce.resuming", { seconds: Math.ceil(ResumeCountdown / 1000) }));
+}
+/**
+ * Called by the game loop to count down to resume, let the components wait for gestures and play the game.
+ */
+Game.prototype.tick = function () {
+    if (this.isPaused && this.resumeTime >= 0 && performance.now() >= this.resumeTime) {
+        // The countdown is over, so the clock starts again and the current action is repeated.
+        this.isPaused = false;
+        this.resumeTime = -1;
+        this.clock.resume();
+        this.giveInstruction();
     }
+    if (!this.isPaused) {
+        // Keep ticking after the game ends, so a tap held back for a double tap isn't given to the next game.
+        this.getPlayScreen().forEach(x => x.tick());
+    }
+    GameCore.prototype.tick.call(this);
 }
+/**
+ * Called when the components are invalidated, for example when the canvas is resized, to lay out the active screen and sync it for assistive technology.
+ */
 Game.prototype.update = function () {
     if (this.activeScreen) {
-        this.activeScreen.forEach((x, i) => x.update(i));
+        const name = Object.keys(this.screens).find(x => this.screens[x] === this.activeScreen);
+        this.layouts[name].arrange(getAreaBox(gameArea), this.getLayoutContext());
+    }
+    accessibleOverlay.sync(this.screens, this.activeScreen);
+}
+/**
+ * Gets the choices of the user that change the layouts.
+ * @returns {{isLeftHanded: boolean, arrangements: LayoutArrangements}} The choices.
+ */
+Game.prototype.getLayoutContext = function () {
+    return { isLeftHanded: this.isLeftHanded, arrangements: this.arrangements };
+}
+/**
+ * Called to swap two of the components that actions are performed with and save the arrangement.
+ * @param {string} componentName The componentName of a component.
+ * @param {string} otherComponentName The componentName of the component to swap it with.
+ */
+Game.prototype.swapControls = function (componentName, otherComponentName) {
+    const keys = this.layoutEditor.getArrangedItems(this.arrangements).map(x => this.layoutEditor.getKey(x));
+    this.arrangements.swap(this.layoutEditor.id, keys, componentName, otherComponentName);
+    this.update();
+}
+/**
+ * Called to move one of the components that actions are performed with to the next position, swapping it with the component there.
+ * @param {string} componentName The componentName of the component.
+ * @param {number} delta The number of positions to move by as they are placed, which is negative to move towards the start.
+ */
+Game.prototype.moveControl = function (componentName, delta) {
+    const keys = this.layoutEditor.getItems(this.getLayoutContext()).map(x => this.layoutEditor.getKey(x));
+    const otherComponentName = keys[keys.indexOf(componentName) + delta];
+    if (otherComponentName) {
+        this.swapControls(componentName, otherComponentName);
     }
 }
+/**
+ * Called to put the components that actions are performed with back in their usual order.
+ */
+Game.prototype.resetLayout = function () {
+    this.arrangements.reset(this.layoutEditor.id);
+    this.update();
+}
+/**
+ * Called to bind the next key or gamepad button pressed to the command of a control on the controls screen.
+ * @param {BindingControl} control The control.
+ */
+Game.prototype.remapControl = function (control) {
+    controlBindings.startRemap(control.command, () => {
+        this.update();
+        this.announce(control.labelText);
+    });
+    this.update();
+    this.announce(translate("control.press"));
+}
+/**
+ * Called to put the default keys and gamepad buttons back.
+ */
+Game.prototype.resetControls = function () {
+    controlBindings.reset();
+    this.update();
+}
 Game.prototype.draw = function () {
     if (this.activeScreen) {
-        this.activeScreen.forEach(x => x.draw());
+        const isPlaying = this.activeScreen === this.getPlayScreen() && !this.isEnded && !this.isPaused;
+        const isPromptShown = isPlaying && this.getInstructionMode() !== InstructionMode.AUDIO;
+        const lesson = this.isTutorialShown() ? this.tutorial.getAction() : null;
+        this.activeScreen.filter(x => x.isVisible()).forEach(x => {
+            context.save();
+            x.applyAnimation();
+            x.draw();
+            if (isPromptShown && x.componentName === this.expectedAction.Component && !(x.player && x.player.hasPerformed)) {
+                x.drawOutline(this.colorTheme.getColor("yellow"), .06);
+            }
+            if (lesson && lesson.Component && x.componentName === lesson.Component) {
+                x.drawOutline(this.colorTheme.getColor("yellow"), .06);
+                x.drawHint(lesson, this.getHintPhase());
+            }
+            if (x.isFocused) {
+                x.drawOutline(this.colorTheme.text, .03);
+            }
+            context.restore();
+        });
+        if (isPlaying) {
+            GameCore.prototype.draw.call(this);
+        }
+        if (this.isTutorialShown()) {
+            this.renderer.drawPrompt(this.renderer.area, this.tutorial.getPrompt());
+            this.renderer.drawCaption(this.renderer.area, this.tutorial.getCaption());
+        }
+        if (this.isPaused) {
+            this.drawPaused();
+        }
+    }
+    if (this.flashOpacity > 0) {
+        this.renderer.drawFlash(this.colorTheme.getColor(this.flashColor), this.flashOpacity);
     }
 }
-Game.prototype.onMouseMove = function (mouseX, mouseY) {
-    if (this.activeScreen) {
-        this.activeScreen.forEach(x => x.onMouseMove(mouseX, mouseY));
+/**
+ * Gets how far through its gesture the finger of the hint is, which loops every HintDuration.
+ * @description The finger is held still part of the way through the gesture if the user asked for less motion.
+ * @returns {number} The phase, from 0 to 1.
+ */
+Game.prototype.getHintPhase = function () {
+    return animator.isReducedMotion ? HintStillPhase : (performance.now() % HintDuration) / HintDuration;
+}
+/**
+ * Called by the game loop to show that the game is paused, or the countdown to resume it.
+ */
+Game.prototype.drawPaused = function () {
+    if (this.resumeTime < 0) {
+        this.renderer.drawPaused();
+    }
+    else {
+        this.renderer.drawCountdown(Math.max(1, Math.ceil((this.resumeTime - performance.now()) / 1000)));
     }
 }
-Game.prototype.onMouseDown = function (mouseX, mouseY) {
-    if (this.activeScreen) {
-        this.activeScreen.forEach(x => x.onMouseDown(mouseX, mouseY));
+/**
+ * Called when a key or gamepad button bound to a command is pressed.
+ * @param {string} command The Command that was performed.
+ * @param {number} [controller] The index of the gamepad the command came from, or nothing for the keyboard.
+ * @returns {boolean} True if the command was used, or false if it does nothing on the active screen.
+ */
+Game.prototype.onCommand = function (command, controller) {
+    if (this.activeScreen === this.screens["paused"]) {
+        if (command === Command.START || command === Command.PAUSE) {
+            this.resume();
+            return true;
+        }
+        return false;
+    }
+    if (this.screenHistory.length > 0) {
+        if (command === Command.START || command === Command.PAUSE) {
+            this.back();
+            return true;
+        }
+        if (!this.isTutorialShown()) {
+            return false;
+        }
+    }
+    if (this.activeScreen === this.screens["handoff"]) {
+        if (command === Command.START) {
+            this.startNextTurn();
+            return true;
+        }
+        return false;
+    }
+    if (this.activeScreen === this.screens["menu"] || this.activeScreen === this.screens["gameover"]) {
+        if (command === Command.START) {
+            this.start();
+            return true;
+        }
+        return false;
+    }
+    if ((this.isEnded || this.isPaused) && !this.isTutorialShown()) {
+        return false;
+    }
+    // In versus each gamepad plays for the player with its index, and the keyboard for the first player.
+    const player = this.getActivePlayers()[controller || 0] || this.player;
+    switch (command) {
+        case Command.SLIDE_LEFT: {
+            this.handleAction("SLIDE", SlideDirection.LEFT, player);
+            break;
+        }
+        case Command.SLIDE_RIGHT: {
+            this.handleAction("SLIDE", SlideDirection.RIGHT, player);
+            break;
+        }
+        case Command.PAUSE: {
+            this.pause();
+            break;
+        }
+        default: {
+            // The other commands are named after the action they perform.
+            const action = getAction(command);
+            if (!action || !action.isAvailable()) {
+                return false;
+            }
+            this.handleAction(action.Name, null, player);
+            break;
+        }
+    }
+    return true;
+}
+/**
+ * Gets a value indicating if the game is counting down to resume, when input is ignored.
+ * @returns {boolean} True if the game is counting down.
+ */
+Game.prototype.isCountingDown = function () {
+    return this.isPaused && this.resumeTime >= 0;
+}
+/**
+ * Called when a pointer is moved on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that moved.
+ */
+Game.prototype.onMouseMove = function (mouseX, mouseY, pointerId) {
+    if (this.activeScreen && !this.isCountingDown()) {
+        this.activeScreen.forEach(x => x.onMouseMove(mouseX, mouseY, pointerId));
     }
 }
-Game.prototype.onMouseUp = function (mouseX, mouseY) {
+/**
+ * Called when a pointer is pressed on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that was pressed.
+ */
+Game.prototype.onMouseDown = function (mouseX, mouseY, pointerId) {
+    if (this.activeScreen && !this.isCountingDown()) {
+        this.activeScreen.filter(x => x.isVisible()).forEach(x => x.onMouseDown(mouseX, mouseY, pointerId));
+    }
+}
+/**
+ * Called when a pointer is released on the canvas.
+ * @param {number} mouseX The horizontal position of the pointer.
+ * @param {number} mouseY The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer that was released.
+ */
+Game.prototype.onMouseUp = function (mouseX, mouseY, pointerId) {
+    if (this.activeScreen && !this.isCountingDown()) {
+        this.activeScreen.forEach(x => x.onMouseUp(mouseX, mouseY, pointerId));
+    }
+}
+/**
+ * Called when the browser takes a pointer away before it is released.
+ * @param {number} pointerId The identifier of the pointer that was cancelled.
+ */
+Game.prototype.onMouseCancel = function (pointerId) {
     if (this.activeScreen) {
-        this.activeScreen.forEach(x => x.onMouseUp(mouseX, mouseY));
+        this.activeScreen.forEach(x => x.onMouseCancel(pointerId));
     }
 }
 
 // Define the game constants
-const UserLocale = Intl.DateTimeFormat().resolvedOptions().locale;
 const CircleStartAngle = 0;
 const CircleEndAngle = Math.PI * 2;
 const ComponentMargin = 7;
@@ -603,121 +3319,108 @@ const MinLongDimension = (ComponentSize * 3) + (ComponentMargin * 4);
 const MinShortDimension = ComponentSize + (ComponentMargin * 2);
 const ShortDimensionToLong = MinLongDimension / MinShortDimension;
 const LongDimensionToShort = MinShortDimension / MinLongDimension;
-const MinTimeForAction = 1500;
-const Actions = [
-    new Action("TAP", "Tap It!"),
-    new Action("TURN", "Turn It!"),
-    new Action("SLIDE", "Slide It!"),
+const ResumeCountdown = 3000;
+/**
+ * The time (in milliseconds) a component takes to shrink when pressed, or grow back when let go.
+ */
+const PressDuration = 80;
+/**
+ * The scale a component pops up to when the action it performs is scored.
+ */
+const SuccessScale = 1.1;
+/**
+ * The time (in milliseconds) a component takes to pop up and settle back when the action it performs is scored.
+ */
+const SuccessDuration = 240;
+/**
+ * The time (in milliseconds) the screen takes to fade from red when the game ends.
+ */
+const FailureFlashDuration = 500;
+/**
+ * The time (in milliseconds) each component takes to fade and grow in when a screen is switched to.
+ */
+const TransitionDuration = 220;
+/**
+ * The time (in milliseconds) between the components of a screen starting to come in.
+ */
+const TransitionStagger = 30;
+/**
+ * The scale the components of a screen grow in from.
+ */
+const TransitionScale = .9;
+/**
+ * The time (in milliseconds) a second tap has to follow the first within to make a double tap.
+ */
+const DoubleTapInterval = 300;
+/**
+ * The number of recent runs the ScoreChart shows.
+ */
+const ScoreChartLength = 20;
+/**
+ * The longest time (in milliseconds) a drag can take to make a flick.
+ */
+const FlickMaxDuration = 250;
+/**
+ * The shortest distance (relative to the size of the component) a drag has to cover to make a flick.
+ */
+const FlickMinDistance = .3;
+const TurnRequiredAngle = Math.PI;
+const TurnDeadZone = .2;
+const TapSlop = .1;
+const SlideRequiredTravel = .9;
+/**
+ * The time (in milliseconds) the finger of a hint takes to make its gesture, before it starts again.
+ */
+const HintDuration = 1600;
+/**
+ * How far through its gesture the finger of a hint is held if the user asked for less motion.
+ */
+const HintStillPhase = .45;
+/**
+ * The radius of the finger of a hint, relative to the size of the component.
+ */
+const HintFingerSize = .08;
+/**
+ * The sets of colors the user can choose from.
+ * @description Colorblind uses the Okabe-Ito palette, whose colors can be told apart with every common kind of color blindness.
+ */
+const ColorThemes = [
+    new ColorTheme("classic", "rgb(90, 90, 90)", "white", {}),
+    new ColorTheme("light", "rgb(225, 225, 225)", "rgb(40, 40, 40)", {
+        "yellow": "rgb(200, 110, 0)",
+        "rgb(60, 60, 60)": "rgb(105, 105, 105)",
+        "rgba(0, 0, 0, .3)": "rgba(0, 0, 0, .45)",
+    }),
+    new ColorTheme("high-contrast", "black", "white", {
+        "red": "rgb(210, 0, 0)",
+        "green": "rgb(0, 130, 0)",
+        "blue": "rgb(0, 70, 230)",
+        "orange": "rgb(190, 80, 0)",
+        "purple": "rgb(130, 0, 200)",
+        "rgb(60, 60, 60)": "rgb(35, 35, 35)",
+        "rgba(0, 0, 0, .3)": "rgb(45, 45, 45)",
+    }),
+    new ColorTheme("colorblind", "rgb(90, 90, 90)", "white", {
+        "red": "#D55E00",
+        "green": "#009E73",
+        "blue": "#0072B2",
+        "orange": "#E69F00",
+        "purple": "#CC79A7",
+        "limegreen": "#56B4E9",
+        "yellow": "#F0E442",
+    }),
 ];
-const getRandomAction = () => {
-    return Actions[Math.floor(Math.random() * Actions.length)];
-}
-
-// Create the game.
-const gameArea = { top: 0, left: 0, width: 0, height: 0, scale: 0 };
-const game = new Game();
-
-// Setup the game area.
-/** @type {HTMLCanvasElement} */
-const canvas = document.getElementById('root');
-let context = canvas.getContext('2d');
-const setupGameArea = () => {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
-    context = canvas.getContext('2d');
-    const orientation = canvas.width > canvas.height ? "landscape" : "portrait";
-    let longDimension = orientation === "landscape" ? canvas.width : canvas.height;
-    let shortDimension = orientation === "landscape" ? canvas.height : canvas.width;
-    const proportionateShortDimension = longDimension * LongDimensionToShort;
-    if (proportionateShortDimension > shortDimension) {
-        // If the proportionate short dimension does not fit in the available space of the short dimension, we use the available space and calculate the long dimension.
-        longDimension = shortDimension * ShortDimensionToLong;
-    }
-    else {
-        // If the available short dimension space fits the desired short dimension, we just use the desired short dimension.
-        shortDimension = proportionateShortDimension;
-    }
-    switch (orientation) {
-        case "portrait": {
-            gameArea.width = Math.max(shortDimension, MinShortDimension);
-            gameArea.height = Math.max(longDimension, MinLongDimension);
-            gameArea.scale = gameArea.height / MinLongDimension;
-            gameArea.top = 0;
-            gameArea.left = (canvas.width - gameArea.width) / 2;
-            break;
-        }
-        case "landscape": {
-            gameArea.width = Math.max(longDimension, MinLongDimension);
-            gameArea.height = Math.max(shortDimension, MinShortDimension);
-            gameArea.scale = gameArea.height / MinShortDimension;
-            gameArea.left = 0;
-            gameArea.top = (canvas.height - gameArea.height) / 2;
-            break;
-        }
-    }
-    game.update();
-};
-setupGameArea();
-if ("orientationchange" in document) {
-    document.addEventListener("orientationchange", setupGameArea);
-}
-else {
-    const orientationQuery = window.matchMedia("(orientation: portrait)");
-    orientationQuery.addEventListener("change", setupGameArea);
-}
-window.addEventListener('resize', setupGameArea);
-
-const getEventPoint = (event) => {
-    if (event.changedTouches) {
-        const touch = event.changedTouches[0];
-        return {
-            x: touch.clientX,
-            y: touch.clientY,
-        };
-    }
-    return {
-        x: event.clientX,
-        y: event.clientY,
-    }
-};
 
-const getMousePosition = (event) => {
-    const eventPoint = getEventPoint(event);
-    const rect = canvas.getBoundingClientRect(), // abs. size of element
-        scaleX = canvas.width / rect.width,      // relationship bitmap vs. element for x
-        scaleY = canvas.height / rect.height;    // relationship bitmap vs. element for y
-    
-    const mouse = {
-        x: (eventPoint.x - rect.left) * scaleX,   // scale mouse coordinates after they have
-        y: (eventPoint.y - rect.top) * scaleY,    // been adjusted to be relative to element
+// Let the components be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = {
+        LabeledComponent, InteractiveComponent, CircleComponent, RectangleComponent, ButtonComponent, TapIt, TurnIt, SlideIt,
+        Start, UpdateButton, DifficultyPicker, InstructionModeToggle, VolumeSlider, BandButton, DecoyModeToggle, PlayModeToggle, TextPanel, Results, ScoreChart, ActionStats,
+        BackButton, Retry, WatchReplayButton, WatchBestReplayButton, DownloadReplayButton, NextPlayer, MenuButton, CornerButton, PauseButton, StatsButton, SettingsButton,
+        DownloadBestReplayButton, ImportReplayButton, LearnButton, TutorialButton, PracticeButton, CloseButton, SettingControl, ToggleControl, StepperControl, OptionPicker, BindingControl, EditLayoutButton, ResetLayoutButton, ControlsButton, ResetControlsButton, LayoutHandle, Resume, ColorTheme, ColorThemes, Game,
+        CircleStartAngle, CircleEndAngle, ComponentMargin, ComponentSize, MinLongDimension, MinShortDimension, ResumeCountdown,
+        PressDuration, SuccessScale, SuccessDuration, FailureFlashDuration, TransitionDuration, TransitionStagger, TransitionScale,
+        DoubleTapInterval, FlickMaxDuration, FlickMinDistance, TurnRequiredAngle, TurnDeadZone, TapSlop, SlideRequiredTravel,
+        HintDuration, HintStillPhase, HintFingerSize,
     };
-    return mouse;
-};
-
-// Wire up mouse tracking.
-const onMove = (event) => {
-    const mouse = getMousePosition(event);
-    game.onMouseMove(mouse.x, mouse.y);
-};
-window.addEventListener('mousemove', onMove);
-window.addEventListener('touchmove', onMove);
-const onDown = (event) => {
-    const mouse = getMousePosition(event);
-    game.onMouseDown(mouse.x, mouse.y);
-};
-window.addEventListener('mousedown', onDown);
-window.addEventListener('touchstart', onDown);
-const onUp = (event) => {
-    const mouse = getMousePosition(event);
-    game.onMouseUp(mouse.x, mouse.y);
-};
-window.addEventListener('mouseup', onUp);
-window.addEventListener('touchend', onUp);
-
-// Start the game loop.
-const animate = () => {
-    context.clearRect(0, 0, canvas.width, canvas.height);
-    game.draw();
-    requestAnimationFrame(animate);
-};
-animate();
\ No newline at end of file
+}
@@ -0,0 +1,486 @@
+/**
+ * The commands that keys and gamepad buttons can be bound to.
+ */
+const Command = {
+    TAP: "TAP",
+    DOUBLE_TAP: "DOUBLE_TAP",
+    HOLD: "HOLD",
+    FLICK: "FLICK",
+    SHAKE: "SHAKE",
+    TURN: "TURN",
+    SLIDE_LEFT: "SLIDE_LEFT",
+    SLIDE_RIGHT: "SLIDE_RIGHT",
+    START: "START",
+    PAUSE: "PAUSE",
+};
+/**
+ * The bindings used until the player remaps them.
+ * @description Keys are KeyboardEvent.code values and buttons are indexes in the standard gamepad mapping.
+ */
+const DefaultControlBindings = {
+    keys: {
+        TAP: ["Space", "KeyT"],
+        DOUBLE_TAP: ["KeyE"],
+        HOLD: ["KeyH"],
+        FLICK: ["KeyF"],
+        SHAKE: ["KeyX"],
+        TURN: ["KeyR", "ArrowUp"],
+        SLIDE_LEFT: ["ArrowLeft", "KeyA"],
+        SLIDE_RIGHT: ["ArrowRight", "KeyD"],
+        START: ["Enter"],
+        PAUSE: ["Escape", "KeyP"],
+    },
+    buttons: {
+        TAP: [0],
+        DOUBLE_TAP: [2],
+        HOLD: [1],
+        FLICK: [6],
+        SHAKE: [7],
+        TURN: [3],
+        SLIDE_LEFT: [4, 14],
+        SLIDE_RIGHT: [5, 15],
+        START: [9, 0],
+        PAUSE: [9, 8],
+    },
+};
+/**
+ * How far (0 to 1) a stick has to be pushed before it is tracked.
+ */
+const StickDeadZone = .5;
+/**
+ * How far (0 to 1) a stick has to be pushed sideways for a flick.
+ */
+const StickFlickThreshold = .8;
+/**
+ * The longest time (in milliseconds) a stick can be held out for it to count as a flick.
+ */
+const StickFlickDuration = 300;
+/**
+ * The names of the keys whose KeyboardEvent.code doesn't read well, by their code.
+ */
+const KeyNames = {
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    Escape: "Esc",
+};
+
+/**
+ * Gets the name displayed for a key.
+ * @param {string} code The KeyboardEvent.code of the key.
+ * @returns {string} The name, which is the letter or digit for those keys.
+ */
+const getKeyName = (code) => KeyNames[code] || code.replace(/^(Key|Digit|Numpad)(?=.)/, "");
+
+/**
+ * Defines the keys and gamepad buttons bound to each Command.
+ * @description The bindings are saved to local storage so they survive a reload.
+ */
+function ControlBindings() {
+    /**
+     * The codes of the keys bound to each command.
+     * @type {Object<string, string[]>}
+     */
+    this.keys = {};
+    /**
+     * The indexes of the gamepad buttons bound to each command.
+     * @type {Object<string, number[]>}
+     */
+    this.buttons = {};
+    /**
+     * The command that the next key or button pressed will be bound to, or null when not remapping.
+     * @type {string}
+     */
+    this.remapCommand = null;
+    /**
+     * The function called once the key or button is bound, or null if there is none.
+     * @type {function(): void}
+     */
+    this.onRemapped = null;
+    this.load();
+}
+/**
+ * Called to read the bindings from storage, falling back to the defaults for anything missing.
+ */
+ControlBindings.prototype.load = function () {
+    let saved = null;
+    try {
+        saved = JSON.parse(storage.getItem("control-bindings"));
+    }
+    catch (e) {
+        // Unreadable bindings are replaced by the defaults.
+    }
+    const getSaved = (bindings, command, isValid) => {
+        const values = saved && saved[bindings] && saved[bindings][command];
+        // Bindings of the wrong type, for example edited by hand, are replaced by the defaults.
+        return Array.isArray(values) && values.every(isValid) ? values : DefaultControlBindings[bindings][command].slice();
+    };
+    Object.keys(Command).forEach(command => {
+        this.keys[command] = getSaved("keys", command, x => typeof x === "string");
+        this.buttons[command] = getSaved("buttons", command, x => Number.isInteger(x));
+    });
+};
+/**
+ * Called to write the bindings to storage.
+ */
+ControlBindings.prototype.save = function () {
+    storage.setItem("control-bindings", JSON.stringify({ keys: this.keys, buttons: this.buttons }));
+};
+/**
+ * Called to restore and save the default bindings.
+ */
+ControlBindings.prototype.reset = function () {
+    this.cancelRemap();
+    storage.removeItem("control-bindings");
+    this.load();
+};
+/**
+ * Gets the text displayed for the keys and gamepad buttons bound to a command.
+ * @param {string} command The Command.
+ * @returns {string} The names of the keys followed by the numbers of the buttons.
+ */
+ControlBindings.prototype.describe = function (command) {
+    const names = this.keys[command].map(getKeyName).concat(this.buttons[command].map(x => translate("control.button", { number: x + 1 })));
+    return names.length > 0 ? names.join(", ") : translate("control.none");
+};
+/**
+ * Called to bind the next key or gamepad button pressed to a command, in place of its current ones.
+ * @description The key or button isn't performed, so any of them can be bound, even one that is bound to another command.
+ * @param {string} command The Command to bind.
+ * @param {function(): void} [onRemapped] A function called once the key or button is bound, or remapping is cancelled with Escape.
+ */
+ControlBindings.prototype.startRemap = function (command, onRemapped) {
+    this.remapCommand = command;
+    this.onRemapped = onRemapped || null;
+};
+/**
+ * Called to stop waiting for a key or button to bind, for example when the controls are closed.
+ */
+ControlBindings.prototype.cancelRemap = function () {
+    this.remapCommand = null;
+    this.onRemapped = null;
+};
+/**
+ * Called when a key is pressed while remapping, to bind it to the command.
+ * @description Escape cancels remapping instead, so the command keeps its keys.
+ * @param {string} code The KeyboardEvent.code of the key.
+ */
+ControlBindings.prototype.remapKey = function (code) {
+    const onRemapped = this.onRemapped;
+    if (code !== "Escape") {
+        this.bindKey(this.remapCommand, code);
+    }
+    this.cancelRemap();
+    if (onRemapped) {
+        onRemapped();
+    }
+};
+/**
+ * Called when a gamepad button is pressed while remapping, to bind it to the command.
+ * @param {number} index The index of the button in the standard gamepad mapping.
+ */
+ControlBindings.prototype.remapButton = function (index) {
+    const onRemapped = this.onRemapped;
+    this.bindButton(this.remapCommand, index);
+    this.cancelRemap();
+    if (onRemapped) {
+        onRemapped();
+    }
+};
+/**
+ * Gets the commands bound to a key.
+ * @param {string} code The KeyboardEvent.code of the key.
+ * @returns {string[]} The commands bound to the key.
+ */
+ControlBindings.prototype.getKeyCommands = function (code) {
+    return Object.keys(this.keys).filter(command => this.keys[command].includes(code));
+};
+/**
+ * Gets the commands bound to a gamepad button.
+ * @param {number} index The index of the button in the standard gamepad mapping.
+ * @returns {string[]} The commands bound to the button.
+ */
+ControlBindings.prototype.getButtonCommands = function (index) {
+    return Object.keys(this.buttons).filter(command => this.buttons[command].includes(index));
+};
+/**
+ * Called to bind a key to a command in place of its current keys.
+ * @description The key is taken away from any other command it was bound to.
+ * @param {string} command The Command to bind.
+ * @param {string} code The KeyboardEvent.code of the key.
+ */
+ControlBindings.prototype.bindKey = function (command, code) {
+    Object.keys(this.keys).forEach(x => {
+        this.keys[x] = this.keys[x].filter(y => y !== code);
+    });
+    this.keys[command] = [code];
+    this.save();
+};
+/**
+ * Called to bind a gamepad button to a command in place of its current buttons.
+ * @description The button is taken away from any other command it was bound to.
+ * @param {string} command The Command to bind.
+ * @param {number} index The index of the button in the standard gamepad mapping.
+ */
+ControlBindings.prototype.bindButton = function (command, index) {
+    Object.keys(this.buttons).forEach(x => {
+        this.buttons[x] = this.buttons[x].filter(y => y !== index);
+    });
+    this.buttons[command] = [index];
+    this.save();
+};
+
+/**
+ * Defines the keyboard controls.
+ * @param {ControlBindings} bindings The bindings to look keys up in.
+ * @param {{onCommand: function(string): boolean}} handler The object to report commands to.
+ */
+function KeyboardControls(bindings, handler) {
+    /**
+     * The bindings to look keys up in.
+     * @type {ControlBindings}
+     */
+    this.bindings = bindings;
+    /**
+     * The object to report commands to.
+     */
+    this.handler = handler;
+
+    window.addEventListener("keydown", event => this.onKeyDown(event));
+}
+/**
+ * Gets a value indicating if a key is handled by the focused element itself, like Enter on a button or the arrow keys on a slider.
+ * @param {KeyboardEvent} event The event.
+ * @returns {boolean} True if the key is left to the element, so it isn't performed twice.
+ */
+KeyboardControls.prototype.isHandledByTarget = function (event) {
+    const target = event.target;
+    if (!target) {
+        return false;
+    }
+    switch (target.tagName) {
+        case "BUTTON":
+            return event.key === "Enter" || event.key === " ";
+        case "INPUT":
+            return target.type !== "range" || ["ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight", "Home", "End", "PageUp", "PageDown"].includes(event.key);
+        case "SELECT":
+        case "TEXTAREA":
+            return true;
+        default:
+            return false;
+    }
+};
+/**
+ * Called when a key is pressed.
+ * @description Keys the focused control doesn't use are still performed, so the game can be played while a control of the overlay has focus.
+ * @param {KeyboardEvent} event The event.
+ */
+KeyboardControls.prototype.onKeyDown = function (event) {
+    if (event.repeat || event.altKey || event.ctrlKey || event.metaKey) {
+        // Held keys don't repeat actions and browser shortcuts are left alone.
+        return;
+    }
+    if (this.bindings.remapCommand && event.key !== "Tab") {
+        // The key is bound even when a control has focus, since the control that started remapping keeps it. Tab still moves the focus.
+        event.preventDefault();
+        this.bindings.remapKey(event.code);
+        return;
+    }
+    if (this.isHandledByTarget(event)) {
+        return;
+    }
+    const commands = this.bindings.getKeyCommands(event.code);
+    if (commands.length > 0) {
+        event.preventDefault();
+        // Only the first command the handler uses is performed, so a key bound to more than one command acts once.
+        commands.some(command => this.handler.onCommand(command));
+    }
+};
+
+/**
+ * Defines the gamepad controls.
+ * @description Buttons are bound to commands, turning the left stick all the way around is a turn and flicking it sideways is a slide.
+ * @param {ControlBindings} bindings The bindings to look buttons up in.
+ * @param {{onCommand: function(string, number): boolean}} handler The object to report commands to.
+ * @param {GameClock} clock The clock that flicks of the left stick are timed with.
+ */
+function GamepadControls(bindings, handler, clock) {
+    /**
+     * The bindings to look buttons up in.
+     * @type {ControlBindings}
+     */
+    this.bindings = bindings;
+    /**
+     * The object to report commands to.
+     */
+    this.handler = handler;
+    /**
+     * The clock that flicks of the left stick are timed with.
+     * @type {GameClock}
+     */
+    this.clock = clock;
+    /**
+     * The pressed state of each button on each gamepad when it was last polled, by gamepad index.
+     * @type {Map<number, boolean[]>}
+     */
+    this.previousButtons = new Map();
+    /**
+     * The gesture being made with the left stick of each gamepad, by gamepad index.
+     * @type {Map<number, Gesture>}
+     */
+    this.stickGestures = new Map();
+    /**
+     * Indicates if the turn being made with the left stick of each gamepad has been reported, by gamepad index.
+     * @type {Map<number, boolean>}
+     */
+    this.isStickTurnComplete = new Map();
+}
+/**
+ * Called by the game loop to read the connected gamepads.
+ * @description The Gamepad API has no events for buttons or sticks, so they are compared with the previous poll.
+ */
+GamepadControls.prototype.poll = function () {
+    if (!navigator.getGamepads) {
+        return;
+    }
+    Array.from(navigator.getGamepads()).forEach(gamepad => {
+        if (gamepad && gamepad.connected !== false) {
+            this.pollButtons(gamepad);
+            this.pollStick(gamepad);
+        }
+    });
+};
+/**
+ * Called to report the buttons that were pressed since the previous poll.
+ * @param {Gamepad} gamepad The gamepad to read.
+ */
+GamepadControls.prototype.pollButtons = function (gamepad) {
+    const previous = this.previousButtons.get(gamepad.index) || [];
+    const current = gamepad.buttons.map(button => button.pressed);
+    current.forEach((isPressed, index) => {
+        if (isPressed && !previous[index]) {
+            if (this.bindings.remapCommand) {
+                this.bindings.remapButton(index);
+            }
+            else {
+                // Only the first command the handler uses is performed, so a button bound to more than one command acts once.
+                this.bindings.getButtonCommands(index).some(command => this.handler.onCommand(command, gamepad.index));
+            }
+        }
+    });
+    this.previousButtons.set(gamepad.index, current);
+};
+/**
+ * Called to follow the left stick and report turns and flicks.
+ * @param {Gamepad} gamepad The gamepad to read.
+ */
+GamepadControls.prototype.pollStick = function (gamepad) {
+    const x = gamepad.axes[0] || 0;
+    const y = gamepad.axes[1] || 0;
+    const isPushed = Math.sqrt((x * x) + (y * y)) >= StickDeadZone;
+    let gesture = this.stickGestures.get(gamepad.index);
+    if (!gesture) {
+        if (isPushed) {
+            // The stick is measured like a pointer around a center of (0, 0), so a flick must leave the dead zone to be a drag.
+            gesture = new Gesture(gamepad.index, x, y, 0, 0, 0, StickDeadZone, this.clock);
+            this.stickGestures.set(gamepad.index, gesture);
+            this.isStickTurnComplete.set(gamepad.index, false);
+        }
+        return;
+    }
+    if (isPushed) {
+        gesture.moveTo(x, y);
+        if (!this.isStickTurnComplete.get(gamepad.index) && Math.abs(gesture.sweptAngle) >= TurnRequiredAngle) {
+            this.isStickTurnComplete.set(gamepad.index, true);
+            this.handler.onCommand(Command.TURN, gamepad.index);
+        }
+        return;
+    }
+    // The stick went back to the center, so the gesture is over.
+    gesture.cancel();
+    this.stickGestures.delete(gamepad.index);
+    if (gesture.type !== GestureType.ROTATE && gesture.duration <= StickFlickDuration && Math.abs(gesture.x) >= StickFlickThreshold && Math.abs(gesture.x) > Math.abs(gesture.y)) {
+        this.handler.onCommand(gesture.x < 0 ? Command.SLIDE_LEFT : Command.SLIDE_RIGHT, gamepad.index);
+    }
+};
+
+/**
+ * How hard (in m/s², without gravity) the device has to be moved for a jolt to count towards a shake.
+ */
+const ShakeThreshold = 12;
+/**
+ * The number of jolts that make a shake.
+ */
+const ShakeJolts = 3;
+/**
+ * The time (in milliseconds) the jolts of a shake have to happen within.
+ */
+const ShakeWindow = 1000;
+
+/**
+ * Defines the detector for shaking the device.
+ * @param {{onShake: function()}} handler The object to report shakes to.
+ */
+function ShakeDetector(handler) {
+    /**
+     * The object to report shakes to.
+     */
+    this.handler = handler;
+    /**
+     * Indicates if the device has reported its motion, so shakes can be detected.
+     * @description Many browsers support the event without ever firing it, for example on desktops.
+     * @type {boolean}
+     */
+    this.isAvailable = false;
+    /**
+     * The values of performance.now() when the recent jolts happened.
+     * @type {number[]}
+     */
+    this.jolts = [];
+    /**
+     * Indicates if the device was moving hard enough for a jolt when it was last measured.
+     * @type {boolean}
+     */
+    this.isJolting = false;
+
+    window.addEventListener("devicemotion", event => this.onDeviceMotion(event));
+}
+/**
+ * Called while handling a press to ask for access to the motion of the device where the browser requires it.
+ */
+ShakeDetector.prototype.requestPermission = function () {
+    if (typeof DeviceMotionEvent !== "undefined" && typeof DeviceMotionEvent.requestPermission === "function") {
+        DeviceMotionEvent.requestPermission().catch(() => {
+            // Without permission the device never reports its motion, so shaking stays unavailable.
+        });
+    }
+};
+/**
+ * Called when the device reports its motion.
+ * @param {DeviceMotionEvent} event The event.
+ */
+ShakeDetector.prototype.onDeviceMotion = function (event) {
+    const acceleration = event.acceleration;
+    if (!acceleration || acceleration.x === null) {
+        return;
+    }
+    this.isAvailable = true;
+    const force = Math.sqrt((acceleration.x * acceleration.x) + (acceleration.y * acceleration.y) + (acceleration.z * acceleration.z));
+    const isJolting = force >= ShakeThreshold;
+    if (isJolting && !this.isJolting) {
+        const now = performance.now();
+        this.jolts = this.jolts.filter(x => now - x <= ShakeWindow);
+        this.jolts.push(now);
+        if (this.jolts.length >= ShakeJolts) {
+            this.jolts = [];
+            this.handler.onShake();
+        }
+    }
+    this.isJolting = isJolting;
+};
+
+// Let the controls be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { Command, DefaultControlBindings, getKeyName, ControlBindings, KeyboardControls, GamepadControls, ShakeDetector };
+}
@@ -0,0 +1,1080 @@
+/**
+ * Defines an action.
+ * @description Actions are registered in Actions, where each declares what it is called, the component it is performed with and how it is recognized.
+ * The text of the action is translated from its key in Actions.
+ * @param {string} name The name of the action.
+ * @param {string} component The componentName of the component the action is performed with, or null if it is performed with the whole device.
+ * @param {string} recognizer The Recognizer of the gesture that performs the action.
+ * @param {{direction: string, extraTime: number, isAvailable: function(): boolean}} [options] The SlideDirection the action must be performed in (any direction is accepted when omitted), the time (in milliseconds) added to the time for the action because the gesture takes time to make, and a function that tells if the action can be performed on this device.
+ */
+function Action(name, component, recognizer, options) {
+    /**
+     * The name of the action.
+     * @type {string}
+     */
+    this.Name = name;
+    /**
+     * The componentName of the component the action is performed with, or null if it is performed with the whole device.
+     * @type {string}
+     */
+    this.Component = component;
+    /**
+     * The Recognizer of the gesture that performs the action.
+     * @type {string}
+     */
+    this.Recognizer = recognizer;
+    /**
+     * The SlideDirection the action must be performed in, or null if any direction is accepted.
+     * @type {string}
+     */
+    this.Direction = (options && options.direction) || null;
+    /**
+     * The time (in milliseconds) added to the time for the action because the gesture takes time to make.
+     * @type {number}
+     */
+    this.ExtraTime = (options && options.extraTime) || 0;
+    /**
+     * A function that tells if the action can be performed on this device.
+     * @type {function(): boolean}
+     */
+    this.isAvailable = (options && options.isAvailable) || (() => true);
+    /**
+     * The message to show and speak to the user.
+     * @type {string}
+     */
+    this.Text = "";
+    /**
+     * Indicates if the action is a decoy that must not be performed.
+     * @type {boolean}
+     */
+    this.IsDecoy = false;
+    /**
+     * The variants of the action that are given with different words, by their text.
+     * @type {Map<string, Action>}
+     */
+    this.variants = new Map();
+    this.localize();
+}
+/**
+ * Called to translate the text of the action, for example when the language changes.
+ */
+Action.prototype.localize = function () {
+    this.Text = translate(`action.${this.getKey()}`);
+    // The variants were made from the text in the old language.
+    this.variants.clear();
+}
+/**
+ * Gets the key of the action in Actions, which its statistics are saved under.
+ * @returns {string} The key.
+ */
+Action.prototype.getKey = function () {
+    return this.Direction ? `${this.Name}_${this.Direction}` : this.Name;
+}
+/**
+ * Gets a value indicating if performing an action counts as performing this one.
+ * @param {string} name The name of the action that was performed.
+ * @param {string} [direction] The SlideDirection it was performed in, if it has one.
+ * @returns {boolean} True if the names match and the direction does too, when this action needs one.
+ */
+Action.prototype.isPerformedBy = function (name, direction) {
+    return this.Name === name && (!this.Direction || this.Direction === direction);
+}
+/**
+ * Gets the action given with different words, for example to say it is a decoy.
+ * @param {string} instruction The message to show and speak to the user.
+ * @param {boolean} isDecoy Indicates if the variant must not be performed.
+ * @returns {Action} The variant, which is performed the same way as the action.
+ */
+Action.prototype.getVariant = function (instruction, isDecoy) {
+    if (instruction === this.Text && isDecoy === this.IsDecoy) {
+        return this;
+    }
+    let variant = this.variants.get(instruction);
+    if (!variant) {
+        variant = Object.create(this);
+        variant.Text = instruction;
+        variant.IsDecoy = isDecoy;
+        this.variants.set(instruction, variant);
+    }
+    return variant;
+}
+
+/**
+ * Defines a generator of random numbers that always gives the same numbers for the same seed.
+ * @description The seed is hashed with FNV-1a and the numbers are made with mulberry32.
+ * @param {string} seed The seed.
+ */
+function SeededRandom(seed) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 16777619);
+    }
+    /**
+     * The state the next number is made from.
+     * @type {number}
+     */
+    this.state = hash >>> 0;
+}
+/**
+ * Gets the next number.
+ * @returns {number} A number from 0 up to, but not including, 1.
+ */
+SeededRandom.prototype.next = function () {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Defines a way of giving decoy instructions that must not be performed.
+ * @param {string} name The name that the mode is saved with, which is also the key of its label in Translations.
+ * @param {number} chance The chance (between 0 and 1) that an instruction is a decoy.
+ * @param {function(string): string} getInstruction Gets the words for an instruction that must be performed from the text of the action.
+ * @param {function(string): string} getDecoy Gets the words for a decoy from the text of the action.
+ */
+function DecoyMode(name, chance, getInstruction, getDecoy) {
+    /**
+     * The name that the mode is saved with.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The chance (between 0 and 1) that an instruction is a decoy.
+     * @type {number}
+     */
+    this.chance = chance;
+    /**
+     * Gets the words for an instruction that must be performed from the text of the action.
+     * @type {function(string): string}
+     */
+    this.getInstruction = getInstruction;
+    /**
+     * Gets the words for a decoy from the text of the action.
+     * @type {function(string): string}
+     */
+    this.getDecoy = getDecoy;
+}
+/**
+ * Gets the text shown to the user.
+ * @returns {string} The label.
+ */
+DecoyMode.prototype.getLabel = function () {
+    return translate(`decoyMode.${this.name}`);
+}
+/**
+ * Gets the action to give, which may be a decoy.
+ * @param {Action} action The action that was picked.
+ * @param {SeededRandom} random The random numbers to decide with.
+ * @returns {Action} The variant of the action to give.
+ */
+DecoyMode.prototype.apply = function (action, random) {
+    return random.next() < this.chance
+        ? action.getVariant(this.getDecoy(action.Text), true)
+        : action.getVariant(this.getInstruction(action.Text), false);
+}
+
+/**
+ * Defines the clock that game time is measured with.
+ * @description Game time follows real time but can be paused or slowed down, so everything that is timed in the game uses this clock.
+ * @param {function(): number} [getRealTime] Gets the real time in milliseconds, for example a fake time in tests. Default is performance.now().
+ */
+function GameClock(getRealTime) {
+    /**
+     * Gets the real time in milliseconds.
+     * @type {function(): number}
+     */
+    this.getRealTime = getRealTime || (() => performance.now());
+    /**
+     * The game time (in milliseconds) when the clock was last changed.
+     * @type {number}
+     */
+    this.time = 0;
+    /**
+     * The real time when the clock was last changed.
+     * @type {number}
+     */
+    this.realTime = this.getRealTime();
+    /**
+     * How fast game time passes compared to real time.
+     * @type {number}
+     */
+    this.timeScale = 1;
+    /**
+     * Indicates if game time is stopped.
+     * @type {boolean}
+     */
+    this.isPaused = false;
+}
+/**
+ * Gets the current game time.
+ * @returns {number} The game time in milliseconds.
+ */
+GameClock.prototype.now = function () {
+    if (this.isPaused) {
+        return this.time;
+    }
+    return this.time + ((this.getRealTime() - this.realTime) * this.timeScale);
+}
+/**
+ * Called to bring the clock up to date before it is changed.
+ */
+GameClock.prototype.sync = function () {
+    this.time = this.now();
+    this.realTime = this.getRealTime();
+}
+/**
+ * Called to stop game time.
+ */
+GameClock.prototype.pause = function () {
+    this.sync();
+    this.isPaused = true;
+}
+/**
+ * Called to start game time again after it was paused.
+ */
+GameClock.prototype.resume = function () {
+    this.sync();
+    this.isPaused = false;
+}
+/**
+ * Called to change how fast game time passes.
+ * @param {number} timeScale How fast game time passes compared to real time, for example .5 for half speed.
+ */
+GameClock.prototype.setTimeScale = function (timeScale) {
+    this.sync();
+    this.timeScale = timeScale;
+}
+
+/**
+ * Defines a difficulty.
+ * @param {string} name The name the difficulty is saved under, which is also the key of its label in Translations.
+ * @param {number} startTime The time (in milliseconds) the user has for the first action.
+ * @param {number} minTime The least time (in milliseconds) the user will ever have for an action.
+ * @param {function(number, number): number} pace A function from Pacing that gets the time for an action from the start time and the score.
+ * @param {string[]} actionPool The keys of the Actions that can be given.
+ * @param {string} color The CSS color the difficulty is charted in.
+ * @param {boolean} [isDaily] Indicates if the difficulty is the daily challenge, which gives the same actions to everyone on the same day.
+ */
+function Difficulty(name, startTime, minTime, pace, actionPool, color, isDaily) {
+    /**
+     * The name the difficulty is saved under.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The time (in milliseconds) the user has for the first action.
+     * @type {number}
+     */
+    this.startTime = startTime;
+    /**
+     * The least time (in milliseconds) the user will ever have for an action.
+     * @type {number}
+     */
+    this.minTime = minTime;
+    /**
+     * A function from Pacing that gets the time for an action from the start time and the score.
+     * @type {function(number, number): number}
+     */
+    this.pace = pace;
+    /**
+     * The keys of the Actions that can be given.
+     * @type {string[]}
+     */
+    this.actionPool = actionPool;
+    /**
+     * The CSS color the difficulty is charted in.
+     * @type {string}
+     */
+    this.color = color;
+    /**
+     * Indicates if the difficulty is the daily challenge, which gives the same actions to everyone on the same day.
+     * @type {boolean}
+     */
+    this.isDaily = !!isDaily;
+}
+/**
+ * Gets the text to display for the difficulty.
+ * @returns {string} The label.
+ */
+Difficulty.prototype.getLabel = function () {
+    return translate(`difficulty.${this.name}`);
+}
+/**
+ * Gets the time the user has to perform an action.
+ * @param {number} score The number of correct actions so far.
+ * @returns {number} The time in milliseconds.
+ */
+Difficulty.prototype.getTimeForAction = function (score) {
+    return Math.max(this.minTime, this.pace(this.startTime, score));
+}
+/**
+ * Gets a random action from the action pool.
+ * @param {SeededRandom} random The random numbers to pick with, so the same seed gives the same actions.
+ * @param {DecoyMode} [decoyMode] The way decoys are given, if they are.
+ * @returns {Action} The action, which is a decoy as often as the DecoyMode says.
+ */
+Difficulty.prototype.getRandomAction = function (random, decoyMode) {
+    const actions = this.actionPool.map(key => Actions[key]).filter(x => x.isAvailable());
+    const action = actions[Math.floor(random.next() * actions.length)];
+    return decoyMode ? decoyMode.apply(action, random) : action;
+}
+/**
+ * Gets the seed that the actions of a game are picked with.
+ * @description The daily challenge is seeded with the UTC date so everyone gets the same actions on the same day.
+ * @returns {string} The seed.
+ */
+Difficulty.prototype.getSeed = function () {
+    return this.isDaily ? `daily-${new Date().toISOString().slice(0, 10)}` : Math.random().toString(36).slice(2, 10);
+}
+/**
+ * Gets the key the best score for the difficulty is saved under in the profile.
+ * @description The daily challenge keeps a separate best for each day, which only a game seeded with the date of the day can set, so a chosen or rehearsed sequence can't.
+ * @param {string} [seed] The seed of the game. Default is the seed of a game started now.
+ * @returns {string} The key, or null if the game can't set a best score.
+ */
+Difficulty.prototype.getBestScoreKey = function (seed) {
+    if (!this.isDaily) {
+        return this.name;
+    }
+    const today = this.getSeed();
+    return !seed || seed === today ? today : null;
+}
+/**
+ * Gets a value indicating if an action can be given.
+ * @param {string} name The name of the action.
+ * @returns {boolean} True if an action with the name is in the action pool and can be performed on this device.
+ */
+Difficulty.prototype.hasAction = function (name) {
+    return this.actionPool.some(key => Actions[key].Name === name && Actions[key].isAvailable());
+}
+
+/**
+ * Defines a player and how their game is going.
+ * @param {string} name The name shown to the players.
+ */
+function Player(name) {
+    /**
+     * The name shown to the players.
+     * @type {string}
+     */
+    this.name = name;
+    /**
+     * The area the components of the player are laid out in for versus.
+     * @type {{top: number, left: number, width: number, height: number, scale: number}}
+     */
+    this.area = { top: 0, left: 0, width: 0, height: 0, scale: 0 };
+    /**
+     * The number of correct actions within the allotted time.
+     * @type {number}
+     */
+    this.score = 0;
+    /**
+     * The time (in milliseconds) it took to perform each correct action.
+     * @type {number[]}
+     */
+    this.reactionTimes = [];
+    /**
+     * Indicates if the player has performed the expected action, so they wait for the other player in versus.
+     * @type {boolean}
+     */
+    this.hasPerformed = false;
+    /**
+     * Why the game ended for the player, or null if it hasn't.
+     * @type {string}
+     */
+    this.cause = null;
+}
+/**
+ * Called to clear the player for a new game.
+ */
+Player.prototype.reset = function () {
+    this.score = 0;
+    this.reactionTimes = [];
+    this.hasPerformed = false;
+    this.cause = null;
+}
+
+/**
+ * Defines the rules of the game: which action is expected, how it is scored and paced, and when the game ends.
+ * @description The core doesn't touch the page, so it can run headless. Everything it needs from outside is given in the options, and everything it tells the outside goes through the hooks, which do nothing until they are overridden.
+ * @param {{clock: GameClock, createRandom: function(string): SeededRandom, storage: SafeStorage, profile: PlayerProfile, speech: Speaker, renderer: CanvasRenderer}} [options] The clock that game time is measured with (default is a new GameClock), a function that gets the random numbers for a seed (default makes a SeededRandom), the storage the choices of the user are saved in, the profile that best scores and statistics are saved in, what speaks the instructions and what draws the score, time and prompt. Without storage nothing is saved, without speech instructions are only shown and without a renderer nothing is drawn.
+ */
+function GameCore(options) {
+    options = options || {};
+    /**
+     * The storage the choices of the user are saved in, or null to not save them.
+     * @type {SafeStorage}
+     */
+    this.storage = options.storage || null;
+    /**
+     * The profile that best scores and statistics are saved in, or null to not save them.
+     * @type {PlayerProfile}
+     */
+    this.profile = options.profile || null;
+    /**
+     * What speaks the instructions, or null if nothing can.
+     * @type {Speaker}
+     */
+    this.speech = options.speech || null;
+    /**
+     * What draws the score, the time left and the prompt, or null to not draw them.
+     * @type {CanvasRenderer}
+     */
+    this.renderer = options.renderer || null;
+    /**
+     * Gets the random numbers that the actions are picked with from a seed.
+     * @type {function(string): SeededRandom}
+     */
+    this.createRandom = options.createRandom || (seed => new SeededRandom(seed));
+    const getSaved = key => (this.storage ? this.storage.getItem(key) : null);
+    /**
+     * The players that can take part. Solo only uses the first.
+     * @type {Player[]}
+     */
+    this.players = [1, 2].map(number => new Player(translate("player.name", { number: number })));
+    /**
+     * The player whose turn it is, who is also the one the keyboard plays for in versus.
+     * @type {Player}
+     */
+    this.player = this.players[0];
+    /**
+     * The number of actions given before the expected action in the current turn, which sets the pace.
+     * @type {number}
+     */
+    this.round = 0;
+    /**
+     * The game time when the current turn started.
+     * @type {number}
+     */
+    this.turnStartTime = -1;
+    /**
+     * The seed that the actions of the current or last game are picked with.
+     * @type {string}
+     */
+    this.seed = null;
+    /**
+     * The key the best score of the current or last game is saved under, which is kept from when it started so a daily game that goes past midnight counts for the day it was started, or null if it can't set a best score.
+     * @type {string}
+     */
+    this.bestScoreKey = null;
+    /**
+     * The random numbers that the actions of the current turn are picked with.
+     * @type {SeededRandom}
+     */
+    this.random = null;
+    /**
+     * The PlayMode chosen by the user.
+     * @type {string}
+     */
+    this.playMode = Object.values(PlayMode).includes(getSaved("play-mode")) ? getSaved("play-mode") : PlayMode.SOLO;
+    /**
+     * The PlayMode of the current or last game, which doesn't change when the screen turns mid-game.
+     * @type {string}
+     */
+    this.activePlayMode = PlayMode.SOLO;
+    /**
+     * The difficulty chosen by the user.
+     * @type {Difficulty}
+     */
+    this.difficulty = Difficulties.find(x => x.name === getSaved("difficulty")) || Difficulties.find(x => x.name === "normal");
+    /**
+     * The next action the user is expected to perform.
+     * @type {Action}
+     */
+    this.expectedAction = null;
+    /**
+     * Indicates if the game has ended.
+     */
+    this.isEnded = true;
+    /**
+     * The clock that the time for each action is measured with.
+     * @type {GameClock}
+     */
+    this.clock = options.clock || new GameClock();
+    /**
+     * The game time when the expected action was given.
+     * @type {number}
+     */
+    this.actionStartTime = -1;
+    /**
+     * The game time when the next tick is played.
+     * @type {number}
+     */
+    this.nextTickTime = -1;
+    /**
+     * The game time when the game ends if the user has not performed the expected action.
+     * @type {number}
+     */
+    this.actionDeadline = -1;
+    /**
+     * Indicates if the game is paused, including while counting down to resume.
+     * @type {boolean}
+     */
+    this.isPaused = false;
+    /**
+     * How the last game went, or null if no game has ended.
+     * @description For more than one player, the headline names the winner or the next player and the players list how each did.
+     * @type {{score: number, bestScore: number, isNewBest: boolean, cause: string, reactionTimes: number[], headline: string, seed: string, isReplay: boolean, players: {name: string, score: number, cause: string}[]}}
+     */
+    this.results = null;
+    /**
+     * The InstructionMode chosen by the user.
+     * @type {string}
+     */
+    this.instructionMode = Object.values(InstructionMode).includes(getSaved("instruction-mode")) ? getSaved("instruction-mode") : InstructionMode.BOTH;
+    /**
+     * The DecoyMode chosen by the user.
+     * @type {DecoyMode}
+     */
+    this.decoyMode = DecoyModes.find(x => x.name === getSaved("decoy-mode")) || DecoyModes[0];
+    /**
+     * Indicates if speaking an instruction has failed, for example because it was blocked by the autoplay policy.
+     * @type {boolean}
+     */
+    this.isSpeechFailed = false;
+}
+/**
+ * Called to save a choice of the user, if there is storage to save it in.
+ * @param {string} key The key the choice is saved under.
+ * @param {string} value The choice.
+ */
+GameCore.prototype.save = function (key, value) {
+    if (this.storage) {
+        this.storage.setItem(key, value);
+    }
+}
+/**
+ * Gets the InstructionMode to use.
+ * @description Instructions are only shown when nothing can speak or speaking has failed.
+ * @returns {string} The InstructionMode.
+ */
+GameCore.prototype.getInstructionMode = function () {
+    return this.speech && this.speech.isSupported() && !this.isSpeechFailed ? this.instructionMode : InstructionMode.VISUAL;
+}
+/**
+ * Called to change the InstructionMode and save it.
+ * @param {string} mode The InstructionMode.
+ */
+GameCore.prototype.setInstructionMode = function (mode) {
+    this.instructionMode = mode;
+    this.save("instruction-mode", this.instructionMode);
+}
+/**
+ * Gets the PlayMode to use.
+ * @returns {string} The PlayMode.
+ */
+GameCore.prototype.getPlayMode = function () {
+    return this.playMode;
+}
+/**
+ * Called to change the difficulty and save it.
+ * @param {Difficulty} difficulty The difficulty.
+ */
+GameCore.prototype.setDifficulty = function (difficulty) {
+    this.difficulty = difficulty;
+    this.save("difficulty", this.difficulty.name);
+}
+/**
+ * Gets the DecoyMode to use.
+ * @description The daily challenge is played without decoys, so everyone gets the same instructions.
+ * @returns {DecoyMode} The DecoyMode.
+ */
+GameCore.prototype.getDecoyMode = function () {
+    return this.difficulty.isDaily ? DecoyModes[0] : this.decoyMode;
+}
+/**
+ * Gets a value indicating if an action can be given, so the components know which gestures to wait for.
+ * @param {string} name The name of the action.
+ * @returns {boolean} True if the chosen difficulty can give the action.
+ */
+GameCore.prototype.hasAction = function (name) {
+    return this.difficulty.hasAction(name);
+}
+/**
+ * Gets the best score saved for the chosen difficulty.
+ * @param {string} [key] The key the best score is saved under. Default is the key of a game started now.
+ * @returns {number} The best score or 0 if there is none.
+ */
+GameCore.prototype.getBestScore = function (key) {
+    return this.profile ? this.profile.getBestScore(key || this.difficulty.getBestScoreKey()) : 0;
+}
+/**
+ * Called to save a new best score for the current or last game.
+ * @param {number} score The score to save.
+ */
+GameCore.prototype.saveBestScore = function (score) {
+    if (this.profile && this.bestScoreKey) {
+        this.profile.saveBestScore(this.bestScoreKey, score);
+    }
+}
+/**
+ * Called to start a new game.
+ * @param {string} [seed] The seed to pick the actions with, for example to play a replay back. Default is a seed from the difficulty.
+ */
+GameCore.prototype.start = function (seed) {
+    this.activePlayMode = this.getPlayMode();
+    this.seed = seed || this.difficulty.getSeed();
+    this.bestScoreKey = this.difficulty.getBestScoreKey(this.seed);
+    this.players.forEach(x => x.reset());
+    this.onStart();
+    this.startTurn(this.players[0]);
+}
+/**
+ * Called to start playing with a player, who plays together with the other player in versus.
+ * @param {Player} player The player whose turn it is.
+ */
+GameCore.prototype.startTurn = function (player) {
+    this.player = player;
+    this.isEnded = false;
+    this.isPaused = false;
+    this.clock.resume();
+    this.round = 0;
+    this.turnStartTime = this.clock.now();
+    // Every turn of a game starts from the same seed, so hot-seat players face the same actions.
+    this.random = this.createRandom(this.seed);
+    this.expectedAction = this.difficulty.getRandomAction(this.random, this.getDecoyMode());
+    this.onTurnStart();
+    this.doAction();
+}
+/**
+ * Called to start the turn of the player after the current one in hot-seat.
+ */
+GameCore.prototype.startNextTurn = function () {
+    const player = this.getNextPlayer();
+    if (player) {
+        this.startTurn(player);
+    }
+}
+/**
+ * Called to end the turn or game and show the results.
+ * @param {{name: string, direction: string}} [performedAction] The action the user performed instead of the expected action, or nothing if they ran out of time.
+ * @param {Player} [player] The player who performed the action. When time runs out, every player who hasn't performed the expected action is out.
+ */
+GameCore.prototype.end = function (performedAction, player) {
+    this.isEnded = true;
+    this.playSound("FAILURE");
+    const cause = !performedAction
+        ? translate("cause.slow")
+        : translate(this.expectedAction.IsDecoy ? "cause.decoy" : "cause.wrong", {
+            performed: translate(`performed.${performedAction.direction ? `${performedAction.name}_${performedAction.direction}` : performedAction.name}`),
+            expected: this.expectedAction.Text,
+        });
+    (player ? [player] : this.getActivePlayers().filter(x => !x.hasPerformed)).forEach(x => { x.cause = cause; });
+    if (this.isRecordingStats()) {
+        if (!this.expectedAction.IsDecoy) {
+            this.profile.recordAction(this.expectedAction.getKey(), false);
+        }
+        this.profile.recordRun({
+            date: new Date().toISOString(),
+            score: this.player.score,
+            difficulty: this.difficulty.name,
+            decoyMode: this.getDecoyMode().name,
+            cause: cause,
+        }, this.clock.now() - this.turnStartTime);
+    }
+
+    // Everyone who has played so far counts, so each hot-seat turn can set a new best.
+    const players = this.activePlayMode === PlayMode.SOLO ? [this.player] : this.players.slice(0, this.players.indexOf(this.player) + 1);
+    if (this.activePlayMode === PlayMode.VERSUS) {
+        players.splice(0, players.length, ...this.players);
+    }
+    const topScore = Math.max(...players.map(x => x.score));
+    const bestScore = this.getBestScore(this.bestScoreKey);
+    // Watching a replay doesn't count as playing, and a daily game with a seed of its own can't set the day's best.
+    const isNewBest = topScore > bestScore && !this.isReplaying() && this.bestScoreKey !== null;
+    if (isNewBest) {
+        this.saveBestScore(topScore);
+    }
+    const nextPlayer = this.getNextPlayer();
+    this.results = {
+        score: this.player.score,
+        bestScore: isNewBest ? topScore : bestScore,
+        isNewBest: isNewBest,
+        cause: cause,
+        reactionTimes: this.player.reactionTimes.slice(),
+        headline: nextPlayer ? translate("results.up", { player: nextPlayer.name }) : this.getWinnerText(players),
+        seed: this.seed,
+        isReplay: this.isReplaying(),
+        players: players.length > 1 || nextPlayer ? players.map(x => ({ name: x.name, score: x.score, cause: x.cause })) : [],
+    };
+    this.onEnd(isNewBest);
+    this.announce(this.results.players.length > 0
+        ? `${translate(nextPlayer ? "announce.turnOver" : "announce.gameOver")} ${this.results.headline} ${this.results.players.map(x => `${x.name}: ${x.score.toLocaleString(localizer.locale)}`).join(". ")}.`
+        : `${translate("announce.gameOver")} ${this.results.cause}. ${translate("announce.score", { score: this.player.score })}`);
+}
+/**
+ * Gets a value indicating if the current game counts towards the statistics in the profile.
+ * @description The profile is of the player who plays solo, and watching a replay doesn't count as playing.
+ * @returns {boolean} True if the game is recorded.
+ */
+GameCore.prototype.isRecordingStats = function () {
+    return this.profile !== null && this.activePlayMode === PlayMode.SOLO && !this.isReplaying();
+}
+/**
+ * Gets the text that names the winner.
+ * @description In versus the player who lasted longer wins; otherwise, or when both are out at once, the highest score wins.
+ * @param {Player[]} players The players who played.
+ * @returns {string} The text.
+ */
+GameCore.prototype.getWinnerText = function (players) {
+    const remaining = this.activePlayMode === PlayMode.VERSUS ? players.filter(x => !x.cause) : [];
+    const candidates = remaining.length > 0 ? remaining : players;
+    const topScore = Math.max(...candidates.map(x => x.score));
+    const winners = candidates.filter(x => x.score === topScore);
+    return winners.length === 1 ? translate("results.wins", { player: winners[0].name }) : translate("results.draw");
+}
+/**
+ * Gets the player whose turn is next in hot-seat.
+ * @returns {Player} The player, or null if there is none.
+ */
+GameCore.prototype.getNextPlayer = function () {
+    return this.activePlayMode === PlayMode.HOT_SEAT ? this.players[this.players.indexOf(this.player) + 1] || null : null;
+}
+/**
+ * Gets the players who are playing right now.
+ * @returns {Player[]} Both players in versus, otherwise the player whose turn it is.
+ */
+GameCore.prototype.getActivePlayers = function () {
+    return this.activePlayMode === PlayMode.VERSUS ? this.players : [this.player];
+}
+/**
+ * Called to give the expected action and set the time the user has to perform it.
+ */
+GameCore.prototype.doAction = function () {
+    // Set the deadline that ends the game if the user takes too long
+    this.actionStartTime = this.clock.now();
+    this.actionDeadline = this.actionStartTime + this.difficulty.getTimeForAction(this.round) + this.expectedAction.ExtraTime;
+    this.nextTickTime = this.actionStartTime + this.getTickInterval();
+    this.onActionGiven();
+
+    this.playSound(this.expectedAction.getKey());
+    this.giveInstruction();
+}
+/**
+ * Called to give the instruction for the expected action in the chosen InstructionMode.
+ */
+GameCore.prototype.giveInstruction = function () {
+    if (this.getInstructionMode() !== InstructionMode.VISUAL) {
+        this.speak(this.expectedAction.Text);
+    }
+    const scores = this.getActivePlayers().map(x => x.score);
+    const score = scores.length > 1 ? translate("announce.scoreTo", { score: scores[0], other: scores[1] }) : scores[0];
+    this.announce(`${translate("announce.score", { score: score })} ${this.expectedAction.Text}`);
+}
+/**
+ * Called to speak a text.
+ * @description If speaking fails the game falls back to showing the instructions.
+ * @param {string} text The text.
+ */
+GameCore.prototype.speak = function (text) {
+    this.speech.speak(text, () => {
+        this.isSpeechFailed = true;
+        this.update();
+    });
+}
+/**
+ * Called when the user performs the correct action.
+ */
+GameCore.prototype.nextAction = function () {
+    // Don't do anything if they timer expired before they did the action.
+    if (!this.isEnded) {
+        this.playSound("SUCCESS");
+        this.round += 1;
+        this.getActivePlayers().forEach(x => { x.hasPerformed = false; });
+
+        // Get the next random action
+        this.expectedAction = this.difficulty.getRandomAction(this.random, this.getDecoyMode());
+
+        // Start the action.
+        this.doAction();
+    }
+}
+/**
+ * Called when a player has performed the expected action, or waited out a decoy, to score it.
+ * @description The next action is given once every player who is playing has performed it.
+ * @param {Player} player The player.
+ */
+GameCore.prototype.completeAction = function (player) {
+    player.score += 1;
+    if (!this.expectedAction.IsDecoy) {
+        // Decoys are only passed by waiting out their time, which is not a reaction.
+        const reactionTime = this.clock.now() - this.actionStartTime;
+        player.reactionTimes.push(reactionTime);
+        if (this.isRecordingStats()) {
+            this.profile.recordAction(this.expectedAction.getKey(), true, reactionTime);
+        }
+    }
+    player.hasPerformed = true;
+    this.onActionCompleted(player);
+    if (this.getActivePlayers().every(x => x.hasPerformed)) {
+        this.nextAction();
+    }
+}
+/**
+ * Called when a component recognizes a gesture, to perform the registered action it belongs to.
+ * @param {string} component The componentName of the component, or null for gestures made with the whole device.
+ * @param {string} recognizer The Recognizer of the gesture.
+ * @param {string} [direction] The SlideDirection the gesture was made in, if it has one.
+ * @param {Player} [player] The player who made the gesture, if it isn't the player whose turn it is.
+ */
+GameCore.prototype.handleGesture = function (component, recognizer, direction, player) {
+    const action = Object.values(Actions).find(x => x.Component === component && x.Recognizer === recognizer);
+    if (action) {
+        this.handleAction(action.Name, direction, player);
+    }
+}
+/**
+ * Called when the user performs an action.
+ * @param {string} name The name of the action.
+ * @param {string} [direction] The SlideDirection the action was performed in, if it has one.
+ * @param {Player} [player] The player who performed the action, if it isn't the player whose turn it is.
+ */
+GameCore.prototype.handleAction = function (name, direction, player) {
+    player = player || this.player;
+    if (this.isEnded || this.isPaused || player.hasPerformed) {
+        return;
+    }
+    if (!this.expectedAction.IsDecoy && this.expectedAction.isPerformedBy(name, direction)) {
+        this.completeAction(player);
+    }
+    else {
+        this.end({ name: name, direction: direction }, player);
+    }
+}
+/**
+ * Called when the device is shaken.
+ * @description Shakes are ignored when they can't be given, so jolting the phone while playing doesn't end the game.
+ */
+GameCore.prototype.onShake = function () {
+    if (this.hasAction("SHAKE")) {
+        this.handleGesture(null, Recognizer.SHAKE);
+    }
+}
+/**
+ * Called by the game loop to tick and to end the game once the deadline for the expected action has passed.
+ */
+GameCore.prototype.tick = function () {
+    if (this.isEnded || this.isPaused) {
+        return;
+    }
+    if (this.clock.now() >= this.nextTickTime) {
+        this.playSound("TICK");
+        this.nextTickTime = this.clock.now() + this.getTickInterval();
+    }
+    if (this.clock.now() >= this.actionDeadline) {
+        if (this.expectedAction.IsDecoy) {
+            // Waiting out a decoy is the correct response.
+            this.getActivePlayers().filter(x => !x.hasPerformed).forEach(x => this.completeAction(x));
+        }
+        else {
+            this.end();
+        }
+    }
+}
+/**
+ * Gets the time until the next tick, which gets shorter as the time for the expected action runs out.
+ * @returns {number} The time in milliseconds.
+ */
+GameCore.prototype.getTickInterval = function () {
+    return TickMinInterval + ((TickMaxInterval - TickMinInterval) * this.getTimeLeft());
+}
+/**
+ * Gets the fraction of the time for the expected action that is left.
+ * @returns {number} A value from 1, when the action was just given, to 0, when the time is up.
+ */
+GameCore.prototype.getTimeLeft = function () {
+    const duration = this.actionDeadline - this.actionStartTime;
+    return duration > 0 ? Math.max(0, Math.min(1, (this.actionDeadline - this.clock.now()) / duration)) : 0;
+}
+/**
+ * Called by the game loop to draw the prompt, the time left and the score of each player who is playing.
+ * @description In versus each player gets their own, in their half of the screen.
+ */
+GameCore.prototype.draw = function () {
+    if (!this.renderer || this.isEnded || this.isPaused) {
+        return;
+    }
+    const isPromptShown = this.getInstructionMode() !== InstructionMode.AUDIO;
+    this.getActivePlayers().forEach(x => {
+        const area = this.activePlayMode === PlayMode.VERSUS ? x.area : this.renderer.area;
+        if (isPromptShown && !x.hasPerformed) {
+            this.renderer.drawPrompt(area, this.expectedAction.Text);
+        }
+        this.renderer.drawTimeBar(area, this.getTimeLeft());
+        this.renderer.drawScore(area, x.score);
+    });
+}
+/**
+ * Called when something the user sees has changed. Does nothing unless overridden.
+ */
+GameCore.prototype.update = function () {
+}
+/**
+ * Called to tell users of assistive technology what happened. Does nothing unless overridden.
+ * @param {string} message The message.
+ */
+GameCore.prototype.announce = function (message) {
+}
+/**
+ * Called to play a sound. Does nothing unless overridden.
+ * @param {string} name The name of the sound, which is the key of an action or SUCCESS, FAILURE or TICK.
+ */
+GameCore.prototype.playSound = function (name) {
+}
+/**
+ * Gets a value indicating if a replay is being watched, which doesn't count as playing.
+ * @returns {boolean} False unless overridden.
+ */
+GameCore.prototype.isReplaying = function () {
+    return false;
+}
+/**
+ * Called when a new game starts, before the first turn. Does nothing unless overridden.
+ */
+GameCore.prototype.onStart = function () {
+}
+/**
+ * Called when a turn starts, before its first action is given. Does nothing unless overridden.
+ */
+GameCore.prototype.onTurnStart = function () {
+}
+/**
+ * Called when an action is given, before its instruction. Does nothing unless overridden.
+ */
+GameCore.prototype.onActionGiven = function () {
+}
+/**
+ * Called when a player has performed the expected action, or waited out a decoy, before the next action is given. Does nothing unless overridden.
+ * @param {Player} player The player.
+ */
+GameCore.prototype.onActionCompleted = function (player) {
+}
+/**
+ * Called when the turn or game has ended and the results are set, before they are announced. Does nothing unless overridden.
+ * @param {boolean} isNewBest Indicates if a new best score was set.
+ */
+GameCore.prototype.onEnd = function (isNewBest) {
+}
+
+// Define the rules of the game
+/**
+ * The ways the instruction for each action can be given.
+ */
+const InstructionMode = {
+    AUDIO: "audio",
+    VISUAL: "visual",
+    BOTH: "both",
+};
+/**
+ * The ways the game can be played.
+ */
+const PlayMode = {
+    /** One player. */
+    SOLO: "solo",
+    /** Two players take turns on the same device. */
+    HOT_SEAT: "hot-seat",
+    /** Two players play side by side on the same screen. */
+    VERSUS: "versus",
+};
+/**
+ * The time (in milliseconds) between ticks when an action has just been given.
+ */
+const TickMaxInterval = 600;
+/**
+ * The time (in milliseconds) between ticks when the time for an action is about to run out.
+ */
+const TickMinInterval = 100;
+/**
+ * The gestures that components recognize and actions are performed with.
+ */
+const Recognizer = {
+    TAP: "tap",
+    DOUBLE_TAP: "double-tap",
+    HOLD: "hold",
+    FLICK: "flick",
+    TURN: "turn",
+    SLIDE: "slide",
+    SHAKE: "shake",
+};
+/**
+ * The time (in milliseconds) a press has to stay in place to make a hold.
+ */
+const HoldDuration = 800;
+/**
+ * The directions the Slide It! knob can be slid in.
+ * @description In portrait the bar is upright, so LEFT is towards the top and RIGHT is towards the bottom.
+ */
+const SlideDirection = {
+    LEFT: "LEFT",
+    RIGHT: "RIGHT",
+};
+/**
+ * The actions that can be given, by key.
+ */
+const Actions = {
+    TAP: new Action("TAP", "TapIt", Recognizer.TAP),
+    DOUBLE_TAP: new Action("DOUBLE_TAP", "TapIt", Recognizer.DOUBLE_TAP),
+    HOLD: new Action("HOLD", "TapIt", Recognizer.HOLD, { extraTime: HoldDuration }),
+    FLICK: new Action("FLICK", "TapIt", Recognizer.FLICK),
+    TURN: new Action("TURN", "TurnIt", Recognizer.TURN),
+    SLIDE: new Action("SLIDE", "SlideIt", Recognizer.SLIDE),
+    SLIDE_LEFT: new Action("SLIDE", "SlideIt", Recognizer.SLIDE, { direction: SlideDirection.LEFT }),
+    SLIDE_RIGHT: new Action("SLIDE", "SlideIt", Recognizer.SLIDE, { direction: SlideDirection.RIGHT }),
+    // Shakes can't be given until the page finds that the device reports its motion.
+    SHAKE: new Action("SHAKE", null, Recognizer.SHAKE, { isAvailable: () => false }),
+};
+/**
+ * Gets the first registered action with a name.
+ * @param {string} name The name of the action.
+ * @returns {Action} The action, or undefined if there is none.
+ */
+const getAction = (name) => Object.values(Actions).find(x => x.Name === name);
+/**
+ * The curves that the time for each action can decrease along as the score goes up.
+ * @description Each function takes the settings of the curve and returns a function from the start time and the score to the time for the action.
+ */
+const Pacing = {
+    /**
+     * The time decreases by the same amount for every point.
+     * @param {number} decrease The time (in milliseconds) taken away for every point.
+     */
+    linear: (decrease) => (startTime, score) => startTime - (score * decrease),
+    /**
+     * The time decreases by an amount after a number of points.
+     * @param {number} every The number of points between each decrease.
+     * @param {number} decrease The time (in milliseconds) taken away at each step.
+     */
+    stepped: (every, decrease) => (startTime, score) => startTime - (Math.floor(score / every) * decrease),
+    /**
+     * The time is multiplied by a factor for every point, so it decreases quickly at first and then slows down.
+     * @param {number} factor The factor (less than 1) the time is multiplied by for every point.
+     */
+    exponential: (factor) => (startTime, score) => startTime * Math.pow(factor, score),
+};
+const Difficulties = [
+    new Difficulty("easy", 6000, 2500, Pacing.linear(50), ["TAP", "TURN", "SLIDE"], "limegreen"),
+    new Difficulty("normal", 4500, 1500, Pacing.stepped(3, 250), ["TAP", "TURN", "SLIDE"], "deepskyblue"),
+    new Difficulty("hard", 3500, 1000, Pacing.exponential(.97), ["TAP", "DOUBLE_TAP", "HOLD", "TURN", "SLIDE", "SLIDE_LEFT", "SLIDE_RIGHT"], "orange"),
+    new Difficulty("insane", 2500, 700, Pacing.exponential(.95), ["TAP", "DOUBLE_TAP", "HOLD", "FLICK", "TURN", "SLIDE_LEFT", "SLIDE_RIGHT", "SHAKE"], "red"),
+    // The daily challenge only uses actions that every device can perform, so everyone gets the same ones.
+    new Difficulty("daily", 4500, 1500, Pacing.stepped(3, 250), ["TAP", "TURN", "SLIDE", "SLIDE_LEFT", "SLIDE_RIGHT"], "gold", true),
+];
+/**
+ * The ways decoy instructions can be given.
+ * @description With Simon Says only instructions that start with "Simon says" must be performed; with Don't, instructions that start with "Don't" must not.
+ */
+const DecoyModes = [
+    new DecoyMode("off", 0, text => text, text => text),
+    new DecoyMode("simon-says", .3, text => translate("decoy.simon-says", { action: text }), text => text),
+    new DecoyMode("dont", .25, text => text, text => translate("decoy.dont", { action: text })),
+];
+
+// Let the rules be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = {
+        Action, SeededRandom, DecoyMode, GameClock, Difficulty, Player, GameCore,
+        InstructionMode, PlayMode, TickMaxInterval, TickMinInterval, Recognizer, HoldDuration, SlideDirection, Actions, getAction, Pacing, Difficulties, DecoyModes,
+    };
+}
@@ -0,0 +1,674 @@
+/**
+ * The language used for anything that has no translation, and when none of the user's languages are translated.
+ */
+const DefaultLanguage = "en";
+/**
+ * The key the language chosen by the user is saved under.
+ */
+const LanguageKey = "language";
+
+/**
+ * The text displayed and spoken to the user, by language and key.
+ * @description Values in braces, like {score}, are filled in when the text is translated. The keys of actions are their keys in Actions.
+ */
+const Translations = {
+    en: {
+        "language": "English",
+        "action.TAP": "Tap It!",
+        "action.DOUBLE_TAP": "Double Tap It!",
+        "action.HOLD": "Hold It!",
+        "action.FLICK": "Flick It!",
+        "action.TURN": "Turn It!",
+        "action.SLIDE": "Slide It!",
+        "action.SLIDE_LEFT": "Slide It Left!",
+        "action.SLIDE_RIGHT": "Slide It Right!",
+        "action.SHAKE": "Shake It!",
+        "performed.TAP": "you tapped",
+        "performed.DOUBLE_TAP": "you double tapped",
+        "performed.HOLD": "you held",
+        "performed.FLICK": "you flicked",
+        "performed.TURN": "you turned",
+        "performed.SLIDE": "you slid",
+        "performed.SLIDE_LEFT": "you slid left",
+        "performed.SLIDE_RIGHT": "you slid right",
+        "performed.SHAKE": "you shook",
+        "cause.slow": "Too slow!",
+        "cause.decoy": "Decoy: {performed}, but \"{expected}\" had to be ignored",
+        "cause.wrong": "Wrong action: {performed}, expected \"{expected}\"",
+        "difficulty.easy": "Easy",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Hard",
+        "difficulty.insane": "Insane",
+        "difficulty.daily": "Daily",
+        "decoyMode.off": "Off",
+        "decoyMode.simon-says": "Simon Says",
+        "decoyMode.dont": "Don't",
+        "decoy.simon-says": "Simon says {action}",
+        "decoy.dont": "Don't {action}",
+        "playMode.solo": "Solo",
+        "playMode.hot-seat": "Hot Seat",
+        "playMode.versus": "Versus",
+        "instructionMode.audio": "Audio",
+        "instructionMode.visual": "Visual",
+        "instructionMode.both": "Both",
+        "soundTheme.classic": "Classic",
+        "soundTheme.arcade": "Arcade",
+        "soundTheme.soft": "Soft",
+        "colorTheme.classic": "Classic",
+        "colorTheme.light": "Light",
+        "colorTheme.high-contrast": "High contrast",
+        "colorTheme.colorblind": "Colorblind",
+        "channel.master": "Master",
+        "channel.voice": "Voice",
+        "channel.effects": "Effects",
+        "label.start": "Start",
+        "label.update": "Update available",
+        "label.retry": "Retry",
+        "label.menu": "Menu",
+        "label.resume": "Resume",
+        "label.pause": "Pause",
+        "label.paused": "Paused",
+        "label.stats": "Stats",
+        "label.settings": "Settings",
+        "label.back": "Back",
+        "label.learn": "Learn to play",
+        "label.tutorial": "Tutorial",
+        "label.practice": "Practice",
+        "label.editLayout": "Edit layout",
+        "label.resetLayout": "Reset layout",
+        "label.controls": "Controls",
+        "label.resetControls": "Reset controls",
+        "label.moveControl": "Move {control}",
+        "label.watchReplay": "Watch replay",
+        "label.exportReplay": "Export replay",
+        "label.watchBest": "Watch best run ({difficulty})",
+        "label.exportBest": "Export best run ({difficulty})",
+        "label.importReplay": "Import replay",
+        "label.go": "{player}: Go",
+        "label.best": "Best: {score}",
+        "label.cues": "Cues: {mode}",
+        "label.decoys": "Decoys: {mode}",
+        "label.mode": "Mode: {mode}",
+        "label.volume": "{channel} volume: {percent}%",
+        "label.autoVoice": "Auto",
+        "setting.value": "{setting}: {value}",
+        "setting.on": "On",
+        "setting.off": "Off",
+        "setting.times": "{value}×",
+        "setting.speech": "Speech",
+        "setting.voice": "Voice",
+        "setting.rate": "Speed",
+        "setting.pitch": "Pitch",
+        "setting.language": "Language",
+        "setting.difficulty": "Difficulty",
+        "setting.leftHanded": "Left-handed",
+        "setting.colors": "Colors",
+        "setting.sounds": "Sounds",
+        "control.press": "Press a key or button",
+        "control.button": "Button {number}",
+        "control.none": "None",
+        "player.name": "Player {number}",
+        "results.replay": "Replay",
+        "results.score": "Score: {score}",
+        "results.newBest": "New best!",
+        "results.average": "Average: {time} ms",
+        "results.fastest": "Fastest: {time} ms",
+        "results.seed": "Seed: {seed}",
+        "results.up": "{player}, you're up!",
+        "results.wins": "{player} wins!",
+        "results.draw": "It's a draw!",
+        "stats.recent": "Recent scores",
+        "stats.recentList": "Recent scores: {scores}",
+        "stats.empty": "No games played yet",
+        "stats.games": "Games: {count}",
+        "stats.actions": "Actions: {count}",
+        "stats.played": "Played: {minutes} min",
+        "announce.turnOver": "Turn over.",
+        "announce.gameOver": "Game over.",
+        "announce.score": "Score: {score}.",
+        "announce.scoreTo": "{score} to {other}",
+        "announce.paused": "Paused.",
+        "announce.update": "A new version is ready. Choose Update available on the menu to use it.",
+        "announce.badReplay": "That file isn't a replay this version can play.",
+        "tutorial.practice": "Practice",
+        "tutorial.tryAny": "Try any gesture. There's no time limit.",
+        "tutorial.done": "You've learned every gesture! Keep practicing, or go back to play.",
+        "tutorial.wrong": "Not quite: {performed}.",
+        "tutorial.performed": "Nice, {performed}!",
+        "hint.TAP": "Tap the red circle once.",
+        "hint.DOUBLE_TAP": "Tap the red circle twice, quickly.",
+        "hint.HOLD": "Press the red circle and keep it pressed.",
+        "hint.FLICK": "Swipe across the red circle quickly and let go.",
+        "hint.TURN": "Drag around the green circle for half a turn.",
+        "hint.SLIDE": "Drag the knob to either end of the bar and let go.",
+        "hint.SLIDE_LEFT": "Drag the knob all the way left, or up, and let go.",
+        "hint.SLIDE_RIGHT": "Drag the knob all the way right, or down, and let go.",
+        "hint.SHAKE": "Shake your device.",
+        "miss.turn-short": "Turn further: that was {percent}% of a half turn.",
+        "miss.turn-around": "Drag in a curve around the middle of the circle.",
+        "miss.slide-short": "Drag further: the knob went {percent}% of the way to the end.",
+        "miss.flick-slow": "Flick faster: let go as soon as you swipe.",
+        "miss.flick-short": "Flick further: that was {percent}% of the distance.",
+        "announce.resuming": "Resuming in {seconds}.",
+    },
+    es: {
+        "language": "Español",
+        "action.TAP": "¡Tócalo!",
+        "action.DOUBLE_TAP": "¡Tócalo dos veces!",
+        "action.HOLD": "¡Mantenlo!",
+        "action.FLICK": "¡Lánzalo!",
+        "action.TURN": "¡Gíralo!",
+        "action.SLIDE": "¡Deslízalo!",
+        "action.SLIDE_LEFT": "¡Deslízalo a la izquierda!",
+        "action.SLIDE_RIGHT": "¡Deslízalo a la derecha!",
+        "action.SHAKE": "¡Agítalo!",
+        "performed.TAP": "tocaste",
+        "performed.DOUBLE_TAP": "tocaste dos veces",
+        "performed.HOLD": "mantuviste",
+        "performed.FLICK": "lanzaste",
+        "performed.TURN": "giraste",
+        "performed.SLIDE": "deslizaste",
+        "performed.SLIDE_LEFT": "deslizaste a la izquierda",
+        "performed.SLIDE_RIGHT": "deslizaste a la derecha",
+        "performed.SHAKE": "agitaste",
+        "cause.slow": "¡Demasiado lento!",
+        "cause.decoy": "Señuelo: {performed}, pero había que ignorar «{expected}»",
+        "cause.wrong": "Acción incorrecta: {performed}, se esperaba «{expected}»",
+        "difficulty.easy": "Fácil",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Difícil",
+        "difficulty.insane": "Locura",
+        "difficulty.daily": "Diario",
+        "decoyMode.off": "No",
+        "decoyMode.simon-says": "Simón dice",
+        "decoyMode.dont": "No lo hagas",
+        "decoy.simon-says": "Simón dice {action}",
+        "decoy.dont": "No: {action}",
+        "playMode.solo": "Solo",
+        "playMode.hot-seat": "Por turnos",
+        "playMode.versus": "Versus",
+        "instructionMode.audio": "Audio",
+        "instructionMode.visual": "Visual",
+        "instructionMode.both": "Ambos",
+        "soundTheme.classic": "Clásico",
+        "soundTheme.arcade": "Arcade",
+        "soundTheme.soft": "Suave",
+        "colorTheme.classic": "Clásico",
+        "colorTheme.light": "Claro",
+        "colorTheme.high-contrast": "Alto contraste",
+        "colorTheme.colorblind": "Daltónico",
+        "channel.master": "General",
+        "channel.voice": "Voz",
+        "channel.effects": "Efectos",
+        "label.start": "Empezar",
+        "label.update": "Actualización disponible",
+        "label.retry": "Reintentar",
+        "label.menu": "Menú",
+        "label.resume": "Continuar",
+        "label.pause": "Pausa",
+        "label.paused": "En pausa",
+        "label.stats": "Estadísticas",
+        "label.settings": "Ajustes",
+        "label.back": "Volver",
+        "label.learn": "Aprender a jugar",
+        "label.tutorial": "Tutorial",
+        "label.practice": "Práctica",
+        "label.editLayout": "Editar disposición",
+        "label.resetLayout": "Restablecer disposición",
+        "label.controls": "Controles",
+        "label.resetControls": "Restablecer controles",
+        "label.moveControl": "Mover {control}",
+        "label.watchReplay": "Ver repetición",
+        "label.exportReplay": "Exportar repetición",
+        "label.watchBest": "Ver mejor partida ({difficulty})",
+        "label.exportBest": "Exportar mejor partida ({difficulty})",
+        "label.importReplay": "Importar repetición",
+        "label.go": "{player}: ¡Ya!",
+        "label.best": "Récord: {score}",
+        "label.cues": "Avisos: {mode}",
+        "label.decoys": "Señuelos: {mode}",
+        "label.mode": "Modo: {mode}",
+        "label.volume": "Volumen {channel}: {percent}%",
+        "label.autoVoice": "Automática",
+        "setting.value": "{setting}: {value}",
+        "setting.on": "Sí",
+        "setting.off": "No",
+        "setting.times": "{value}×",
+        "setting.speech": "Habla",
+        "setting.voice": "Voz",
+        "setting.rate": "Velocidad",
+        "setting.pitch": "Tono",
+        "setting.language": "Idioma",
+        "setting.difficulty": "Dificultad",
+        "setting.leftHanded": "Para zurdos",
+        "setting.colors": "Colores",
+        "setting.sounds": "Sonidos",
+        "control.press": "Pulsa una tecla o un botón",
+        "control.button": "Botón {number}",
+        "control.none": "Ninguno",
+        "player.name": "Jugador {number}",
+        "results.replay": "Repetición",
+        "results.score": "Puntos: {score}",
+        "results.newBest": "¡Nuevo récord!",
+        "results.average": "Media: {time} ms",
+        "results.fastest": "Más rápido: {time} ms",
+        "results.seed": "Semilla: {seed}",
+        "results.up": "{player}, ¡te toca!",
+        "results.wins": "¡Gana {player}!",
+        "results.draw": "¡Empate!",
+        "stats.recent": "Puntuaciones recientes",
+        "stats.recentList": "Puntuaciones recientes: {scores}",
+        "stats.empty": "Aún no has jugado",
+        "stats.games": "Partidas: {count}",
+        "stats.actions": "Acciones: {count}",
+        "stats.played": "Jugado: {minutes} min",
+        "announce.turnOver": "Fin del turno.",
+        "announce.gameOver": "Fin de la partida.",
+        "announce.score": "Puntos: {score}.",
+        "announce.scoreTo": "{score} a {other}",
+        "announce.paused": "En pausa.",
+        "announce.update": "Hay una nueva versión. Elige Actualización disponible en el menú para usarla.",
+        "announce.badReplay": "Ese archivo no es una repetición que esta versión pueda reproducir.",
+        "tutorial.practice": "Práctica",
+        "tutorial.tryAny": "Prueba cualquier gesto. No hay límite de tiempo.",
+        "tutorial.done": "¡Has aprendido todos los gestos! Sigue practicando o vuelve para jugar.",
+        "tutorial.wrong": "No exactamente: {performed}.",
+        "tutorial.performed": "¡Bien, {performed}!",
+        "hint.TAP": "Toca el círculo rojo una vez.",
+        "hint.DOUBLE_TAP": "Toca el círculo rojo dos veces, rápido.",
+        "hint.HOLD": "Pulsa el círculo rojo y mantenlo pulsado.",
+        "hint.FLICK": "Desliza rápido sobre el círculo rojo y suelta.",
+        "hint.TURN": "Arrastra alrededor del círculo verde media vuelta.",
+        "hint.SLIDE": "Arrastra el mando hasta un extremo de la barra y suelta.",
+        "hint.SLIDE_LEFT": "Arrastra el mando del todo a la izquierda, o arriba, y suelta.",
+        "hint.SLIDE_RIGHT": "Arrastra el mando del todo a la derecha, o abajo, y suelta.",
+        "hint.SHAKE": "Agita el dispositivo.",
+        "miss.turn-short": "Gira más: fue el {percent}% de media vuelta.",
+        "miss.turn-around": "Arrastra en curva alrededor del centro del círculo.",
+        "miss.slide-short": "Arrastra más: el mando recorrió el {percent}% del camino.",
+        "miss.flick-slow": "Más rápido: suelta en cuanto deslices.",
+        "miss.flick-short": "Más lejos: fue el {percent}% de la distancia.",
+        "announce.resuming": "Continuando en {seconds}.",
+    },
+    fr: {
+        "language": "Français",
+        "action.TAP": "Touche-le !",
+        "action.DOUBLE_TAP": "Touche-le deux fois !",
+        "action.HOLD": "Maintiens-le !",
+        "action.FLICK": "Lance-le !",
+        "action.TURN": "Tourne-le !",
+        "action.SLIDE": "Glisse-le !",
+        "action.SLIDE_LEFT": "Glisse-le à gauche !",
+        "action.SLIDE_RIGHT": "Glisse-le à droite !",
+        "action.SHAKE": "Secoue-le !",
+        "performed.TAP": "tu as touché",
+        "performed.DOUBLE_TAP": "tu as touché deux fois",
+        "performed.HOLD": "tu as maintenu",
+        "performed.FLICK": "tu as lancé",
+        "performed.TURN": "tu as tourné",
+        "performed.SLIDE": "tu as glissé",
+        "performed.SLIDE_LEFT": "tu as glissé à gauche",
+        "performed.SLIDE_RIGHT": "tu as glissé à droite",
+        "performed.SHAKE": "tu as secoué",
+        "cause.slow": "Trop lent !",
+        "cause.decoy": "Piège : {performed}, mais il fallait ignorer « {expected} »",
+        "cause.wrong": "Mauvaise action : {performed}, il fallait « {expected} »",
+        "difficulty.easy": "Facile",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Difficile",
+        "difficulty.insane": "Démentiel",
+        "difficulty.daily": "Du jour",
+        "decoyMode.off": "Non",
+        "decoyMode.simon-says": "Jacques a dit",
+        "decoyMode.dont": "Interdit",
+        "decoy.simon-says": "Jacques a dit {action}",
+        "decoy.dont": "Interdit : {action}",
+        "playMode.solo": "Solo",
+        "playMode.hot-seat": "Chacun son tour",
+        "playMode.versus": "Duel",
+        "instructionMode.audio": "Audio",
+        "instructionMode.visual": "Visuel",
+        "instructionMode.both": "Les deux",
+        "soundTheme.classic": "Classique",
+        "soundTheme.arcade": "Arcade",
+        "soundTheme.soft": "Doux",
+        "colorTheme.classic": "Classique",
+        "colorTheme.light": "Clair",
+        "colorTheme.high-contrast": "Contraste élevé",
+        "colorTheme.colorblind": "Daltonien",
+        "channel.master": "Général",
+        "channel.voice": "Voix",
+        "channel.effects": "Effets",
+        "label.start": "Jouer",
+        "label.update": "Mise à jour disponible",
+        "label.retry": "Rejouer",
+        "label.menu": "Menu",
+        "label.resume": "Reprendre",
+        "label.pause": "Pause",
+        "label.paused": "En pause",
+        "label.stats": "Statistiques",
+        "label.settings": "Réglages",
+        "label.back": "Retour",
+        "label.learn": "Apprendre à jouer",
+        "label.tutorial": "Tutoriel",
+        "label.practice": "Entraînement",
+        "label.editLayout": "Modifier la disposition",
+        "label.resetLayout": "Rétablir la disposition",
+        "label.controls": "Commandes",
+        "label.resetControls": "Rétablir les commandes",
+        "label.moveControl": "Déplacer {control}",
+        "label.watchReplay": "Voir le replay",
+        "label.exportReplay": "Exporter le replay",
+        "label.watchBest": "Voir la meilleure partie ({difficulty})",
+        "label.exportBest": "Exporter la meilleure partie ({difficulty})",
+        "label.importReplay": "Importer un replay",
+        "label.go": "{player} : à toi",
+        "label.best": "Record : {score}",
+        "label.cues": "Consignes : {mode}",
+        "label.decoys": "Pièges : {mode}",
+        "label.mode": "Mode : {mode}",
+        "label.volume": "Volume {channel} : {percent} %",
+        "label.autoVoice": "Automatique",
+        "setting.value": "{setting} : {value}",
+        "setting.on": "Oui",
+        "setting.off": "Non",
+        "setting.times": "{value}×",
+        "setting.speech": "Parole",
+        "setting.voice": "Voix",
+        "setting.rate": "Vitesse",
+        "setting.pitch": "Hauteur",
+        "setting.language": "Langue",
+        "setting.difficulty": "Difficulté",
+        "setting.leftHanded": "Gaucher",
+        "setting.colors": "Couleurs",
+        "setting.sounds": "Sons",
+        "control.press": "Appuie sur une touche ou un bouton",
+        "control.button": "Bouton {number}",
+        "control.none": "Aucune",
+        "player.name": "Joueur {number}",
+        "results.replay": "Replay",
+        "results.score": "Score : {score}",
+        "results.newBest": "Nouveau record !",
+        "results.average": "Moyenne : {time} ms",
+        "results.fastest": "Plus rapide : {time} ms",
+        "results.seed": "Graine : {seed}",
+        "results.up": "{player}, à toi !",
+        "results.wins": "{player} gagne !",
+        "results.draw": "Égalité !",
+        "stats.recent": "Scores récents",
+        "stats.recentList": "Scores récents : {scores}",
+        "stats.empty": "Aucune partie jouée",
+        "stats.games": "Parties : {count}",
+        "stats.actions": "Actions : {count}",
+        "stats.played": "Temps de jeu : {minutes} min",
+        "announce.turnOver": "Fin du tour.",
+        "announce.gameOver": "Partie terminée.",
+        "announce.score": "Score : {score}.",
+        "announce.scoreTo": "{score} à {other}",
+        "announce.paused": "En pause.",
+        "announce.update": "Une nouvelle version est prête. Choisissez Mise à jour disponible dans le menu pour l'utiliser.",
+        "announce.badReplay": "Ce fichier n'est pas un replay que cette version peut lire.",
+        "tutorial.practice": "Entraînement",
+        "tutorial.tryAny": "Essaie n'importe quel geste. Il n'y a pas de limite de temps.",
+        "tutorial.done": "Tu connais tous les gestes ! Continue à t'entraîner, ou reviens pour jouer.",
+        "tutorial.wrong": "Pas tout à fait : {performed}.",
+        "tutorial.performed": "Bien, {performed} !",
+        "hint.TAP": "Touche le cercle rouge une fois.",
+        "hint.DOUBLE_TAP": "Touche le cercle rouge deux fois, vite.",
+        "hint.HOLD": "Appuie sur le cercle rouge sans relâcher.",
+        "hint.FLICK": "Balaie vite le cercle rouge et relâche.",
+        "hint.TURN": "Fais glisser autour du cercle vert sur un demi-tour.",
+        "hint.SLIDE": "Fais glisser le bouton jusqu'à un bout de la barre et relâche.",
+        "hint.SLIDE_LEFT": "Fais glisser le bouton tout à gauche, ou en haut, et relâche.",
+        "hint.SLIDE_RIGHT": "Fais glisser le bouton tout à droite, ou en bas, et relâche.",
+        "hint.SHAKE": "Secoue l'appareil.",
+        "miss.turn-short": "Tourne plus : c'était {percent} % d'un demi-tour.",
+        "miss.turn-around": "Fais glisser en courbe autour du centre du cercle.",
+        "miss.slide-short": "Glisse plus loin : le bouton a fait {percent} % du chemin.",
+        "miss.flick-slow": "Plus vite : relâche dès que tu balaies.",
+        "miss.flick-short": "Plus loin : c'était {percent} % de la distance.",
+        "announce.resuming": "Reprise dans {seconds}.",
+    },
+    de: {
+        "language": "Deutsch",
+        "action.TAP": "Tipp es an!",
+        "action.DOUBLE_TAP": "Tipp es doppelt an!",
+        "action.HOLD": "Halt es gedrückt!",
+        "action.FLICK": "Wisch es weg!",
+        "action.TURN": "Dreh es!",
+        "action.SLIDE": "Schieb es!",
+        "action.SLIDE_LEFT": "Schieb es nach links!",
+        "action.SLIDE_RIGHT": "Schieb es nach rechts!",
+        "action.SHAKE": "Schüttel es!",
+        "performed.TAP": "du hast angetippt",
+        "performed.DOUBLE_TAP": "du hast doppelt angetippt",
+        "performed.HOLD": "du hast gedrückt gehalten",
+        "performed.FLICK": "du hast gewischt",
+        "performed.TURN": "du hast gedreht",
+        "performed.SLIDE": "du hast geschoben",
+        "performed.SLIDE_LEFT": "du hast nach links geschoben",
+        "performed.SLIDE_RIGHT": "du hast nach rechts geschoben",
+        "performed.SHAKE": "du hast geschüttelt",
+        "cause.slow": "Zu langsam!",
+        "cause.decoy": "Falle: {performed}, aber „{expected}“ war zu ignorieren",
+        "cause.wrong": "Falsche Aktion: {performed}, erwartet war „{expected}“",
+        "difficulty.easy": "Leicht",
+        "difficulty.normal": "Normal",
+        "difficulty.hard": "Schwer",
+        "difficulty.insane": "Wahnsinn",
+        "difficulty.daily": "Täglich",
+        "decoyMode.off": "Aus",
+        "decoyMode.simon-says": "Simon sagt",
+        "decoyMode.dont": "Nicht",
+        "decoy.simon-says": "Simon sagt {action}",
+        "decoy.dont": "Nicht: {action}",
+        "playMode.solo": "Solo",
+        "playMode.hot-seat": "Abwechselnd",
+        "playMode.versus": "Duell",
+        "instructionMode.audio": "Audio",
+        "instructionMode.visual": "Visuell",
+        "instructionMode.both": "Beides",
+        "soundTheme.classic": "Klassisch",
+        "soundTheme.arcade": "Arcade",
+        "soundTheme.soft": "Sanft",
+        "colorTheme.classic": "Klassisch",
+        "colorTheme.light": "Hell",
+        "colorTheme.high-contrast": "Hoher Kontrast",
+        "colorTheme.colorblind": "Farbenblind",
+        "channel.master": "Gesamt",
+        "channel.voice": "Stimme",
+        "channel.effects": "Effekte",
+        "label.start": "Start",
+        "label.update": "Update verfügbar",
+        "label.retry": "Nochmal",
+        "label.menu": "Menü",
+        "label.resume": "Weiter",
+        "label.pause": "Pause",
+        "label.paused": "Pausiert",
+        "label.stats": "Statistik",
+        "label.settings": "Einstellungen",
+        "label.back": "Zurück",
+        "label.learn": "Spielen lernen",
+        "label.tutorial": "Tutorial",
+        "label.practice": "Üben",
+        "label.editLayout": "Anordnung bearbeiten",
+        "label.resetLayout": "Anordnung zurücksetzen",
+        "label.controls": "Steuerung",
+        "label.resetControls": "Steuerung zurücksetzen",
+        "label.moveControl": "{control} verschieben",
+        "label.watchReplay": "Wiederholung ansehen",
+        "label.exportReplay": "Wiederholung exportieren",
+        "label.watchBest": "Beste Runde ansehen ({difficulty})",
+        "label.exportBest": "Beste Runde exportieren ({difficulty})",
+        "label.importReplay": "Wiederholung importieren",
+        "label.go": "{player}: Los",
+        "label.best": "Rekord: {score}",
+        "label.cues": "Hinweise: {mode}",
+        "label.decoys": "Fallen: {mode}",
+        "label.mode": "Modus: {mode}",
+        "label.volume": "Lautstärke {channel}: {percent} %",
+        "label.autoVoice": "Automatisch",
+        "setting.value": "{setting}: {value}",
+        "setting.on": "An",
+        "setting.off": "Aus",
+        "setting.times": "{value}×",
+        "setting.speech": "Sprachausgabe",
+        "setting.voice": "Stimme",
+        "setting.rate": "Tempo",
+        "setting.pitch": "Tonhöhe",
+        "setting.language": "Sprache",
+        "setting.difficulty": "Schwierigkeit",
+        "setting.leftHanded": "Linkshänder",
+        "setting.colors": "Farben",
+        "setting.sounds": "Klänge",
+        "control.press": "Drücke eine Taste oder einen Knopf",
+        "control.button": "Knopf {number}",
+        "control.none": "Keine",
+        "player.name": "Spieler {number}",
+        "results.replay": "Wiederholung",
+        "results.score": "Punkte: {score}",
+        "results.newBest": "Neuer Rekord!",
+        "results.average": "Schnitt: {time} ms",
+        "results.fastest": "Schnellste: {time} ms",
+        "results.seed": "Seed: {seed}",
+        "results.up": "{player}, du bist dran!",
+        "results.wins": "{player} gewinnt!",
+        "results.draw": "Unentschieden!",
+        "stats.recent": "Letzte Punktzahlen",
+        "stats.recentList": "Letzte Punktzahlen: {scores}",
+        "stats.empty": "Noch keine Spiele",
+        "stats.games": "Spiele: {count}",
+        "stats.actions": "Aktionen: {count}",
+        "stats.played": "Gespielt: {minutes} min",
+        "announce.turnOver": "Runde vorbei.",
+        "announce.gameOver": "Spiel vorbei.",
+        "announce.score": "Punkte: {score}.",
+        "announce.scoreTo": "{score} zu {other}",
+        "announce.paused": "Pausiert.",
+        "announce.update": "Eine neue Version ist bereit. Wähle Update verfügbar im Menü, um sie zu verwenden.",
+        "announce.badReplay": "Diese Datei ist keine Wiederholung, die diese Version abspielen kann.",
+        "tutorial.practice": "Üben",
+        "tutorial.tryAny": "Probiere jede Geste aus. Es gibt kein Zeitlimit.",
+        "tutorial.done": "Du kennst alle Gesten! Übe weiter oder geh zurück zum Spielen.",
+        "tutorial.wrong": "Nicht ganz: {performed}.",
+        "tutorial.performed": "Gut, {performed}!",
+        "hint.TAP": "Tippe einmal auf den roten Kreis.",
+        "hint.DOUBLE_TAP": "Tippe zweimal schnell auf den roten Kreis.",
+        "hint.HOLD": "Drücke auf den roten Kreis und halte ihn gedrückt.",
+        "hint.FLICK": "Wische schnell über den roten Kreis und lass los.",
+        "hint.TURN": "Ziehe eine halbe Drehung um den grünen Kreis.",
+        "hint.SLIDE": "Ziehe den Regler an ein Ende der Leiste und lass los.",
+        "hint.SLIDE_LEFT": "Ziehe den Regler ganz nach links, oder oben, und lass los.",
+        "hint.SLIDE_RIGHT": "Ziehe den Regler ganz nach rechts, oder unten, und lass los.",
+        "hint.SHAKE": "Schüttle dein Gerät.",
+        "miss.turn-short": "Weiter drehen: das war {percent} % einer halben Drehung.",
+        "miss.turn-around": "Ziehe im Bogen um die Mitte des Kreises.",
+        "miss.slide-short": "Weiter ziehen: der Regler kam {percent} % des Weges.",
+        "miss.flick-slow": "Schneller wischen: lass gleich nach dem Wischen los.",
+        "miss.flick-short": "Weiter wischen: das war {percent} % der Strecke.",
+        "announce.resuming": "Weiter in {seconds}.",
+    },
+};
+
+/**
+ * Defines the localizer, which picks the language and translates the text displayed and spoken to the user.
+ * @param {SafeStorage} storage The storage the chosen language is saved in.
+ */
+function Localizer(storage) {
+    /**
+     * The storage the chosen language is saved in.
+     * @type {SafeStorage}
+     */
+    this.storage = storage;
+    /**
+     * The key of the language in Translations.
+     * @type {string}
+     */
+    this.language = DefaultLanguage;
+    /**
+     * The BCP 47 tag of the language and region that instructions are spoken in, for example "en-GB".
+     * @type {string}
+     */
+    this.locale = DefaultLanguage;
+
+    const saved = storage.getItem(LanguageKey);
+    this.setLanguage(Translations[saved] ? saved : this.resolveLanguage(this.getPreferredLocales()));
+}
+/**
+ * Gets the languages of the user, most preferred first.
+ * @returns {string[]} The BCP 47 tags of the languages.
+ */
+Localizer.prototype.getPreferredLocales = function () {
+    const locales = (navigator.languages && navigator.languages.length > 0) ? Array.from(navigator.languages) : [navigator.language];
+    return locales.filter(x => typeof x === "string" && x.length > 0).map(normalizeLocale);
+};
+/**
+ * Gets the translated language that best matches the user's languages.
+ * @description Each language is tried with its region first and then without it.
+ * @param {string[]} locales The BCP 47 tags of the languages, most preferred first.
+ * @returns {string} The key of the language in Translations.
+ */
+Localizer.prototype.resolveLanguage = function (locales) {
+    for (const locale of locales) {
+        if (Translations[locale]) {
+            return locale;
+        }
+        const language = locale.split("-")[0];
+        if (Translations[language]) {
+            return language;
+        }
+    }
+    return DefaultLanguage;
+};
+/**
+ * Called to change the language.
+ * @description Instructions are spoken with the region of the user when it is in the same language, so an English user in Britain hears a British voice.
+ * @param {string} language The key of the language in Translations.
+ */
+Localizer.prototype.setLanguage = function (language) {
+    this.language = language;
+    this.locale = this.getPreferredLocales().find(x => x.split("-")[0] === language) || language;
+    // Screen readers read the page in its language.
+    document.documentElement.lang = this.locale;
+};
+/**
+ * Called when the user chooses a language to change to it and save it.
+ * @param {string} language The key of the language in Translations.
+ */
+Localizer.prototype.chooseLanguage = function (language) {
+    this.setLanguage(language);
+    this.storage.setItem(LanguageKey, this.language);
+};
+/**
+ * Gets a text in the language.
+ * @param {string} key The key of the text in Translations.
+ * @param {Object<string, string|number>} [values] The values to fill in, by their name in braces. Numbers are formatted for the locale.
+ * @returns {string} The text, in the default language if it isn't translated, or the key if it doesn't exist.
+ */
+Localizer.prototype.translate = function (key, values) {
+    const text = Translations[this.language][key] || Translations[DefaultLanguage][key] || key;
+    return !values ? text : text.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values[name];
+        return value === undefined ? match : typeof value === "number" ? value.toLocaleString(this.locale) : value;
+    });
+};
+
+/**
+ * Gets a BCP 47 tag in the form used by Translations and voices, for example "en-GB" instead of "en_gb".
+ * @param {string} locale The tag.
+ * @returns {string} The normalized tag.
+ */
+const normalizeLocale = (locale) => {
+    const parts = locale.replace(/_/g, "-").split("-");
+    return [parts[0].toLowerCase(), ...parts.slice(1).map(x => x.length === 2 ? x.toUpperCase() : x)].join("-");
+};
+
+// Pick the language before anything is labeled.
+const localizer = new Localizer(storage);
+/**
+ * Gets a text in the language of the localizer.
+ * @param {string} key The key of the text in Translations.
+ * @param {Object<string, string|number>} [values] The values to fill in, by their name in braces.
+ * @returns {string} The text.
+ */
+const translate = (key, values) => localizer.translate(key, values);
@@ -0,0 +1,475 @@
+/**
+ * The key the custom arrangements of the layouts are saved under.
+ */
+const LayoutArrangementsKey = "layouts";
+
+/**
+ * The ways a layout can line its items up.
+ * @description Along the direction a FlexLayout places its items in, the items are justified. Across it, they are aligned.
+ */
+const LayoutAlign = {
+    START: "start",
+    CENTER: "center",
+    END: "end",
+    /** The items fill the space across the direction they are placed in. */
+    STRETCH: "stretch",
+    /** The space that is left over is shared out between the items along the direction they are placed in. */
+    SPACE_BETWEEN: "space-between",
+};
+
+/**
+ * The directions a FlexLayout can place its items in.
+ */
+const LayoutDirection = {
+    ROW: "row",
+    COLUMN: "column",
+    /** Along the long side of the box, which is a row in landscape and a column in portrait. */
+    LONG_SIDE: "long-side",
+};
+
+/**
+ * Defines a rectangle of the canvas that a layout gives a component to lay itself out in.
+ * @param {number} x The left of the box.
+ * @param {number} y The top of the box.
+ * @param {number} width The width of the box.
+ * @param {number} height The height of the box.
+ * @param {number} scale The scale of the area the box is in, which turns units such as ComponentMargin into pixels.
+ */
+function LayoutBox(x, y, width, height, scale) {
+    /**
+     * The left of the box.
+     * @type {number}
+     */
+    this.x = x;
+    /**
+     * The top of the box.
+     * @type {number}
+     */
+    this.y = y;
+    /**
+     * The width of the box.
+     * @type {number}
+     */
+    this.width = width;
+    /**
+     * The height of the box.
+     * @type {number}
+     */
+    this.height = height;
+    /**
+     * The scale of the area the box is in.
+     * @type {number}
+     */
+    this.scale = scale;
+}
+/**
+ * Gets a value indicating if the box is wider than it is tall.
+ * @returns {boolean} True if the box is in landscape.
+ */
+LayoutBox.prototype.isLandscape = function () {
+    return this.width > this.height;
+};
+/**
+ * Gets a value indicating if a point is in the box.
+ * @param {number} x The horizontal position of the point.
+ * @param {number} y The vertical position of the point.
+ * @returns {boolean} True if the point is in the box.
+ */
+LayoutBox.prototype.contains = function (x, y) {
+    return x >= this.x && x <= this.x + this.width && y >= this.y && y <= this.y + this.height;
+};
+
+/**
+ * Gets the box of an area of the canvas, such as the game area or the area of a player.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area.
+ * @returns {LayoutBox} The box.
+ */
+const getAreaBox = (area) => new LayoutBox(area.left, area.top, area.width, area.height, area.scale);
+
+/**
+ * Gets the safe-area insets of the page, which keep the components clear of notches, rounded corners and home indicators.
+ * @description Script can't read env(safe-area-inset-*) directly, so index.html copies the insets into the --safe-area-* custom properties.
+ * @param {HTMLElement} element The element the custom properties are set on.
+ * @returns {{top: number, right: number, bottom: number, left: number}} The insets in CSS pixels, which are 0 where the browser has none.
+ */
+const getSafeAreaInsets = (element) => {
+    const style = window.getComputedStyle(element);
+    const read = side => parseFloat(style.getPropertyValue(`--safe-area-${side}`)) || 0;
+    return { top: read("top"), right: read("right"), bottom: read("bottom"), left: read("left") };
+};
+
+/**
+ * Defines the custom arrangements of the layouts that the user has made, which are saved.
+ * @description An arrangement is the order of the keys of the items of a layout. Items it doesn't mention keep their declared order after the ones it does, so adding a component never hides it.
+ * @param {SafeStorage} storage The storage the arrangements are saved in.
+ */
+function LayoutArrangements(storage) {
+    /**
+     * The storage the arrangements are saved in.
+     * @type {SafeStorage}
+     */
+    this.storage = storage;
+    /**
+     * The order of the keys of the items of each layout that has been arranged, by the id of the layout.
+     * @type {Object<string, string[]>}
+     */
+    this.orders = this.load();
+}
+/**
+ * Gets the saved arrangements.
+ * @returns {Object<string, string[]>} The arrangements, which are empty if there are none or they can't be read.
+ */
+LayoutArrangements.prototype.load = function () {
+    try {
+        const orders = JSON.parse(this.storage.getItem(LayoutArrangementsKey));
+        return orders && typeof orders === "object" ? orders : {};
+    }
+    catch (error) {
+        // Unreadable arrangements are replaced by the declared order.
+        return {};
+    }
+};
+/**
+ * Called to write the arrangements to storage.
+ */
+LayoutArrangements.prototype.save = function () {
+    this.storage.setItem(LayoutArrangementsKey, JSON.stringify(this.orders));
+};
+/**
+ * Gets the arrangement of a layout.
+ * @param {string} id The id of the layout.
+ * @returns {string[]} The order of the keys of its items, or null if it has the declared order.
+ */
+LayoutArrangements.prototype.get = function (id) {
+    return Array.isArray(this.orders[id]) ? this.orders[id] : null;
+};
+/**
+ * Called to use an arrangement of a layout for now without saving it, for example while a replay is played back in the arrangement it was recorded in.
+ * @param {string} id The id of the layout.
+ * @param {string[]} order The order of the keys of its items, or null for the declared order.
+ */
+LayoutArrangements.prototype.set = function (id, order) {
+    if (Array.isArray(order)) {
+        this.orders[id] = order.slice();
+    }
+    else {
+        delete this.orders[id];
+    }
+};
+/**
+ * Called to swap two items of a layout and save the arrangement.
+ * @param {string} id The id of the layout.
+ * @param {string[]} keys The keys of the items in their current order.
+ * @param {string} key The key of an item.
+ * @param {string} otherKey The key of the item to swap it with.
+ */
+LayoutArrangements.prototype.swap = function (id, keys, key, otherKey) {
+    this.orders[id] = keys.map(x => (x === key ? otherKey : x === otherKey ? key : x));
+    this.save();
+};
+/**
+ * Called to put a layout back in its declared order.
+ * @param {string} id The id of the layout.
+ */
+LayoutArrangements.prototype.reset = function (id) {
+    delete this.orders[id];
+    this.save();
+};
+
+/**
+ * Defines the base for layouts, which give each of their items a LayoutBox.
+ * @description An item is a component, another layout, or an object with either of them as its content and options for it: the number of cells it spans in a FlexLayout and the key it is called by in an arrangement, which is the componentName by default.
+ * @param {Array<LabeledComponent|Layout|{content: LabeledComponent|Layout, span: number, key: string}>} items The items, in the order they are declared.
+ * @param {{id: string, spacing: number, isMirrored: boolean, isReversed: boolean}} [options] The id the custom arrangement of the layout is saved with, the space (in units like ComponentMargin) between the items, and if the items are placed the other way around in the left-handed layout, or always.
+ */
+function Layout(items, options) {
+    options = options || {};
+    /**
+     * The items, in the order they are declared.
+     * @type {{content: LabeledComponent|Layout, span: number, key: string}[]}
+     */
+    this.items = (items || []).map(x => (x && x.content ? x : { content: x }));
+    /**
+     * The id the custom arrangement of the layout is saved with, or null if it can't be arranged.
+     * @type {string}
+     */
+    this.id = options.id || null;
+    /**
+     * The space (in units) between the items, or -1 to use ComponentMargin.
+     * @type {number}
+     */
+    this.spacing = typeof options.spacing === "number" ? options.spacing : -1;
+    /**
+     * Indicates if the items are placed the other way around in the left-handed layout.
+     * @type {boolean}
+     */
+    this.isMirrored = options.isMirrored || false;
+    /**
+     * Indicates if the items are always placed the other way around, for example so the components of the second player in versus mirror the first.
+     * @type {boolean}
+     */
+    this.isReversed = options.isReversed || false;
+}
+/**
+ * Gets the components of the layout and the layouts in it, in the order they are declared.
+ * @returns {LabeledComponent[]} The components.
+ */
+Layout.prototype.getComponents = function () {
+    return this.items.flatMap(x => (x.content instanceof Layout ? x.content.getComponents() : [x.content]));
+};
+/**
+ * Gets the key an item is called by in an arrangement.
+ * @param {{content: LabeledComponent|Layout, key: string}} item The item.
+ * @returns {string} The key, or null if it has none.
+ */
+Layout.prototype.getKey = function (item) {
+    return item.key || item.content.componentName || null;
+};
+/**
+ * Gets the items in the order of the custom arrangement of the layout.
+ * @param {LayoutArrangements} [arrangements] The custom arrangements.
+ * @returns {{content: LabeledComponent|Layout, span: number, key: string}[]} The items.
+ */
+Layout.prototype.getArrangedItems = function (arrangements) {
+    const order = this.id && arrangements ? arrangements.get(this.id) : null;
+    if (!order) {
+        return this.items;
+    }
+    const getRank = item => {
+        const rank = order.indexOf(this.getKey(item));
+        return rank >= 0 ? rank : order.length + this.items.indexOf(item);
+    };
+    return this.items.slice().sort((a, b) => getRank(a) - getRank(b));
+};
+/**
+ * Gets the items in the order they are placed in.
+ * @param {{isLeftHanded: boolean, arrangements: LayoutArrangements}} context The choices of the user that change the layout.
+ * @returns {{content: LabeledComponent|Layout, span: number, key: string}[]} The items.
+ */
+Layout.prototype.getItems = function (context) {
+    const items = this.getArrangedItems(context.arrangements);
+    return this.isReversed !== (this.isMirrored && context.isLeftHanded) ? items.slice().reverse() : items;
+};
+/**
+ * Gets the space between the items.
+ * @param {number} scale The scale of the area the layout is in.
+ * @returns {number} The space in pixels.
+ */
+Layout.prototype.getSpacing = function (scale) {
+    return (this.spacing >= 0 ? this.spacing : ComponentMargin) * scale;
+};
+/**
+ * Called when the components are invalidated to give each item its box, which components lay themselves out in and layouts divide between their own items.
+ * @param {LayoutBox} box The box of the layout.
+ * @param {{isLeftHanded: boolean, arrangements: LayoutArrangements}} context The choices of the user that change the layout.
+ */
+Layout.prototype.arrange = function (box, context) {
+    const items = this.getItems(context);
+    this.getBoxes(box, items).forEach((x, i) => {
+        const content = items[i].content;
+        if (content instanceof Layout) {
+            content.arrange(x, context);
+        }
+        else {
+            content.update(x);
+        }
+    });
+};
+/**
+ * Gets the box of each item.
+ * @param {LayoutBox} box The box of the layout.
+ * @param {{content: LabeledComponent|Layout, span: number, key: string}[]} items The items in the order they are placed in.
+ * @returns {LayoutBox[]} The box of each item.
+ */
+Layout.prototype.getBoxes = function (box, items) {
+    return items.map(() => box);
+};
+
+/**
+ * Defines a layout that places its items one after the other in cells of the same size, like the buttons of a menu.
+ * @description The cells are ComponentSize, or smaller when the items don't fit. An item can span several cells, which takes in the space between them too.
+ * @param {Array} items The items, in the order they are declared.
+ * @param {{id: string, spacing: number, isMirrored: boolean, isReversed: boolean, direction: string, justify: string, align: string, cellSize: number}} [options] The options of Layout, the LayoutDirection (default is LONG_SIDE), the LayoutAlign along it (default is CENTER) and across it (default is STRETCH), and the size (in units) of a cell.
+ */
+function FlexLayout(items, options) {
+    // Call the base layout.
+    Layout.call(this, items, options);
+    options = options || {};
+    /**
+     * The LayoutDirection the items are placed in.
+     * @type {string}
+     */
+    this.direction = options.direction || LayoutDirection.LONG_SIDE;
+    /**
+     * The LayoutAlign of the items along the direction they are placed in.
+     * @type {string}
+     */
+    this.justify = options.justify || LayoutAlign.CENTER;
+    /**
+     * The LayoutAlign of the items across the direction they are placed in.
+     * @type {string}
+     */
+    this.align = options.align || LayoutAlign.STRETCH;
+    /**
+     * The size (in units) of a cell, or -1 to use ComponentSize.
+     * @type {number}
+     */
+    this.cellSize = typeof options.cellSize === "number" ? options.cellSize : -1;
+}
+// Inherit from Layout
+FlexLayout.prototype = new Layout();
+/**
+ * Gets the box of each item.
+ * @param {LayoutBox} box The box of the layout.
+ * @param {{content: LabeledComponent|Layout, span: number, key: string}[]} items The items in the order they are placed in.
+ * @returns {LayoutBox[]} The box of each item.
+ */
+FlexLayout.prototype.getBoxes = function (box, items) {
+    const isRow = this.direction === LayoutDirection.ROW || (this.direction === LayoutDirection.LONG_SIDE && box.width >= box.height);
+    const length = isRow ? box.width : box.height;
+    const breadth = isRow ? box.height : box.width;
+    const spacing = this.getSpacing(box.scale);
+    const spans = items.map(x => x.span || 1);
+    const totalSpan = spans.reduce((a, b) => a + b, 0);
+    const cell = Math.min((this.cellSize >= 0 ? this.cellSize : ComponentSize) * box.scale, (length - (spacing * (totalSpan - 1))) / totalSpan);
+    const free = length - (cell * totalSpan) - (spacing * (totalSpan - 1));
+    let position = 0;
+    let gap = spacing;
+    switch (this.justify) {
+        case LayoutAlign.CENTER: {
+            position = free / 2;
+            break;
+        }
+        case LayoutAlign.END: {
+            position = free;
+            break;
+        }
+        case LayoutAlign.SPACE_BETWEEN: {
+            if (items.length > 1) {
+                gap += free / (items.length - 1);
+            }
+            else {
+                position = free / 2;
+            }
+            break;
+        }
+    }
+    const itemBreadth = this.align === LayoutAlign.STRETCH ? breadth : Math.min(breadth, cell);
+    const across = this.align === LayoutAlign.CENTER ? (breadth - itemBreadth) / 2 : this.align === LayoutAlign.END ? breadth - itemBreadth : 0;
+    return spans.map(span => {
+        const itemLength = (cell * span) + (spacing * (span - 1));
+        const itemBox = isRow
+            ? new LayoutBox(box.x + position, box.y + across, itemLength, itemBreadth, box.scale)
+            : new LayoutBox(box.x + across, box.y + position, itemBreadth, itemLength, box.scale);
+        position += itemLength + gap;
+        return itemBox;
+    });
+};
+
+/**
+ * Defines a layout that places its items in a grid, filling each row before the next, like the controls of the settings.
+ * @description The columns share the width of the box and the rows share its height, so a grid with more items has shorter rows.
+ * @param {Array} items The items, in the order they are declared.
+ * @param {{id: string, spacing: number, isMirrored: boolean, isReversed: boolean, columns: number, portraitColumns: number, rowSpacing: number}} [options] The options of Layout, the number of columns in landscape (default is 3) and in portrait (default is 1), and the space (in units) between the rows, which is the spacing by default.
+ */
+function GridLayout(items, options) {
+    // Call the base layout.
+    Layout.call(this, items, options);
+    options = options || {};
+    /**
+     * The number of columns in landscape.
+     * @type {number}
+     */
+    this.columns = options.columns || 3;
+    /**
+     * The number of columns in portrait.
+     * @type {number}
+     */
+    this.portraitColumns = options.portraitColumns || 1;
+    /**
+     * The space (in units) between the rows, or -1 to use the spacing.
+     * @type {number}
+     */
+    this.rowSpacing = typeof options.rowSpacing === "number" ? options.rowSpacing : -1;
+}
+// Inherit from Layout
+GridLayout.prototype = new Layout();
+/**
+ * Gets the box of each item.
+ * @param {LayoutBox} box The box of the layout.
+ * @param {{content: LabeledComponent|Layout, span: number, key: string}[]} items The items in the order they are placed in.
+ * @returns {LayoutBox[]} The box of each item.
+ */
+GridLayout.prototype.getBoxes = function (box, items) {
+    const columns = box.isLandscape() ? this.columns : this.portraitColumns;
+    const rows = Math.max(1, Math.ceil(items.length / columns));
+    const spacing = this.getSpacing(box.scale);
+    const rowSpacing = this.rowSpacing >= 0 ? this.rowSpacing * box.scale : spacing;
+    const width = (box.width - (spacing * (columns - 1))) / columns;
+    const height = (box.height - (rowSpacing * (rows - 1))) / rows;
+    return items.map((x, i) => new LayoutBox(
+        box.x + ((i % columns) * (width + spacing)),
+        box.y + (Math.floor(i / columns) * (height + rowSpacing)),
+        width,
+        height,
+        box.scale));
+};
+
+/**
+ * Defines a layout that gives every item the whole box, for example a button and the slider in the strip below it.
+ * @param {Array} items The items, in the order they are declared.
+ * @param {{id: string, spacing: number, isMirrored: boolean, isReversed: boolean}} [options] The options of Layout.
+ */
+function StackLayout(items, options) {
+    // Call the base layout.
+    Layout.call(this, items, options);
+}
+// Inherit from Layout
+StackLayout.prototype = new Layout();
+
+/**
+ * Defines the layout of a screen, which divides its area into the components in the middle and the margin around them.
+ * @description The margins above and below the components each hold a band in the middle and a corner on each side. The score, prompt and time left are drawn in the bands while a game is played.
+ * @param {{content: LabeledComponent|Layout, top: LabeledComponent|Layout, bottom: LabeledComponent|Layout, topLeft: LabeledComponent|Layout, topRight: LabeledComponent|Layout, bottomLeft: LabeledComponent|Layout, bottomRight: LabeledComponent|Layout}} slots The item in each part of the screen, which can be left out.
+ * @param {Player} [player] The Player whose area the layout is in, in versus. Default is the box it is given.
+ */
+function ScreenLayout(slots, player) {
+    const names = ["content", "top", "bottom", "topLeft", "topRight", "bottomLeft", "bottomRight"].filter(x => slots && slots[x]);
+    // Call the base layout.
+    Layout.call(this, names.map(x => ({ content: slots[x], slot: x })));
+    /**
+     * The Player whose area the layout is in, or null if it is in the box it is given.
+     * @type {Player}
+     */
+    this.player = player || null;
+}
+// Inherit from Layout
+ScreenLayout.prototype = new Layout();
+/**
+ * Gets the box of each item.
+ * @param {LayoutBox} box The box of the layout.
+ * @param {{content: LabeledComponent|Layout, slot: string}[]} items The items.
+ * @returns {LayoutBox[]} The box of each item.
+ */
+ScreenLayout.prototype.getBoxes = function (box, items) {
+    const area = this.player ? getAreaBox(this.player.area) : box;
+    const margin = this.getSpacing(area.scale);
+    const boxes = {
+        content: new LayoutBox(area.x + margin, area.y + margin, area.width - (margin * 2), area.height - (margin * 2), area.scale),
+        top: new LayoutBox(area.x, area.y, area.width, margin, area.scale),
+        bottom: new LayoutBox(area.x, area.y + area.height - margin, area.width, margin, area.scale),
+        topLeft: new LayoutBox(area.x, area.y, margin, margin, area.scale),
+        topRight: new LayoutBox(area.x + area.width - margin, area.y, margin, margin, area.scale),
+        bottomLeft: new LayoutBox(area.x, area.y + area.height - margin, margin, margin, area.scale),
+        bottomRight: new LayoutBox(area.x + area.width - margin, area.y + area.height - margin, margin, margin, area.scale),
+    };
+    return items.map(x => boxes[x.slot]);
+};
+
+// Let the layouts be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = {
+        LayoutArrangementsKey, LayoutAlign, LayoutDirection, LayoutBox, getAreaBox, getSafeAreaInsets, LayoutArrangements,
+        Layout, FlexLayout, GridLayout, StackLayout, ScreenLayout,
+    };
+}
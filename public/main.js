@@ -0,0 +1,165 @@
+/**
+ * The seed given with the ?seed= URL parameter to replay or share a game, or null to pick a new seed for each game.
+ */
+const UrlSeed = new URLSearchParams(window.location.search).get("seed");
+
+// Setup the game area.
+const gameArea = { top: 0, left: 0, width: 0, height: 0, scale: 0 };
+/** @type {HTMLCanvasElement} */
+const canvas = document.getElementById('root');
+let context = canvas.getContext('2d');
+
+// Create the animator, which leaves the motion out if the user asked for less.
+const animator = new Animator();
+const reducedMotionQuery = window.matchMedia("(prefers-reduced-motion: reduce)");
+animator.isReducedMotion = reducedMotionQuery.matches;
+reducedMotionQuery.addEventListener("change", () => { animator.isReducedMotion = reducedMotionQuery.matches; });
+
+// Install the service worker, so the game loads offline, and offer new versions on the menu.
+const appUpdater = new AppUpdater(navigator.serviceWorker, () => {
+    game.update();
+    game.announce(translate("announce.update"));
+});
+appUpdater.register("service-worker.js");
+
+// Keep the screen on during play.
+const screenWakeLock = new ScreenWakeLock(navigator.wakeLock);
+
+// Create the game, with the page's storage, voice and canvas.
+const game = new Game({
+    storage: storage,
+    profile: profile,
+    speech: new Speaker(speechSettings, audioEngine),
+    renderer: new CanvasRenderer(canvas, gameArea),
+});
+const accessibleOverlay = new AccessibleOverlay(canvas, document.getElementById('overlay'), document.getElementById('announcer'));
+/**
+ * Called to fit an area that keeps the proportions of the components into a rectangle of the canvas.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area to update.
+ * @param {number} left The left of the rectangle.
+ * @param {number} top The top of the rectangle.
+ * @param {number} width The width of the rectangle.
+ * @param {number} height The height of the rectangle.
+ */
+const fitArea = (area, left, top, width, height) => {
+    const orientation = width > height ? "landscape" : "portrait";
+    let longDimension = orientation === "landscape" ? width : height;
+    let shortDimension = orientation === "landscape" ? height : width;
+    const proportionateShortDimension = longDimension * LongDimensionToShort;
+    if (proportionateShortDimension > shortDimension) {
+        // If the proportionate short dimension does not fit in the available space of the short dimension, we use the available space and calculate the long dimension.
+        longDimension = shortDimension * ShortDimensionToLong;
+    }
+    else {
+        // If the available short dimension space fits the desired short dimension, we just use the desired short dimension.
+        shortDimension = proportionateShortDimension;
+    }
+    switch (orientation) {
+        case "portrait": {
+            area.width = Math.max(shortDimension, MinShortDimension);
+            area.height = Math.max(longDimension, MinLongDimension);
+            area.scale = area.height / MinLongDimension;
+            area.top = top;
+            area.left = left + ((width - area.width) / 2);
+            break;
+        }
+        case "landscape": {
+            area.width = Math.max(longDimension, MinLongDimension);
+            area.height = Math.max(shortDimension, MinShortDimension);
+            area.scale = area.height / MinShortDimension;
+            area.left = left;
+            area.top = top + ((height - area.height) / 2);
+            break;
+        }
+    }
+};
+/**
+ * Gets a value indicating if the screen is wide enough for versus.
+ * @returns {boolean} True if the screen is in landscape.
+ */
+const isVersusAvailable = () => canvas.width > canvas.height;
+/**
+ * Called to size the canvas to the window and lay the components out on it.
+ * @description The bitmap of the canvas has a pixel for each pixel of the screen, so everything is drawn sharply on high-DPI screens. The components are laid out in those pixels, and PointerInput maps the pointers into them too.
+ * The canvas covers the whole screen, but the components are kept inside the safe area, clear of notches and rounded corners.
+ */
+const setupGameArea = () => {
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.style.width = `${window.innerWidth}px`;
+    canvas.style.height = `${window.innerHeight}px`;
+    canvas.width = Math.round(window.innerWidth * pixelRatio);
+    canvas.height = Math.round(window.innerHeight * pixelRatio);
+    context = canvas.getContext('2d');
+    const insets = getSafeAreaInsets(document.documentElement);
+    const left = insets.left * pixelRatio;
+    const top = insets.top * pixelRatio;
+    const width = canvas.width - left - (insets.right * pixelRatio);
+    const height = canvas.height - top - (insets.bottom * pixelRatio);
+    fitArea(gameArea, left, top, width, height);
+    // In versus each player gets a mirrored half of the screen.
+    const halfWidth = width / 2;
+    game.players.forEach((x, i) => fitArea(x.area, left + (halfWidth * i), top, halfWidth, height));
+    game.update();
+};
+setupGameArea();
+if ("orientationchange" in document) {
+    document.addEventListener("orientationchange", setupGameArea);
+}
+else {
+    const orientationQuery = window.matchMedia("(orientation: portrait)");
+    orientationQuery.addEventListener("change", setupGameArea);
+}
+window.addEventListener('resize', setupGameArea);
+/**
+ * Called to lay the game out again when the pixel ratio changes, for example when the window is moved to another screen, and to watch for the next change.
+ */
+const watchPixelRatio = () => {
+    window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`).addEventListener("change", () => {
+        setupGameArea();
+        watchPixelRatio();
+    }, { once: true });
+};
+watchPixelRatio();
+
+// Pause the game when the player leaves the page, and look for a new version when they come back.
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+        game.pause();
+    }
+    else {
+        appUpdater.checkForUpdate();
+    }
+});
+window.addEventListener("blur", () => game.pause());
+
+// Let the back button of the browser or phone close the screens opened from the menu.
+window.addEventListener("popstate", () => game.onHistoryBack());
+
+// Offer the tutorial the first time the game is played.
+game.offerTutorial();
+
+// Record the inputs on their way to the game, so games can be replayed.
+const replayRecorder = new ReplayRecorder(game);
+
+// Wire up pointer tracking.
+const pointerInput = new PointerInput(canvas, replayRecorder);
+
+// Wire up the keyboard and gamepads.
+const controlBindings = new ControlBindings();
+const keyboardControls = new KeyboardControls(controlBindings, replayRecorder);
+const gamepadControls = new GamepadControls(controlBindings, replayRecorder, game.clock);
+const shakeDetector = new ShakeDetector(replayRecorder);
+Actions.SHAKE.isAvailable = () => shakeDetector.isAvailable;
+
+// Start the game loop.
+const animate = () => {
+    gamepadControls.poll();
+    replayRecorder.tick();
+    game.tick();
+    animator.tick();
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    game.draw();
+    replayRecorder.draw();
+    requestAnimationFrame(animate);
+};
+animate();
\ No newline at end of file
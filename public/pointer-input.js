@@ -0,0 +1,311 @@
+/**
+ * The kinds of gestures that can be recognized from a single pointer.
+ */
+const GestureType = {
+    /** The pointer has not moved further than the slop since it was pressed. */
+    TAP: "tap",
+    /** The pointer has moved further than the slop since it was pressed. */
+    DRAG: "drag",
+    /** The pointer has been dragged around the center of the gesture further than GestureRotateThreshold. */
+    ROTATE: "rotate",
+};
+/**
+ * The angle (in radians) a drag has to sweep around the center of the gesture before it is recognized as a rotation.
+ */
+const GestureRotateThreshold = Math.PI / 4;
+
+/**
+ * Defines a gesture made by a single pointer from the moment it is pressed until it is released.
+ * @param {number} pointerId The identifier of the pointer making the gesture.
+ * @param {number} x The horizontal position where the pointer was pressed.
+ * @param {number} y The vertical position where the pointer was pressed.
+ * @param {number} centerX The horizontal center that rotation is measured around.
+ * @param {number} centerY The vertical center that rotation is measured around.
+ * @param {number} slop The distance the pointer can move before the gesture is no longer a tap.
+ * @param {number} deadZone The distance from the center within which the pointer is too close to measure rotation reliably.
+ * @param {GameClock} clock The clock the gesture is timed with.
+ */
+function Gesture(pointerId, x, y, centerX, centerY, slop, deadZone, clock) {
+    /**
+     * The identifier of the pointer making the gesture.
+     * @type {number}
+     */
+    this.pointerId = pointerId;
+    /**
+     * The clock the gesture is timed with, so it is measured in game time like the actions it performs.
+     * @type {GameClock}
+     */
+    this.clock = clock;
+    /**
+     * The recognized GestureType.
+     * @type {string}
+     */
+    this.type = GestureType.TAP;
+    /**
+     * The horizontal position where the pointer was pressed.
+     * @type {number}
+     */
+    this.startX = x;
+    /**
+     * The vertical position where the pointer was pressed.
+     * @type {number}
+     */
+    this.startY = y;
+    /**
+     * The current horizontal position of the pointer.
+     * @type {number}
+     */
+    this.x = x;
+    /**
+     * The current vertical position of the pointer.
+     * @type {number}
+     */
+    this.y = y;
+    /**
+     * The horizontal distance the pointer has moved since it was pressed.
+     * @type {number}
+     */
+    this.dx = 0;
+    /**
+     * The vertical distance the pointer has moved since it was pressed.
+     * @type {number}
+     */
+    this.dy = 0;
+    /**
+     * The horizontal center that rotation is measured around.
+     * @type {number}
+     */
+    this.centerX = centerX;
+    /**
+     * The vertical center that rotation is measured around.
+     * @type {number}
+     */
+    this.centerY = centerY;
+    /**
+     * The distance the pointer can move before the gesture is no longer a tap.
+     * @type {number}
+     */
+    this.slop = slop;
+    /**
+     * The distance from the center within which the pointer is too close to measure rotation reliably.
+     * @type {number}
+     */
+    this.deadZone = deadZone;
+    /**
+     * The angle (in radians) around the center where the rotation started.
+     * @type {number}
+     */
+    this.startAngle = this.getAngle(x, y);
+    /**
+     * The angle (in radians) around the center where the pointer was last measured.
+     * @type {number}
+     */
+    this.lastAngle = this.startAngle;
+    /**
+     * The total angle (in radians) swept around the center since the pointer was pressed.
+     * @description Positive values are clockwise and negative values are counterclockwise.
+     * @type {number}
+     */
+    this.sweptAngle = 0;
+    /**
+     * The game time (in milliseconds) when the pointer was pressed.
+     * @type {number}
+     */
+    this.startTime = clock.now();
+    /**
+     * The game time (in milliseconds) since the pointer was pressed.
+     * @type {number}
+     */
+    this.duration = 0;
+    /**
+     * Indicates if the pointer has been released.
+     * @type {boolean}
+     */
+    this.isEnded = false;
+    /**
+     * Indicates if the browser took the pointer away before it was released.
+     * @type {boolean}
+     */
+    this.isCancelled = false;
+}
+/**
+ * Gets the angle (in radians) of a point around the center of the gesture.
+ * @param {number} x The horizontal position of the point.
+ * @param {number} y The vertical position of the point.
+ * @returns {number} The angle of the point or NaN if the point is within the dead zone.
+ */
+Gesture.prototype.getAngle = function (x, y) {
+    const dx = x - this.centerX;
+    const dy = y - this.centerY;
+    if (Math.sqrt((dx * dx) + (dy * dy)) < this.deadZone) {
+        return NaN;
+    }
+    return Math.atan2(dy, dx);
+};
+/**
+ * Called when the pointer moves to update the distance, rotation and recognized type of the gesture.
+ * @param {number} x The horizontal position of the pointer.
+ * @param {number} y The vertical position of the pointer.
+ */
+Gesture.prototype.moveTo = function (x, y) {
+    this.x = x;
+    this.y = y;
+    this.dx = x - this.startX;
+    this.dy = y - this.startY;
+    this.duration = this.clock.now() - this.startTime;
+    if (this.type === GestureType.TAP && Math.sqrt((this.dx * this.dx) + (this.dy * this.dy)) > this.slop) {
+        this.type = GestureType.DRAG;
+    }
+    const angle = this.getAngle(x, y);
+    if (Number.isNaN(angle)) {
+        return;
+    }
+    if (Number.isNaN(this.lastAngle)) {
+        // The pointer started within the dead zone, so the rotation starts where it first left it.
+        this.startAngle = angle;
+    }
+    else {
+        // Take the shortest way around the center so crossing the -PI/PI boundary doesn't look like a full turn.
+        let delta = angle - this.lastAngle;
+        if (delta > Math.PI) {
+            delta -= Math.PI * 2;
+        }
+        else if (delta < -Math.PI) {
+            delta += Math.PI * 2;
+        }
+        this.sweptAngle += delta;
+    }
+    this.lastAngle = angle;
+    if (this.type === GestureType.DRAG && Math.abs(this.sweptAngle) >= GestureRotateThreshold) {
+        this.type = GestureType.ROTATE;
+    }
+};
+/**
+ * Called when the pointer is released.
+ * @param {number} x The horizontal position where the pointer was released.
+ * @param {number} y The vertical position where the pointer was released.
+ */
+Gesture.prototype.end = function (x, y) {
+    this.moveTo(x, y);
+    this.isEnded = true;
+};
+/**
+ * Called when the browser takes the pointer away before it is released.
+ */
+Gesture.prototype.cancel = function () {
+    this.duration = this.clock.now() - this.startTime;
+    this.isEnded = true;
+    this.isCancelled = true;
+};
+
+/**
+ * Defines the pointer input for an element.
+ * @description Mouse, touch and pen input all arrive as pointer events, so each pointer is reported exactly once, by its pointerId, in the coordinates of the element's bitmap.
+ * @param {HTMLCanvasElement} element The element to listen to.
+ * @param {{onMouseDown: function(number, number, number), onMouseMove: function(number, number, number), onMouseUp: function(number, number, number), onMouseCancel: function(number)}} handler The object to report the pointers to.
+ */
+function PointerInput(element, handler) {
+    /**
+     * The element to listen to.
+     * @type {HTMLCanvasElement}
+     */
+    this.element = element;
+    /**
+     * The object to report the pointers to.
+     */
+    this.handler = handler;
+    /**
+     * The pointerType of each pointer that is currently pressed, by pointerId.
+     * @type {Map<number, string>}
+     */
+    this.activePointers = new Map();
+
+    // Stop the browser from scrolling, zooming or sending emulated mouse events for touches.
+    element.style.touchAction = "none";
+    element.addEventListener("pointerdown", event => this.onPointerDown(event));
+    element.addEventListener("pointermove", event => this.onPointerMove(event));
+    element.addEventListener("pointerup", event => this.onPointerUp(event));
+    element.addEventListener("pointercancel", event => this.onPointerCancel(event));
+    element.addEventListener("touchcancel", () => this.onTouchCancel());
+    element.addEventListener("contextmenu", event => event.preventDefault());
+}
+/**
+ * Gets the position of a pointer relative to the bitmap of the element.
+ * @description The bitmap is sized in device pixels on high-DPI screens, while the pointer is reported in CSS pixels, so the position is scaled by how many bitmap pixels there are to each CSS pixel.
+ * @param {PointerEvent} event The event to read.
+ * @returns {{x: number, y: number}} The position of the pointer.
+ */
+PointerInput.prototype.getPosition = function (event) {
+    const rect = this.element.getBoundingClientRect(), // abs. size of element
+        scaleX = this.element.width / rect.width,      // relationship bitmap vs. element for x
+        scaleY = this.element.height / rect.height;    // relationship bitmap vs. element for y
+
+    return {
+        x: (event.clientX - rect.left) * scaleX,   // scale mouse coordinates after they have
+        y: (event.clientY - rect.top) * scaleY,    // been adjusted to be relative to element
+    };
+};
+/**
+ * Called when a pointer is pressed on the element.
+ * @param {PointerEvent} event The event.
+ */
+PointerInput.prototype.onPointerDown = function (event) {
+    event.preventDefault();
+    if (event.button > 0 || this.activePointers.has(event.pointerId)) {
+        // Only the primary button presses, and a pointer can't be pressed twice.
+        return;
+    }
+    this.activePointers.set(event.pointerId, event.pointerType);
+    if (this.element.setPointerCapture) {
+        // Keep receiving the pointer even if it leaves the element.
+        this.element.setPointerCapture(event.pointerId);
+    }
+    const position = this.getPosition(event);
+    this.handler.onMouseDown(position.x, position.y, event.pointerId);
+};
+/**
+ * Called when a pointer is moved on the element.
+ * @param {PointerEvent} event The event.
+ */
+PointerInput.prototype.onPointerMove = function (event) {
+    event.preventDefault();
+    const position = this.getPosition(event);
+    this.handler.onMouseMove(position.x, position.y, event.pointerId);
+};
+/**
+ * Called when a pointer is released on the element.
+ * @param {PointerEvent} event The event.
+ */
+PointerInput.prototype.onPointerUp = function (event) {
+    event.preventDefault();
+    if (!this.activePointers.delete(event.pointerId)) {
+        return;
+    }
+    const position = this.getPosition(event);
+    this.handler.onMouseUp(position.x, position.y, event.pointerId);
+};
+/**
+ * Called when the browser takes a pointer away, for example to scroll or when a call comes in.
+ * @param {PointerEvent} event The event.
+ */
+PointerInput.prototype.onPointerCancel = function (event) {
+    if (this.activePointers.delete(event.pointerId)) {
+        this.handler.onMouseCancel(event.pointerId);
+    }
+};
+/**
+ * Called when the browser cancels the touches on the element without a pointercancel for each of them.
+ */
+PointerInput.prototype.onTouchCancel = function () {
+    this.activePointers.forEach((pointerType, pointerId) => {
+        if (pointerType === "touch") {
+            this.activePointers.delete(pointerId);
+            this.handler.onMouseCancel(pointerId);
+        }
+    });
+};
+
+// Let the gestures be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { GestureType, GestureRotateThreshold, Gesture, PointerInput };
+}
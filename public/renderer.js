@@ -0,0 +1,137 @@
+/**
+ * Defines what draws the score, the time left, the prompt and the pause of the game on a canvas.
+ * @param {HTMLCanvasElement} canvas The canvas to draw on.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area of the components, which is kept up to date as the canvas is resized.
+ */
+function CanvasRenderer(canvas, area) {
+    /**
+     * The canvas to draw on.
+     * @type {HTMLCanvasElement}
+     */
+    this.canvas = canvas;
+    /**
+     * The context of the canvas.
+     * @type {CanvasRenderingContext2D}
+     */
+    this.context = canvas.getContext("2d");
+    /**
+     * The area of the components.
+     * @type {{top: number, left: number, width: number, height: number, scale: number}}
+     */
+    this.area = area;
+    /**
+     * The ColorTheme to draw with.
+     * @type {ColorTheme}
+     */
+    this.colorTheme = ColorThemes[0];
+}
+/**
+ * Called to change the ColorTheme to draw with, which also paints the page behind the canvas.
+ * @param {ColorTheme} theme The theme.
+ */
+CanvasRenderer.prototype.setColorTheme = function (theme) {
+    this.colorTheme = theme;
+    document.body.style.backgroundColor = this.colorTheme.background;
+};
+/**
+ * Called to show the score in the margin above the components.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area to draw in, which is the area of the player in versus.
+ * @param {number} score The score to show.
+ */
+CanvasRenderer.prototype.drawScore = function (area, score) {
+    const margin = ComponentMargin * area.scale;
+    this.context.fillStyle = this.colorTheme.text;
+    this.context.font = `bold ${margin * .6}px sans-serif`;
+    this.context.textAlign = "right";
+    this.context.textBaseline = "middle";
+    this.context.fillText(score.toLocaleString(localizer.locale), area.left + area.width - (margin / 2), area.top + (margin / 2));
+};
+/**
+ * Called to show how much of the time for the expected action is left.
+ * @description The bar is drawn in the margin below the components and turns orange, then red, as the deadline gets close.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area to draw in, which is the area of the player in versus.
+ * @param {number} timeLeft The fraction of the time that is left, from 1 to 0.
+ */
+CanvasRenderer.prototype.drawTimeBar = function (area, timeLeft) {
+    const margin = ComponentMargin * area.scale;
+    const x = area.left + margin;
+    const y = area.top + area.height - (margin * .7);
+    const width = area.width - (margin * 2);
+    const height = margin * .4;
+    this.context.fillStyle = this.colorTheme.getColor("rgba(0, 0, 0, .3)");
+    this.context.fillRect(x, y, width, height);
+    this.context.fillStyle = this.colorTheme.getColor(timeLeft > .5 ? "limegreen" : timeLeft > .25 ? "orange" : "red");
+    this.context.fillRect(x, y, width * timeLeft, height);
+};
+/**
+ * Called to show the instruction for the expected action.
+ * @description The instruction is drawn in the margin above the components so it never covers them.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area to draw in, which is the area of the player in versus.
+ * @param {string} text The instruction.
+ */
+CanvasRenderer.prototype.drawPrompt = function (area, text) {
+    const margin = ComponentMargin * area.scale;
+    this.context.fillStyle = this.colorTheme.getColor("yellow");
+    this.context.font = `bold ${margin * .7}px sans-serif`;
+    this.context.textAlign = "center";
+    this.context.textBaseline = "middle";
+    this.context.fillText(text, area.left + (area.width / 2), area.top + (margin / 2));
+};
+/**
+ * Called to show a line of explanation, such as the hint of the tutorial.
+ * @description The line is drawn in the margin below the components, and made smaller if it is too wide to fit.
+ * @param {{top: number, left: number, width: number, height: number, scale: number}} area The area to draw in.
+ * @param {string} text The line.
+ */
+CanvasRenderer.prototype.drawCaption = function (area, text) {
+    const margin = ComponentMargin * area.scale;
+    const maxWidth = area.width - (margin * 2);
+    let size = margin * .5;
+    this.context.font = `bold ${size}px sans-serif`;
+    const width = this.context.measureText(text).width;
+    if (width > maxWidth) {
+        size *= maxWidth / width;
+        this.context.font = `bold ${size}px sans-serif`;
+    }
+    this.context.fillStyle = this.colorTheme.text;
+    this.context.textAlign = "center";
+    this.context.textBaseline = "middle";
+    this.context.fillText(text, area.left + (area.width / 2), area.top + area.height - (margin / 2));
+};
+/**
+ * Called to show that the game is paused, in the margin above the components.
+ */
+CanvasRenderer.prototype.drawPaused = function () {
+    const margin = ComponentMargin * this.area.scale;
+    this.context.fillStyle = this.colorTheme.text;
+    this.context.font = `bold ${margin * .7}px sans-serif`;
+    this.context.textAlign = "center";
+    this.context.textBaseline = "middle";
+    this.context.fillText(translate("label.paused"), this.area.left + (this.area.width / 2), this.area.top + (margin / 2));
+};
+/**
+ * Called to show the countdown to resume the game.
+ * @param {number} seconds The number of seconds left.
+ */
+CanvasRenderer.prototype.drawCountdown = function (seconds) {
+    // Dim the components so the countdown stands out.
+    this.context.fillStyle = "rgba(0, 0, 0, .5)";
+    this.context.fillRect(this.area.left, this.area.top, this.area.width, this.area.height);
+    this.context.fillStyle = "white";
+    this.context.font = `bold ${ComponentSize * this.area.scale * .6}px sans-serif`;
+    this.context.textAlign = "center";
+    this.context.textBaseline = "middle";
+    this.context.fillText(seconds.toString(), this.area.left + (this.area.width / 2), this.area.top + (this.area.height / 2));
+};
+/**
+ * Called to cover the whole canvas with a color, for example to flash it red when the game ends.
+ * @param {string} color The CSS color.
+ * @param {number} opacity How opaque the color is, from 0 to 1.
+ */
+CanvasRenderer.prototype.drawFlash = function (color, opacity) {
+    this.context.save();
+    this.context.globalAlpha = opacity;
+    this.context.fillStyle = color;
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.restore();
+};
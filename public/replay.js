@@ -0,0 +1,451 @@
+/**
+ * The version of the replay format, which is bumped when replays saved by older versions can no longer be played.
+ */
+const ReplayVersion = 1;
+/**
+ * The kinds of input events a replay records, as they are written in the replay.
+ */
+const ReplayEventType = {
+    DOWN: "d",
+    MOVE: "m",
+    UP: "u",
+    CANCEL: "c",
+    COMMAND: "k",
+    SHAKE: "s",
+};
+/**
+ * The key the replay of the last game is saved under.
+ */
+const LastReplayKey = "replay-last";
+/**
+ * Gets the key the replay of the best run on a difficulty is saved under.
+ * @param {string} difficulty The name of the Difficulty.
+ * @returns {string} The key.
+ */
+const getBestReplayKey = (difficulty) => `replay-best-${difficulty}`;
+/**
+ * Gets a value indicating if an event read from a replay can be played back.
+ * @param {*} event The event, which is written as its round, its time, its ReplayEventType and its values.
+ * @returns {boolean} True if the event can be played back.
+ */
+const isPlayableReplayEvent = (event) => {
+    if (!Array.isArray(event) || typeof event[0] !== "number" || typeof event[1] !== "number" || !Object.values(ReplayEventType).includes(event[2])) {
+        return false;
+    }
+    switch (event[2]) {
+        case ReplayEventType.DOWN:
+        case ReplayEventType.MOVE:
+        case ReplayEventType.UP:
+            return typeof event[3] === "number" && typeof event[4] === "number";
+        case ReplayEventType.COMMAND:
+            return typeof event[3] === "string";
+        default:
+            return true;
+    }
+};
+
+/**
+ * Defines the recorder that sits between the inputs and the game to record replays and play them back.
+ * @description Each event is written as [round, time, type, ...values], where the time (in milliseconds of game time) is measured from when the action of the round was given, and positions are in game area units so a replay plays back on any screen size.
+ * @param {Game} game The game to pass the inputs on to.
+ */
+function ReplayRecorder(game) {
+    /**
+     * The game to pass the inputs on to.
+     * @type {Game}
+     */
+    this.game = game;
+    /**
+     * The replay being recorded, or null if there is none.
+     */
+    this.replay = null;
+    /**
+     * The replay being played back, or null if there is none.
+     */
+    this.playback = null;
+    /**
+     * The index of the next event of the replay being played back.
+     * @type {number}
+     */
+    this.nextEvent = 0;
+    /**
+     * The settings of the game from before the playback, which are put back when it ends.
+     * @type {{difficulty: Difficulty, decoyMode: DecoyMode, playMode: string, isLeftHanded: boolean, arrangement: string[]}}
+     */
+    this.previousSettings = null;
+    /**
+     * Where the ghost cursor of the replay being played back is, or null if it hasn't moved yet.
+     * @type {{x: number, y: number, isPressed: boolean}}
+     */
+    this.cursor = null;
+}
+/**
+ * Gets a value indicating if a replay is being played back.
+ * @returns {boolean} True if a replay is being played back.
+ */
+ReplayRecorder.prototype.isPlayingBack = function () {
+    return this.playback !== null;
+};
+/**
+ * Gets a value indicating if the game is being played, so inputs are part of the run.
+ * @returns {boolean} True if the game is being played.
+ */
+ReplayRecorder.prototype.isPlaying = function () {
+    return !this.game.isEnded && !this.game.isPaused && this.game.activeScreen === this.game.getPlayScreen();
+};
+/**
+ * Called when a game starts to record it.
+ * @description Only solo games are recorded, and playing back a replay doesn't record a new one.
+ */
+ReplayRecorder.prototype.begin = function () {
+    if (this.isPlayingBack() || this.game.activePlayMode !== PlayMode.SOLO) {
+        this.replay = null;
+        return;
+    }
+    this.replay = {
+        version: ReplayVersion,
+        date: new Date().toISOString(),
+        seed: this.game.seed,
+        difficulty: this.game.difficulty.name,
+        decoyMode: this.game.getDecoyMode().name,
+        isLeftHanded: this.game.isLeftHanded,
+        arrangement: this.game.arrangements.get(this.game.layoutEditor.id),
+        actions: [],
+        events: [],
+        score: 0,
+        cause: null,
+    };
+};
+/**
+ * Called when an action is given to record it.
+ * @param {Action} action The action.
+ */
+ReplayRecorder.prototype.recordAction = function (action) {
+    if (this.replay) {
+        this.replay.actions.push(action.Text);
+    }
+};
+/**
+ * Called to record an input event of the game being played.
+ * @param {string} type The ReplayEventType.
+ * @param {Array} values The values of the event.
+ */
+ReplayRecorder.prototype.record = function (type, values) {
+    if (this.replay && this.isPlaying()) {
+        const time = Math.round(this.game.clock.now() - this.game.actionStartTime);
+        this.replay.events.push([this.game.round, time, type, ...values]);
+    }
+};
+/**
+ * Called when a game ends to save its replay, or to stop playing one back.
+ * @param {boolean} isNewBest Indicates if the game set a new best score, so its replay is kept as the best one.
+ */
+ReplayRecorder.prototype.finish = function (isNewBest) {
+    if (this.isPlayingBack()) {
+        this.stop();
+        return;
+    }
+    if (!this.replay) {
+        return;
+    }
+    this.replay.score = this.game.player.score;
+    this.replay.cause = this.game.player.cause;
+    this.save(LastReplayKey, this.replay);
+    if (isNewBest) {
+        this.save(getBestReplayKey(this.replay.difficulty), this.replay);
+    }
+    this.replay = null;
+};
+/**
+ * Called when a game is abandoned to throw its replay away, or to stop playing one back.
+ */
+ReplayRecorder.prototype.cancel = function () {
+    this.replay = null;
+    if (this.isPlayingBack()) {
+        this.stop();
+    }
+};
+/**
+ * Called to save a replay.
+ * @param {string} key The key to save the replay under.
+ * @param {Object} replay The replay.
+ */
+ReplayRecorder.prototype.save = function (key, replay) {
+    // Long runs can be larger than the storage allows, in which case the replay is only kept for the session.
+    storage.setItem(key, JSON.stringify(replay));
+};
+/**
+ * Gets a saved replay.
+ * @param {string} [key] The key the replay is saved under. Default is the replay of the last game.
+ * @returns {Object} The replay, or null if there is none or it can't be played by this version.
+ */
+ReplayRecorder.prototype.load = function (key) {
+    return this.parse(storage.getItem(key || LastReplayKey));
+};
+/**
+ * Gets a replay from its JSON, as it is saved and downloaded.
+ * @param {string} json The JSON.
+ * @returns {Object} The replay, or null if the JSON isn't a replay or it can't be played by this version.
+ */
+ReplayRecorder.prototype.parse = function (json) {
+    try {
+        const replay = JSON.parse(json);
+        if (!replay || replay.version !== ReplayVersion || typeof replay.seed !== "string" || !Array.isArray(replay.events) || !replay.events.every(isPlayableReplayEvent)) {
+            return null;
+        }
+        // The arrangement is null when the controls were in their declared order.
+        return replay.arrangement === null || replay.arrangement === undefined || (Array.isArray(replay.arrangement) && replay.arrangement.every(key => typeof key === "string")) ? replay : null;
+    }
+    catch (error) {
+        return null;
+    }
+};
+/**
+ * Called to download a saved replay as a JSON file.
+ * @param {string} [key] The key the replay is saved under. Default is the replay of the last game.
+ * @returns {boolean} True if there was a replay to download.
+ */
+ReplayRecorder.prototype.download = function (key) {
+    const replay = this.load(key);
+    if (!replay) {
+        return false;
+    }
+    const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `click-it-replay-${replay.difficulty}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+};
+/**
+ * Called to let the user pick a downloaded replay, for example one a friend shared, and play it back.
+ * @description The file picker can only be opened while handling a press.
+ */
+ReplayRecorder.prototype.pickFile = function () {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.addEventListener("change", () => {
+        if (input.files.length > 0) {
+            this.playFile(input.files[0]);
+        }
+    });
+    input.click();
+};
+/**
+ * Called to play back a downloaded replay, or to tell the user the file can't be played.
+ * @param {Blob} file The file.
+ * @returns {Promise<boolean>} Resolved with true if the replay is being played back.
+ */
+ReplayRecorder.prototype.playFile = function (file) {
+    return file.text()
+        .then(json => this.play(this.parse(json)))
+        .catch(() => false)
+        .then(isPlaying => {
+            if (!isPlaying) {
+                this.game.flash("red");
+                this.game.announce(translate("announce.badReplay"));
+            }
+            return isPlaying;
+        });
+};
+/**
+ * Called to play a replay back with the settings it was recorded with.
+ * @param {Object} replay The replay.
+ * @returns {boolean} True if the replay could be played back.
+ */
+ReplayRecorder.prototype.play = function (replay) {
+    const difficulty = replay && Difficulties.find(x => x.name === replay.difficulty);
+    if (!difficulty) {
+        return false;
+    }
+    this.replay = null;
+    this.previousSettings = {
+        difficulty: this.game.difficulty,
+        decoyMode: this.game.decoyMode,
+        playMode: this.game.playMode,
+        isLeftHanded: this.game.isLeftHanded,
+        arrangement: this.game.arrangements.get(this.game.layoutEditor.id),
+    };
+    this.playback = replay;
+    this.nextEvent = 0;
+    this.cursor = null;
+    this.game.difficulty = difficulty;
+    this.game.decoyMode = DecoyModes.find(x => x.name === replay.decoyMode) || DecoyModes[0];
+    this.game.playMode = PlayMode.SOLO;
+    // Positions are recorded against the layout, so the replay is played back in the one it was recorded in, with the components where they were.
+    this.game.isLeftHanded = replay.isLeftHanded === true;
+    this.game.arrangements.set(this.game.layoutEditor.id, replay.arrangement || null);
+    this.game.start(replay.seed);
+    return true;
+};
+/**
+ * Called to stop playing back and put the settings of the game back.
+ */
+ReplayRecorder.prototype.stop = function () {
+    this.game.difficulty = this.previousSettings.difficulty;
+    this.game.decoyMode = this.previousSettings.decoyMode;
+    this.game.playMode = this.previousSettings.playMode;
+    this.game.isLeftHanded = this.previousSettings.isLeftHanded;
+    this.game.arrangements.set(this.game.layoutEditor.id, this.previousSettings.arrangement);
+    this.previousSettings = null;
+    this.playback = null;
+    this.cursor = null;
+};
+/**
+ * Called by the game loop to feed the events that are due back through the same paths as live input.
+ */
+ReplayRecorder.prototype.tick = function () {
+    if (!this.isPlayingBack() || !this.isPlaying()) {
+        return;
+    }
+    const events = this.playback.events;
+    while (this.nextEvent < events.length && this.isPlaying()) {
+        const [round, time, type, ...values] = events[this.nextEvent];
+        if (round > this.game.round || (round === this.game.round && time > this.game.clock.now() - this.game.actionStartTime)) {
+            break;
+        }
+        this.nextEvent++;
+        this.dispatch(type, values);
+    }
+};
+/**
+ * Called to pass a recorded event on to the game.
+ * @param {string} type The ReplayEventType.
+ * @param {Array} values The values of the event.
+ */
+ReplayRecorder.prototype.dispatch = function (type, values) {
+    switch (type) {
+        case ReplayEventType.COMMAND: {
+            this.game.onCommand(values[0], values[1]);
+            break;
+        }
+        case ReplayEventType.SHAKE: {
+            this.game.onShake();
+            break;
+        }
+        case ReplayEventType.CANCEL: {
+            this.cursor = this.cursor && { x: this.cursor.x, y: this.cursor.y, isPressed: false };
+            this.game.onMouseCancel(values[0]);
+            break;
+        }
+        default: {
+            const x = gameArea.left + (values[0] * gameArea.scale);
+            const y = gameArea.top + (values[1] * gameArea.scale);
+            this.cursor = { x: x, y: y, isPressed: type !== ReplayEventType.UP && (type === ReplayEventType.DOWN || (this.cursor !== null && this.cursor.isPressed)) };
+            const handler = type === ReplayEventType.DOWN ? "onMouseDown" : type === ReplayEventType.UP ? "onMouseUp" : "onMouseMove";
+            this.game[handler](x, y, values[2]);
+            break;
+        }
+    }
+};
+/**
+ * Called by the game loop to draw the ghost cursor of the replay being played back.
+ */
+ReplayRecorder.prototype.draw = function () {
+    if (!this.isPlayingBack() || !this.cursor) {
+        return;
+    }
+    const radius = ComponentMargin * gameArea.scale * .3;
+    context.beginPath();
+    context.arc(this.cursor.x, this.cursor.y, radius, CircleStartAngle, CircleEndAngle);
+    context.fillStyle = this.cursor.isPressed ? "rgba(255, 255, 255, .7)" : "rgba(255, 255, 255, .3)";
+    context.fill();
+    context.lineWidth = radius * .2;
+    context.strokeStyle = "rgba(0, 0, 0, .5)";
+    context.stroke();
+};
+/**
+ * Gets a position in game area units, rounded so replays stay compact.
+ * @param {number} x The horizontal position on the canvas.
+ * @param {number} y The vertical position on the canvas.
+ * @returns {number[]} The horizontal and vertical position.
+ */
+ReplayRecorder.prototype.toAreaUnits = function (x, y) {
+    return [Math.round((x - gameArea.left) / gameArea.scale * 100) / 100, Math.round((y - gameArea.top) / gameArea.scale * 100) / 100];
+};
+/**
+ * Gets a value indicating if live input has to be ignored because a replay is being played back.
+ * @returns {boolean} True if live input is ignored.
+ */
+ReplayRecorder.prototype.isLiveInputBlocked = function () {
+    return this.isPlayingBack() && this.isPlaying();
+};
+/**
+ * Called when a pointer is pressed.
+ * @param {number} x The horizontal position of the pointer.
+ * @param {number} y The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer.
+ */
+ReplayRecorder.prototype.onMouseDown = function (x, y, pointerId) {
+    if (!this.isLiveInputBlocked()) {
+        this.record(ReplayEventType.DOWN, [...this.toAreaUnits(x, y), pointerId]);
+        this.game.onMouseDown(x, y, pointerId);
+    }
+};
+/**
+ * Called when a pointer moves.
+ * @param {number} x The horizontal position of the pointer.
+ * @param {number} y The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer.
+ */
+ReplayRecorder.prototype.onMouseMove = function (x, y, pointerId) {
+    if (!this.isLiveInputBlocked()) {
+        this.record(ReplayEventType.MOVE, [...this.toAreaUnits(x, y), pointerId]);
+        this.game.onMouseMove(x, y, pointerId);
+    }
+};
+/**
+ * Called when a pointer is released.
+ * @param {number} x The horizontal position of the pointer.
+ * @param {number} y The vertical position of the pointer.
+ * @param {number} pointerId The identifier of the pointer.
+ */
+ReplayRecorder.prototype.onMouseUp = function (x, y, pointerId) {
+    if (!this.isLiveInputBlocked()) {
+        this.record(ReplayEventType.UP, [...this.toAreaUnits(x, y), pointerId]);
+        this.game.onMouseUp(x, y, pointerId);
+    }
+};
+/**
+ * Called when the browser takes a pointer away.
+ * @param {number} pointerId The identifier of the pointer.
+ */
+ReplayRecorder.prototype.onMouseCancel = function (pointerId) {
+    if (!this.isLiveInputBlocked()) {
+        this.record(ReplayEventType.CANCEL, [pointerId]);
+        this.game.onMouseCancel(pointerId);
+    }
+};
+/**
+ * Called when a key or gamepad button bound to a command is pressed.
+ * @description Pausing is never recorded and still works while playing back, so a playback can be left.
+ * @param {string} command The Command that was performed.
+ * @param {number} [controller] The index of the gamepad the command came from, or nothing for the keyboard.
+ * @returns {boolean} True if the command was used.
+ */
+ReplayRecorder.prototype.onCommand = function (command, controller) {
+    if (command === Command.PAUSE || command === Command.START) {
+        return this.game.onCommand(command, controller);
+    }
+    if (this.isLiveInputBlocked()) {
+        return false;
+    }
+    this.record(ReplayEventType.COMMAND, controller === undefined ? [command] : [command, controller]);
+    return this.game.onCommand(command, controller);
+};
+/**
+ * Called when the device is shaken.
+ */
+ReplayRecorder.prototype.onShake = function () {
+    if (!this.isLiveInputBlocked()) {
+        this.record(ReplayEventType.SHAKE, []);
+        this.game.onShake();
+    }
+};
+
+// Let the recorder be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { ReplayVersion, ReplayEventType, LastReplayKey, getBestReplayKey, ReplayRecorder };
+}
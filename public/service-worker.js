@@ -0,0 +1,89 @@
+/**
+ * The version of the cached files.
+ * @description Change it with every release, so browsers install the new files and the menu offers the update.
+ */
+const CacheVersion = "3";
+/**
+ * The name of the cache the files of this version are kept in.
+ */
+const CacheName = `click-it-${CacheVersion}`;
+/**
+ * The message that tells a waiting worker to take over, which the page sends when the user accepts the update.
+ */
+const SkipWaitingMessage = "skip-waiting";
+/**
+ * The cached page that answers every navigation.
+ * @description The page is cached by its clean URL, since the server redirects index.html to it and browsers refuse a redirect as the answer to a navigation.
+ */
+const PageCacheKey = "./";
+/**
+ * The files the game needs to load offline, which are cached when the worker is installed.
+ */
+const PrecachedFiles = [
+    PageCacheKey,
+    "manifest.webmanifest",
+    "icons/icon.svg",
+    "icons/icon-192.png",
+    "icons/icon-512.png",
+    "icons/icon-maskable-512.png",
+    "storage.js",
+    "i18n.js",
+    "speech.js",
+    "audio.js",
+    "pointer-input.js",
+    "controls.js",
+    "accessibility.js",
+    "replay.js",
+    "animation.js",
+    "layout.js",
+    "game-core.js",
+    "tutorial.js",
+    "click-it.js",
+    "renderer.js",
+    "updates.js",
+    "wake-lock.js",
+    "main.js",
+];
+
+// Cache the files of this version. The worker then waits until the page asks it to take over, so a game that is being played is never reloaded.
+self.addEventListener("install", event => {
+    event.waitUntil(caches.open(CacheName).then(cache => cache.addAll(PrecachedFiles)));
+});
+
+// Delete the files of earlier versions once this one has taken over.
+self.addEventListener("activate", event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(x => x.startsWith("click-it-") && x !== CacheName).map(x => caches.delete(x))))
+        .then(() => self.clients.claim()));
+});
+
+// Take over when the user accepts the update.
+self.addEventListener("message", event => {
+    if (event.data && event.data.type === SkipWaitingMessage) {
+        self.skipWaiting();
+    }
+});
+
+// Serve the files from the cache. Every page is the cached game whatever its query, such as ?seed=, and other files of the game are cached the first time they load.
+self.addEventListener("fetch", event => {
+    const request = event.request;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    if (request.mode === "navigate") {
+        event.respondWith(caches.match(PageCacheKey, { cacheName: CacheName }).then(response => response || fetch(request)));
+        return;
+    }
+    event.respondWith(caches.match(request, { cacheName: CacheName, ignoreSearch: true }).then(cached => cached || fetch(request).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CacheName).then(cache => cache.put(request, copy));
+        }
+        return response;
+    })));
+});
+
+// Let the worker be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { CacheVersion, CacheName, SkipWaitingMessage, PageCacheKey, PrecachedFiles };
+}
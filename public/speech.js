@@ -0,0 +1,227 @@
+/**
+ * Indicates if the browser can speak.
+ */
+const IsSpeechSupported = "speechSynthesis" in window && "SpeechSynthesisUtterance" in window;
+/**
+ * The speeds the user can choose to speak at.
+ */
+const SpeechRates = [.75, 1, 1.25, 1.5, 2];
+/**
+ * The pitches the user can choose to speak at.
+ */
+const SpeechPitches = [.5, .75, 1, 1.25, 1.5];
+/**
+ * The key the speech settings are saved under.
+ */
+const SpeechKey = "speech";
+
+/**
+ * Defines the voice, speed and pitch that instructions are spoken with.
+ * @description Browsers list their voices asynchronously, usually only after voiceschanged has fired, so the voice is only picked when an instruction is spoken.
+ * @param {SafeStorage} storage The storage the settings are saved in.
+ * @param {Localizer} localizer The localizer that gives the language to speak in.
+ */
+function SpeechSettings(storage, localizer) {
+    /**
+     * The storage the settings are saved in.
+     * @type {SafeStorage}
+     */
+    this.storage = storage;
+    /**
+     * The localizer that gives the language to speak in.
+     * @type {Localizer}
+     */
+    this.localizer = localizer;
+    /**
+     * The voiceURI of the voice chosen by the user, or null to pick one for the language.
+     * @type {string}
+     */
+    this.voiceURI = null;
+    /**
+     * The speed to speak at, from SpeechRates.
+     * @type {number}
+     */
+    this.rate = 1;
+    /**
+     * The pitch to speak at, from SpeechPitches.
+     * @type {number}
+     */
+    this.pitch = 1;
+    /**
+     * The voice that was picked, or undefined if it has to be picked again because the voices or settings changed.
+     * @type {SpeechSynthesisVoice}
+     */
+    this.voice = undefined;
+    /**
+     * The locale the voice was picked for, so it is picked again when the language changes.
+     * @type {string}
+     */
+    this.voiceLocale = null;
+
+    try {
+        const saved = JSON.parse(storage.getItem(SpeechKey));
+        if (saved) {
+            this.voiceURI = typeof saved.voiceURI === "string" ? saved.voiceURI : null;
+            this.rate = SpeechRates.includes(saved.rate) ? saved.rate : 1;
+            this.pitch = SpeechPitches.includes(saved.pitch) ? saved.pitch : 1;
+        }
+    }
+    catch (error) {
+        // The defaults are used until the settings are changed again.
+    }
+    if (IsSpeechSupported && speechSynthesis.addEventListener) {
+        speechSynthesis.addEventListener("voiceschanged", () => { this.voice = undefined; });
+    }
+}
+/**
+ * Called to save the settings and pick the voice again.
+ */
+SpeechSettings.prototype.save = function () {
+    this.voice = undefined;
+    this.storage.setItem(SpeechKey, JSON.stringify({ voiceURI: this.voiceURI, rate: this.rate, pitch: this.pitch }));
+};
+/**
+ * Gets the voices that speak the language.
+ * @returns {SpeechSynthesisVoice[]} The voices, which can be empty until the browser has listed them.
+ */
+SpeechSettings.prototype.getVoices = function () {
+    if (!IsSpeechSupported) {
+        return [];
+    }
+    return speechSynthesis.getVoices().filter(x => normalizeLocale(x.lang).split("-")[0] === this.localizer.language);
+};
+/**
+ * Gets the voice to speak with.
+ * @description The voice chosen by the user is used while it speaks the language. Otherwise a voice is picked for the language and region, then for the language alone, and then the default voice is used.
+ * @returns {SpeechSynthesisVoice} The voice, or null to let the browser pick one for the language of the utterance.
+ */
+SpeechSettings.prototype.getVoice = function () {
+    if (this.voice !== undefined && this.voiceLocale === this.localizer.locale) {
+        return this.voice;
+    }
+    const allVoices = IsSpeechSupported ? speechSynthesis.getVoices() : [];
+    if (allVoices.length === 0) {
+        // The browser hasn't listed its voices yet, so they are picked again next time.
+        return null;
+    }
+    const voices = this.getVoices();
+    this.voiceLocale = this.localizer.locale;
+    const regionalVoices = voices.filter(x => normalizeLocale(x.lang) === this.localizer.locale);
+    this.voice = voices.find(x => x.voiceURI === this.voiceURI)
+        || regionalVoices.find(x => x.default) || regionalVoices[0]
+        || voices.find(x => x.default) || voices[0]
+        || allVoices.find(x => x.default)
+        || null;
+    return this.voice;
+};
+/**
+ * Gets the voices the user can choose from.
+ * @returns {string[]} The voiceURI of each voice that speaks the language, after null for picking one automatically.
+ */
+SpeechSettings.prototype.getVoiceURIs = function () {
+    return [null, ...this.getVoices().map(x => x.voiceURI)];
+};
+/**
+ * Gets the name of a voice displayed to the user.
+ * @param {string} voiceURI The voiceURI of the voice, or null for picking one automatically.
+ * @returns {string} The name of the voice, or a name that says one is picked.
+ */
+SpeechSettings.prototype.getVoiceName = function (voiceURI) {
+    const voice = voiceURI ? this.getVoices().find(x => x.voiceURI === voiceURI) : null;
+    return voice ? voice.name : translate("label.autoVoice");
+};
+/**
+ * Called when the user chooses a voice to save it.
+ * @param {string} voiceURI The voiceURI of the voice, or null to pick one for the language.
+ */
+SpeechSettings.prototype.setVoice = function (voiceURI) {
+    this.voiceURI = voiceURI;
+    this.save();
+};
+/**
+ * Called when the user chooses a speed to save it.
+ * @param {number} rate The speed, from SpeechRates.
+ */
+SpeechSettings.prototype.setRate = function (rate) {
+    this.rate = rate;
+    this.save();
+};
+/**
+ * Called when the user chooses a pitch to save it.
+ * @param {number} pitch The pitch, from SpeechPitches.
+ */
+SpeechSettings.prototype.setPitch = function (pitch) {
+    this.pitch = pitch;
+    this.save();
+};
+/**
+ * Gets an utterance that speaks a text with the settings.
+ * @param {string} text The text to speak.
+ * @param {number} volume The volume from 0 to 1.
+ * @returns {SpeechSynthesisUtterance} The utterance.
+ */
+SpeechSettings.prototype.createUtterance = function (text, volume) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = this.localizer.locale;
+    utterance.voice = this.getVoice();
+    utterance.rate = this.rate;
+    utterance.pitch = this.pitch;
+    utterance.volume = volume;
+    return utterance;
+};
+
+/**
+ * Defines what speaks the instructions to the user.
+ * @param {SpeechSettings} settings The settings to speak with.
+ * @param {AudioEngine} audioEngine The audio engine that sets the volume of the voice.
+ */
+function Speaker(settings, audioEngine) {
+    /**
+     * The settings to speak with.
+     * @type {SpeechSettings}
+     */
+    this.settings = settings;
+    /**
+     * The audio engine that sets the volume of the voice.
+     * @type {AudioEngine}
+     */
+    this.audioEngine = audioEngine;
+}
+/**
+ * Gets a value indicating if anything can be spoken.
+ * @returns {boolean} True if the browser can speak.
+ */
+Speaker.prototype.isSupported = function () {
+    return IsSpeechSupported;
+};
+/**
+ * Called to speak a text.
+ * @param {string} text The text.
+ * @param {function(): void} onFailed Called if speaking fails, for example because it was blocked by the autoplay policy.
+ */
+Speaker.prototype.speak = function (text, onFailed) {
+    const utterance = this.settings.createUtterance(text, this.audioEngine.getOutputVolume(SoundChannel.VOICE));
+    utterance.onerror = (event) => {
+        // Interrupting or cancelling speech is not a failure.
+        if (event.error !== "interrupted" && event.error !== "canceled") {
+            onFailed();
+        }
+    };
+    try {
+        speechSynthesis.speak(utterance);
+    }
+    catch (e) {
+        onFailed();
+    }
+};
+/**
+ * Called to stop speaking, for example when the game is paused.
+ */
+Speaker.prototype.cancel = function () {
+    if (IsSpeechSupported) {
+        speechSynthesis.cancel();
+    }
+};
+
+// Create the speech settings, which pick a voice the first time something is spoken.
+const speechSettings = new SpeechSettings(storage, localizer);
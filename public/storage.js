@@ -0,0 +1,314 @@
+/**
+ * The version of the saved PlayerProfile. Each version needs a migration in ProfileMigrations from the version before it.
+ */
+const ProfileVersion = 1;
+/**
+ * The key the PlayerProfile is saved under.
+ */
+const ProfileKey = "profile";
+/**
+ * The most runs the PlayerProfile keeps in its history.
+ */
+const ProfileHistoryLength = 100;
+
+/**
+ * Gets a value indicating if a value read from JSON is an object with keys, rather than null, an array or a primitive.
+ * @param {*} value The value.
+ * @returns {boolean} True if the value is such an object.
+ */
+const isRecord = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Defines a key-value store over local storage that never throws.
+ * @description Local storage can be missing, blocked (for example in private mode) or full, in which case values are kept in memory for the rest of the session.
+ */
+function SafeStorage() {
+    /**
+     * The local storage, or null if it can't be used.
+     * @type {Storage}
+     */
+    this.localStorage = null;
+    /**
+     * The values kept while local storage can't be used, by key.
+     * @type {Map<string, string>}
+     */
+    this.memory = new Map();
+
+    try {
+        // Reading the property throws when storage is blocked, and writing throws in some private modes.
+        const localStorage = window.localStorage;
+        localStorage.setItem("storage-test", "1");
+        localStorage.removeItem("storage-test");
+        this.localStorage = localStorage;
+    }
+    catch (error) {
+        // Values are only kept in memory, so nothing is kept after the page closes.
+    }
+}
+/**
+ * Gets a value indicating if values are kept after the page closes.
+ * @returns {boolean} True if local storage can be used.
+ */
+SafeStorage.prototype.isPersistent = function () {
+    return this.localStorage !== null;
+};
+/**
+ * Gets a value.
+ * @param {string} key The key of the value.
+ * @returns {string} The value, or null if there is none.
+ */
+SafeStorage.prototype.getItem = function (key) {
+    if (this.memory.has(key)) {
+        return this.memory.get(key);
+    }
+    try {
+        return this.localStorage ? this.localStorage.getItem(key) : null;
+    }
+    catch (error) {
+        return null;
+    }
+};
+/**
+ * Called to save a value.
+ * @param {string} key The key of the value.
+ * @param {string} value The value.
+ */
+SafeStorage.prototype.setItem = function (key, value) {
+    try {
+        if (this.localStorage) {
+            this.localStorage.setItem(key, value);
+            this.memory.delete(key);
+            return;
+        }
+    }
+    catch (error) {
+        // The storage is full, so the value is only kept for the session.
+    }
+    this.memory.set(key, value);
+};
+/**
+ * Called to remove a value.
+ * @param {string} key The key of the value.
+ */
+SafeStorage.prototype.removeItem = function (key) {
+    this.memory.delete(key);
+    try {
+        if (this.localStorage) {
+            this.localStorage.removeItem(key);
+        }
+    }
+    catch (error) {
+        // There is nothing to remove from storage that can't be used.
+    }
+};
+/**
+ * Gets the keys of every saved value.
+ * @returns {string[]} The keys.
+ */
+SafeStorage.prototype.getKeys = function () {
+    const keys = new Set(this.memory.keys());
+    try {
+        if (this.localStorage) {
+            for (let i = 0; i < this.localStorage.length; i++) {
+                keys.add(this.localStorage.key(i));
+            }
+        }
+    }
+    catch (error) {
+        // Only the values in memory can be listed.
+    }
+    return Array.from(keys);
+};
+
+/**
+ * The migrations that bring a saved profile up to date, by the version they migrate from.
+ * @description Version 0 is the time before the profile, when only best scores were saved, each under its own key.
+ */
+const ProfileMigrations = {
+    0: (data, storage) => {
+        data.bestScores = {};
+        data.runs = [];
+        data.actions = {};
+        data.totals = { games: 0, actions: 0, mistakes: 0, playTime: 0 };
+        storage.getKeys().filter(key => key.startsWith("best-score-")).forEach(key => {
+            const score = Number(storage.getItem(key));
+            if (score > 0) {
+                data.bestScores[key.substring("best-score-".length)] = score;
+            }
+            storage.removeItem(key);
+        });
+        // The best score used to be saved for the only difficulty there was, which is now Normal.
+        const score = Number(storage.getItem("best-score"));
+        if (score > 0 && !data.bestScores.normal) {
+            data.bestScores.normal = score;
+        }
+        storage.removeItem("best-score");
+    },
+};
+
+/**
+ * Defines the profile of the player: their best scores, the history of their runs and their statistics.
+ * @param {SafeStorage} storage The storage the profile is saved in.
+ */
+function PlayerProfile(storage) {
+    /**
+     * The storage the profile is saved in.
+     * @type {SafeStorage}
+     */
+    this.storage = storage;
+    /**
+     * Indicates if the saved profile is from a newer version, so it is left alone rather than overwritten with less.
+     * @type {boolean}
+     */
+    this.isReadOnly = false;
+    /**
+     * The saved data.
+     * @type {{version: number, bestScores: Object<string, number>, runs: {date: string, score: number, difficulty: string, decoyMode: string, cause: string}[], actions: Object<string, {given: number, performed: number, reactionTime: number}>, totals: {games: number, actions: number, mistakes: number, playTime: number}}}
+     */
+    this.data = this.load();
+}
+/**
+ * Gets the saved data, migrated to the current version.
+ * @description Data that can't be read is kept under another key for troubleshooting and the profile starts over.
+ * @returns {Object} The data.
+ */
+PlayerProfile.prototype.load = function () {
+    const raw = this.storage.getItem(ProfileKey);
+    let data = null;
+    try {
+        data = JSON.parse(raw);
+    }
+    catch (error) {
+        // Data that isn't JSON can't be read, like data that has the wrong shape.
+        data = undefined;
+    }
+    if (isRecord(data) && Number.isInteger(data.version) && data.version > ProfileVersion) {
+        // This session starts from an empty profile that isn't saved, so the newer one is kept.
+        this.isReadOnly = true;
+        data = null;
+    }
+    else if (data !== null && !this.isReadable(data)) {
+        this.storage.setItem(`${ProfileKey}-corrupt`, raw);
+        data = null;
+    }
+    if (!data) {
+        data = { version: 0 };
+    }
+    const version = data.version;
+    while (data.version < ProfileVersion) {
+        ProfileMigrations[data.version](data, this.storage);
+        data.version++;
+    }
+    if (data.version !== version) {
+        this.save(data);
+    }
+    return data;
+};
+/**
+ * Gets a value indicating if saved data has the shape of a profile, so it can be migrated and used.
+ * @description Data from before version 1 only needs its version, since the migration to version 1 creates everything else.
+ * @param {*} data The data read from storage.
+ * @returns {boolean} True if the data can be used.
+ */
+PlayerProfile.prototype.isReadable = function (data) {
+    if (!isRecord(data) || !Number.isInteger(data.version) || data.version < 0 || data.version > ProfileVersion) {
+        return false;
+    }
+    return data.version === 0 || (isRecord(data.bestScores) && isRecord(data.actions) && isRecord(data.totals) && Array.isArray(data.runs));
+};
+/**
+ * Called to write the profile to storage.
+ * @param {Object} [data] The data to write. Default is the data of the profile.
+ */
+PlayerProfile.prototype.save = function (data) {
+    if (this.isReadOnly) {
+        return;
+    }
+    this.storage.setItem(ProfileKey, JSON.stringify(data || this.data));
+};
+/**
+ * Gets a best score.
+ * @param {string} key The key of the best score, for example the name of the difficulty.
+ * @returns {number} The best score or 0 if there is none.
+ */
+PlayerProfile.prototype.getBestScore = function (key) {
+    return this.data.bestScores[key] || 0;
+};
+/**
+ * Called to save a new best score.
+ * @param {string} key The key of the best score, for example the name of the difficulty.
+ * @param {number} score The score.
+ */
+PlayerProfile.prototype.saveBestScore = function (key, score) {
+    this.data.bestScores[key] = score;
+    this.save();
+};
+/**
+ * Called when an action was given to count whether it was performed and how fast.
+ * @description The statistics are saved with the run at the end of the game.
+ * @param {string} key The key of the action in Actions.
+ * @param {boolean} isPerformed Indicates if the action was performed in time.
+ * @param {number} [reactionTime] The time (in milliseconds) it took to perform the action.
+ */
+PlayerProfile.prototype.recordAction = function (key, isPerformed, reactionTime) {
+    const stats = this.data.actions[key] || (this.data.actions[key] = { given: 0, performed: 0, reactionTime: 0 });
+    stats.given++;
+    if (isPerformed) {
+        stats.performed++;
+        stats.reactionTime += reactionTime;
+        this.data.totals.actions++;
+    }
+    else {
+        this.data.totals.mistakes++;
+    }
+};
+/**
+ * Called when a game ends to add it to the history and save the profile.
+ * @param {{date: string, score: number, difficulty: string, decoyMode: string, cause: string}} run The run.
+ * @param {number} playTime The time (in milliseconds) the game was played for.
+ */
+PlayerProfile.prototype.recordRun = function (run, playTime) {
+    this.data.runs.push(run);
+    this.data.runs.splice(0, Math.max(0, this.data.runs.length - ProfileHistoryLength));
+    this.data.totals.games++;
+    this.data.totals.playTime += playTime;
+    this.save();
+};
+/**
+ * Gets the most recent runs.
+ * @param {number} count The most runs to get.
+ * @returns {{date: string, score: number, difficulty: string, decoyMode: string, cause: string}[]} The runs, oldest first.
+ */
+PlayerProfile.prototype.getRecentRuns = function (count) {
+    return this.data.runs.slice(-count);
+};
+/**
+ * Gets the accuracy and average reaction time of each action that has been given.
+ * @returns {{key: string, accuracy: number, averageReactionTime: number}[]} The statistics, where accuracy is between 0 and 1.
+ */
+PlayerProfile.prototype.getActionStats = function () {
+    return Object.keys(this.data.actions).map(key => {
+        const stats = this.data.actions[key];
+        return {
+            key: key,
+            accuracy: stats.given > 0 ? stats.performed / stats.given : 0,
+            averageReactionTime: stats.performed > 0 ? stats.reactionTime / stats.performed : 0,
+        };
+    });
+};
+/**
+ * Gets the lifetime totals.
+ * @returns {{games: number, actions: number, mistakes: number, playTime: number}} The totals, where the play time is in milliseconds.
+ */
+PlayerProfile.prototype.getTotals = function () {
+    return this.data.totals;
+};
+
+// Open the storage that everything else is saved in.
+const storage = new SafeStorage();
+const profile = new PlayerProfile(storage);
+
+// Let the storage be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { SafeStorage, PlayerProfile, ProfileVersion, storage, profile };
+}
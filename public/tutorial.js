@@ -0,0 +1,129 @@
+/**
+ * The ways the gestures can be learned.
+ */
+const TutorialMode = {
+    /** Each action is given in turn, with a hint of how to perform it, until it is performed. */
+    TUTORIAL: "tutorial",
+    /** Any action can be performed, and the game says which one it was. */
+    PRACTICE: "practice",
+};
+/**
+ * The ways a gesture can fall short of being recognized, which the tutorial explains.
+ */
+const GestureMiss = {
+    /** Turn It! was let go before it was turned far enough. */
+    TURN_SHORT: "turn-short",
+    /** Turn It! was dragged without going around its center, for example straight out from it. */
+    TURN_AROUND: "turn-around",
+    /** The Slide It! knob was let go before it reached the end of the bar. */
+    SLIDE_SHORT: "slide-short",
+    /** Tap It! was swiped far enough, but too slowly to be a flick. */
+    FLICK_SLOW: "flick-slow",
+    /** Tap It! was swiped quickly, but not far enough to be a flick. */
+    FLICK_SHORT: "flick-short",
+};
+/**
+ * The key that records the tutorial was offered, so it is only offered the first time the game is played.
+ */
+const TutorialOfferedKey = "tutorial-offered";
+
+/**
+ * Defines a session of learning the gestures, which has no time limit and never ends the game.
+ * @description The tutorial gives its actions in order and explains each gesture that was wrong or fell short. Once every action has been performed it carries on like practice.
+ * @param {string} mode The TutorialMode.
+ * @param {Action[]} [actions] The actions to give in order. Default is every action that can be performed on this device, or none for practice.
+ */
+function Tutorial(mode, actions) {
+    /**
+     * The TutorialMode.
+     * @type {string}
+     */
+    this.mode = mode;
+    /**
+     * The actions to give in order.
+     * @type {Action[]}
+     */
+    this.actions = actions || (mode === TutorialMode.TUTORIAL ? Object.values(Actions).filter(x => x.isAvailable()) : []);
+    /**
+     * The index of the action that is given.
+     * @type {number}
+     */
+    this.step = 0;
+    /**
+     * What the game said about the last gesture, or an empty string to show the hint instead.
+     * @type {string}
+     */
+    this.feedback = "";
+}
+/**
+ * Gets the action the user is expected to perform.
+ * @returns {Action} The action, or null if any action can be performed.
+ */
+Tutorial.prototype.getAction = function () {
+    return this.actions[this.step] || null;
+};
+/**
+ * Gets a value indicating if every action has been performed, so any action can be performed.
+ * @returns {boolean} True if there are no more actions to give.
+ */
+Tutorial.prototype.isComplete = function () {
+    return this.step >= this.actions.length;
+};
+/**
+ * Gets the instruction shown above the components.
+ * @returns {string} The text of the expected action, or the name of practice if there is none.
+ */
+Tutorial.prototype.getPrompt = function () {
+    const action = this.getAction();
+    return action ? action.Text : translate("tutorial.practice");
+};
+/**
+ * Gets how to perform the expected action.
+ * @returns {string} The hint.
+ */
+Tutorial.prototype.getHint = function () {
+    const action = this.getAction();
+    return action ? translate(`hint.${action.getKey()}`) : translate("tutorial.tryAny");
+};
+/**
+ * Gets the text shown below the components.
+ * @returns {string} What the game said about the last gesture, or the hint if there is nothing to say.
+ */
+Tutorial.prototype.getCaption = function () {
+    return this.feedback || this.getHint();
+};
+/**
+ * Called when the user performs an action, to move on if it was the expected one and otherwise say what was performed instead.
+ * @param {string} name The name of the action.
+ * @param {string} [direction] The SlideDirection the action was performed in, if it has one.
+ * @returns {boolean} True if the action was the expected one, or any action could be performed.
+ */
+Tutorial.prototype.handleAction = function (name, direction) {
+    const performed = translate(`performed.${direction ? `${name}_${direction}` : name}`);
+    const action = this.getAction();
+    if (!action) {
+        this.feedback = translate("tutorial.performed", { performed: performed });
+        return true;
+    }
+    if (action.isPerformedBy(name, direction)) {
+        this.step += 1;
+        // The next action is given with its hint, or the user is told they have learned them all.
+        this.feedback = this.isComplete() ? translate("tutorial.done") : "";
+        return true;
+    }
+    this.feedback = translate("tutorial.wrong", { performed: performed });
+    return false;
+};
+/**
+ * Called when a gesture falls short of being recognized, to explain what it needed.
+ * @param {string} miss The GestureMiss.
+ * @param {number} [progress] How much of the gesture was made, from 0 to 1, for misses that measure it.
+ */
+Tutorial.prototype.handleMiss = function (miss, progress) {
+    this.feedback = translate(`miss.${miss}`, { percent: Math.round(Math.min(1, progress || 0) * 100) });
+};
+
+// Let the tutorial be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { TutorialMode, GestureMiss, TutorialOfferedKey, Tutorial };
+}
@@ -0,0 +1,129 @@
+/**
+ * The message that tells a waiting service worker to take over, which must match the one in service-worker.js.
+ */
+const SkipWaitingMessage = "skip-waiting";
+
+/**
+ * Defines how the game installs its service worker and finds out when a new version is ready.
+ * @description A new version waits until the user accepts it from the menu, and the page reloads once it has taken over. Nothing happens when service workers aren't supported.
+ * @param {ServiceWorkerContainer} container The service workers of the page, or undefined if they aren't supported.
+ * @param {function(): void} onUpdateAvailable Called when a new version is ready.
+ */
+function AppUpdater(container, onUpdateAvailable) {
+    /**
+     * The service workers of the page, or null if they aren't supported.
+     * @type {ServiceWorkerContainer}
+     */
+    this.container = container || null;
+    /**
+     * Called when a new version is ready.
+     * @type {function(): void}
+     */
+    this.onUpdateAvailable = onUpdateAvailable;
+    /**
+     * The registration of the service worker, once it has been registered.
+     * @type {ServiceWorkerRegistration}
+     */
+    this.registration = null;
+    /**
+     * The worker of the new version that waits to take over, or null if there is none.
+     * @type {ServiceWorker}
+     */
+    this.waitingWorker = null;
+    /**
+     * A value indicating if the user accepted the update, so the page reloads when the new version takes over.
+     * @type {boolean}
+     */
+    this.isApplying = false;
+}
+/**
+ * Called to register the service worker.
+ * @param {string} url The URL of the service worker.
+ * @returns {Promise<void>} Resolved when the worker has been registered or couldn't be.
+ */
+AppUpdater.prototype.register = function (url) {
+    if (!this.container) {
+        return Promise.resolve();
+    }
+    this.container.addEventListener("controllerchange", () => {
+        if (this.isApplying) {
+            this.reload();
+        }
+    });
+    return this.container.register(url)
+        .then(registration => {
+            this.registration = registration;
+            // A worker that is already waiting was installed on an earlier visit.
+            if (registration.waiting && this.container.controller) {
+                this.setWaiting(registration.waiting);
+            }
+            if (registration.installing) {
+                this.watch(registration.installing);
+            }
+            registration.addEventListener("updatefound", () => this.watch(registration.installing));
+        })
+        .catch(() => {
+            // The game can still be played, just not offline.
+        });
+};
+/**
+ * Called to watch a worker that is being installed.
+ * @param {ServiceWorker} worker The worker.
+ */
+AppUpdater.prototype.watch = function (worker) {
+    if (!worker) {
+        return;
+    }
+    worker.addEventListener("statechange", () => {
+        // The first worker to install has no version to replace, so it only makes the game work offline.
+        if (worker.state === "installed" && this.container.controller) {
+            this.setWaiting(worker);
+        }
+    });
+};
+/**
+ * Called when a new version is ready.
+ * @param {ServiceWorker} worker The worker of the new version.
+ */
+AppUpdater.prototype.setWaiting = function (worker) {
+    this.waitingWorker = worker;
+    this.onUpdateAvailable();
+};
+/**
+ * Gets a value indicating if a new version is ready.
+ * @returns {boolean} True if a new version waits to take over.
+ */
+AppUpdater.prototype.isUpdateAvailable = function () {
+    return this.waitingWorker !== null && !this.isApplying;
+};
+/**
+ * Called to switch to the new version, which reloads the page once it has taken over.
+ */
+AppUpdater.prototype.applyUpdate = function () {
+    if (!this.isUpdateAvailable()) {
+        return;
+    }
+    this.isApplying = true;
+    this.waitingWorker.postMessage({ type: SkipWaitingMessage });
+};
+/**
+ * Called to reload the page with the new version.
+ */
+AppUpdater.prototype.reload = function () {
+    window.location.reload();
+};
+/**
+ * Called to check if there is a new version, for example when the game comes back from the background.
+ */
+AppUpdater.prototype.checkForUpdate = function () {
+    if (this.registration) {
+        this.registration.update().catch(() => {
+            // The game is offline, so it checks again next time.
+        });
+    }
+};
+
+// Let the updater be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { SkipWaitingMessage, AppUpdater };
+}
@@ -0,0 +1,81 @@
+/**
+ * Defines a lock that keeps the screen on, so the phone doesn't sleep in the middle of a run.
+ * @description The browser releases the lock when the page is hidden, so it is requested again each time play starts or resumes. Nothing happens when the Screen Wake Lock API isn't supported.
+ * @param {WakeLock} wakeLock The wake lock API, or undefined if it isn't supported.
+ */
+function ScreenWakeLock(wakeLock) {
+    /**
+     * The wake lock API, or null if it isn't supported.
+     * @type {WakeLock}
+     */
+    this.wakeLock = wakeLock || null;
+    /**
+     * The lock that is held, or null if there is none.
+     * @type {WakeLockSentinel}
+     */
+    this.sentinel = null;
+    /**
+     * A value indicating if the screen should stay on, which a lock that is granted after it was released checks.
+     * @type {boolean}
+     */
+    this.isWanted = false;
+    /**
+     * A value indicating if a lock has been requested but not granted yet.
+     * @type {boolean}
+     */
+    this.isRequesting = false;
+}
+/**
+ * Gets a value indicating if the screen can be kept on.
+ * @returns {boolean} True if the Screen Wake Lock API is supported.
+ */
+ScreenWakeLock.prototype.isSupported = function () {
+    return this.wakeLock !== null;
+};
+/**
+ * Called to keep the screen on.
+ * @returns {Promise<void>} Resolved when the lock has been granted or refused.
+ */
+ScreenWakeLock.prototype.request = function () {
+    this.isWanted = true;
+    if (!this.isSupported() || this.sentinel || this.isRequesting) {
+        return Promise.resolve();
+    }
+    this.isRequesting = true;
+    return this.wakeLock.request("screen")
+        .then(sentinel => {
+            this.isRequesting = false;
+            // The lock was released while it was being requested.
+            if (!this.isWanted) {
+                return sentinel.release();
+            }
+            this.sentinel = sentinel;
+            sentinel.addEventListener("release", () => {
+                if (this.sentinel === sentinel) {
+                    this.sentinel = null;
+                }
+            });
+        })
+        .catch(() => {
+            // The page is hidden or the battery is low, so the screen may sleep as usual.
+            this.isRequesting = false;
+        });
+};
+/**
+ * Called to let the screen sleep again.
+ */
+ScreenWakeLock.prototype.release = function () {
+    this.isWanted = false;
+    if (this.sentinel) {
+        const sentinel = this.sentinel;
+        this.sentinel = null;
+        sentinel.release().catch(() => {
+            // The browser has already released it.
+        });
+    }
+};
+
+// Let the lock be loaded in Node, for example by the tests.
+if (typeof module !== "undefined") {
+    module.exports = { ScreenWakeLock };
+}
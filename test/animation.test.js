@@ -0,0 +1,79 @@
+// Tests for the tweens in animation.js, run with `node --test test/`.
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+const { Easing, Animator } = require("../public/animation.js");
+
+test("every easing starts at 0 and ends at 1", () => {
+    Object.values(Easing).forEach(easing => {
+        assert.strictEqual(Math.round(easing(0) * 1000) / 1000, 0);
+        assert.strictEqual(Math.round(easing(1) * 1000) / 1000, 1);
+    });
+});
+
+test("a tween moves the property to its end over the duration", () => {
+    let now = 0;
+    const animator = new Animator(() => now);
+    const target = { value: 0 };
+    animator.animate(target, "value", 10, 100, { easing: Easing.linear });
+    now = 50;
+    animator.tick();
+    assert.strictEqual(target.value, 5);
+    now = 150;
+    animator.tick();
+    assert.strictEqual(target.value, 10);
+    assert.strictEqual(animator.isAnimating(target), false);
+});
+
+test("a delayed tween holds the start value until it starts", () => {
+    let now = 0;
+    const animator = new Animator(() => now);
+    const target = { opacity: 1 };
+    animator.animate(target, "opacity", 1, 100, { from: 0, delay: 50, easing: Easing.linear });
+    assert.strictEqual(target.opacity, 0);
+    now = 50;
+    animator.tick();
+    assert.strictEqual(target.opacity, 0);
+    now = 100;
+    animator.tick();
+    assert.strictEqual(target.opacity, .5);
+});
+
+test("a new tween of the same property takes over from where the value is", () => {
+    let now = 0;
+    const animator = new Animator(() => now);
+    const target = { scale: 1 };
+    animator.animate(target, "scale", 0, 100, { easing: Easing.linear });
+    now = 50;
+    animator.tick();
+    animator.animate(target, "scale", 1, 100, { easing: Easing.linear });
+    now = 100;
+    animator.tick();
+    assert.strictEqual(target.scale, .75);
+    assert.strictEqual(animator.tweens.length, 1);
+});
+
+test("onComplete can start the next tween of the same property", () => {
+    let now = 0;
+    const animator = new Animator(() => now);
+    const target = { scale: 1 };
+    animator.animate(target, "scale", 2, 100, { onComplete: () => animator.animate(target, "scale", 1, 100) });
+    now = 100;
+    animator.tick();
+    assert.strictEqual(target.scale, 2);
+    assert.strictEqual(animator.isAnimating(target), true);
+    now = 200;
+    animator.tick();
+    assert.strictEqual(target.scale, 1);
+});
+
+test("values jump to their end when the user asked for less motion", () => {
+    const animator = new Animator(() => 0);
+    animator.isReducedMotion = true;
+    const target = { value: 0 };
+    let isCompleted = false;
+    animator.animate(target, "value", 10, 100, { onComplete: () => { isCompleted = true; } });
+    assert.strictEqual(target.value, 10);
+    assert.strictEqual(isCompleted, true);
+    assert.strictEqual(animator.isAnimating(target), false);
+});
@@ -0,0 +1,126 @@
+// Tests for the keyboard and gamepad controls in controls.js, run with `node --test test/`.
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+// The scripts are written for the browser, where they share their globals, so the ones they use are set up first.
+global.window = { addEventListener: () => {} };
+global.translate = (key, values) => (values ? `${key} ${JSON.stringify(values)}` : key);
+const { Command, ControlBindings, KeyboardControls, GamepadControls } = require("../public/controls.js");
+
+let commands = [];
+let bindings = null;
+let keyboard = null;
+
+beforeEach(() => {
+    commands = [];
+    const values = new Map();
+    global.storage = {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+    };
+    bindings = new ControlBindings();
+    keyboard = new KeyboardControls(bindings, {
+        onCommand: command => {
+            commands.push(command);
+            return true;
+        },
+    });
+});
+
+/**
+ * Called to press a key, the way the browser reports it.
+ * @param {string} code The KeyboardEvent.code of the key.
+ * @param {string} key The KeyboardEvent.key of the key.
+ * @param {Object} [target] The element that has focus.
+ */
+const press = (code, key, target) => {
+    keyboard.onKeyDown({ code: code, key: key, target: target || null, preventDefault: () => {} });
+};
+
+test("keys perform the commands they are bound to", () => {
+    press("KeyR", "r");
+    press("Escape", "Escape");
+    assert.deepStrictEqual(commands, [Command.TURN, Command.PAUSE]);
+});
+
+test("a focused control keeps the keys it handles and the game gets the rest", () => {
+    const button = { tagName: "BUTTON" };
+    press("Enter", "Enter", button);
+    press("Space", " ", button);
+    press("KeyR", "r", button);
+    press("ArrowLeft", "ArrowLeft", button);
+    assert.deepStrictEqual(commands, [Command.TURN, Command.SLIDE_LEFT]);
+
+    commands = [];
+    const slider = { tagName: "INPUT", type: "range" };
+    press("ArrowLeft", "ArrowLeft", slider);
+    press("KeyP", "p", slider);
+    assert.deepStrictEqual(commands, [Command.PAUSE]);
+});
+
+test("the next key pressed is bound in place of the command's keys and isn't performed", () => {
+    let remapped = 0;
+    bindings.startRemap(Command.TURN, () => remapped++);
+    // The control that started remapping keeps focus, and Enter is bound rather than pressing it again.
+    press("Enter", "Enter", { tagName: "BUTTON" });
+    assert.strictEqual(remapped, 1);
+    assert.strictEqual(bindings.remapCommand, null);
+    assert.deepStrictEqual(commands, []);
+    assert.deepStrictEqual(bindings.keys.TURN, ["Enter"]);
+    assert.deepStrictEqual(bindings.keys.START, []);
+    assert.strictEqual(bindings.describe(Command.TURN), "Enter, control.button {\"number\":4}");
+    assert.strictEqual(bindings.describe(Command.START), "control.button {\"number\":10}, control.button {\"number\":1}");
+
+    // The bindings are saved, and the defaults can be put back.
+    assert.deepStrictEqual(new ControlBindings().keys.TURN, ["Enter"]);
+    bindings.startRemap(Command.TAP);
+    bindings.reset();
+    assert.strictEqual(bindings.remapCommand, null);
+    assert.deepStrictEqual(bindings.keys.TURN, ["KeyR", "ArrowUp"]);
+    press("ArrowUp", "ArrowUp");
+    assert.deepStrictEqual(commands, [Command.TURN]);
+});
+
+test("saved bindings of the wrong type are replaced by the defaults", () => {
+    storage.setItem("control-bindings", JSON.stringify({ keys: { TAP: 5, TURN: ["KeyQ"], HOLD: [null] }, buttons: { TAP: ["A"], TURN: [1.5], HOLD: [7] } }));
+    bindings = new ControlBindings();
+    assert.deepStrictEqual(bindings.keys.TAP, ["Space", "KeyT"]);
+    assert.deepStrictEqual(bindings.keys.TURN, ["KeyQ"]);
+    assert.deepStrictEqual(bindings.keys.HOLD, ["KeyH"]);
+    assert.deepStrictEqual(bindings.buttons.TAP, [0]);
+    assert.deepStrictEqual(bindings.buttons.TURN, [3]);
+    assert.deepStrictEqual(bindings.buttons.HOLD, [7]);
+    keyboard = new KeyboardControls(bindings, { onCommand: command => commands.push(command) });
+    press("KeyT", "t");
+    press("KeyQ", "q");
+    assert.deepStrictEqual(commands, [Command.TAP, Command.TURN]);
+});
+
+test("Escape cancels remapping and Tab still moves the focus", () => {
+    let remapped = 0;
+    bindings.startRemap(Command.PAUSE, () => remapped++);
+    let isPrevented = false;
+    keyboard.onKeyDown({ code: "Tab", key: "Tab", target: { tagName: "BUTTON" }, preventDefault: () => { isPrevented = true; } });
+    assert.strictEqual(isPrevented, false);
+    assert.strictEqual(bindings.remapCommand, Command.PAUSE);
+    press("Escape", "Escape", { tagName: "BUTTON" });
+    assert.strictEqual(remapped, 1);
+    assert.strictEqual(bindings.remapCommand, null);
+    assert.deepStrictEqual(bindings.keys.PAUSE, ["Escape", "KeyP"]);
+    assert.deepStrictEqual(commands, []);
+});
+
+test("the next gamepad button pressed is bound to the command", () => {
+    const gamepad = new GamepadControls(bindings, { onCommand: command => commands.push(command) });
+    const buttons = [false, false, true].map(x => ({ pressed: x }));
+    bindings.startRemap(Command.TAP);
+    gamepad.pollButtons({ index: 0, buttons: buttons });
+    assert.deepStrictEqual(commands, []);
+    assert.deepStrictEqual(bindings.buttons.TAP, [2]);
+    assert.deepStrictEqual(bindings.buttons.DOUBLE_TAP, []);
+    assert.strictEqual(bindings.describe(Command.DOUBLE_TAP), "E");
+
+    bindings.keys.DOUBLE_TAP = [];
+    assert.strictEqual(bindings.describe(Command.DOUBLE_TAP), "control.none");
+});
@@ -0,0 +1,341 @@
+// Tests for the rules in game-core.js, run with `node --test test/`.
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert");
+
+/**
+ * Creates a local storage that keeps its values in memory.
+ * @returns {Storage} The storage.
+ */
+const createLocalStorage = () => {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+        removeItem: key => values.delete(key),
+        key: index => [...values.keys()][index] || null,
+        get length() { return values.size; },
+    };
+};
+
+// The scripts are written for the browser, where they share their globals, so the ones they use are set up first.
+global.translate = (key, values) => (values ? `${key} ${JSON.stringify(values)}` : key);
+global.localizer = { locale: "en" };
+global.window = { localStorage: createLocalStorage() };
+const { SafeStorage, PlayerProfile } = require("../public/storage.js");
+const { Actions, GameCore, GameClock, DecoyModes, Difficulties, InstructionMode, PlayMode } = require("../public/game-core.js");
+
+let now = 0;
+let spoken = [];
+let drawn = [];
+let options = null;
+
+beforeEach(() => {
+    now = 0;
+    spoken = [];
+    drawn = [];
+    window.localStorage = createLocalStorage();
+    const storage = new SafeStorage();
+    options = {
+        clock: new GameClock(() => now),
+        storage: storage,
+        profile: new PlayerProfile(storage),
+        speech: {
+            isSupported: () => true,
+            speak: (text, onFailed) => spoken.push({ text: text, onFailed: onFailed }),
+            cancel: () => {},
+        },
+        renderer: {
+            area: { top: 0, left: 0, width: 100, height: 38, scale: 1 },
+            drawPrompt: (area, text) => drawn.push(["prompt", text]),
+            drawTimeBar: (area, timeLeft) => drawn.push(["time", timeLeft]),
+            drawScore: (area, score) => drawn.push(["score", score]),
+        },
+    };
+});
+
+/**
+ * Called to perform the expected action, the way the user would.
+ * @param {GameCore} game The game.
+ */
+const performExpectedAction = (game) => {
+    game.handleAction(game.expectedAction.Name, game.expectedAction.Direction);
+};
+
+test("start gives and speaks the first action", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    assert.strictEqual(game.isEnded, false);
+    assert.strictEqual(game.round, 0);
+    assert.ok(game.expectedAction);
+    assert.deepStrictEqual(spoken.map(x => x.text), [game.expectedAction.Text]);
+    assert.strictEqual(game.actionDeadline, game.difficulty.getTimeForAction(0) + game.expectedAction.ExtraTime);
+});
+
+test("the same seed gives the same actions", () => {
+    const getActions = () => {
+        const game = new GameCore(options);
+        game.start("seed");
+        const actions = [];
+        for (let i = 0; i < 10; i++) {
+            actions.push(game.expectedAction.getKey());
+            performExpectedAction(game);
+        }
+        return actions;
+    };
+    assert.deepStrictEqual(getActions(), getActions());
+});
+
+test("nextAction scores, moves to the next round and gives less time", () => {
+    const game = new GameCore(options);
+    const sounds = [];
+    game.playSound = name => sounds.push(name);
+    game.setDifficulty(Difficulties.find(x => x.name === "easy"));
+    game.start("seed");
+    now = 500;
+    performExpectedAction(game);
+    assert.strictEqual(game.player.score, 1);
+    assert.strictEqual(game.round, 1);
+    assert.deepStrictEqual(game.player.reactionTimes, [500]);
+    assert.ok(sounds.includes("SUCCESS"));
+    assert.strictEqual(game.actionDeadline - game.actionStartTime, 5950 + game.expectedAction.ExtraTime);
+});
+
+test("nextAction does nothing once the game has ended", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    game.end();
+    const action = game.expectedAction;
+    game.nextAction();
+    assert.strictEqual(game.round, 0);
+    assert.strictEqual(game.expectedAction, action);
+});
+
+test("a wrong action ends the game with the cause", () => {
+    const game = new GameCore(options);
+    let endedWith = null;
+    game.onEnd = isNewBest => { endedWith = isNewBest; };
+    game.start("seed");
+    const wrong = game.expectedAction.Name === "TAP" ? "TURN" : "TAP";
+    game.handleAction(wrong);
+    assert.strictEqual(game.isEnded, true);
+    assert.strictEqual(endedWith, false);
+    assert.match(game.results.cause, /^cause\.wrong /);
+    assert.strictEqual(game.player.cause, game.results.cause);
+});
+
+test("a shake only counts when shakes can be given", (t) => {
+    const game = new GameCore(options);
+    game.setDifficulty(Difficulties.find(x => x.name === "normal"));
+    game.start("seed");
+    game.onShake();
+    assert.strictEqual(game.isEnded, false);
+
+    game.setDifficulty(Difficulties.find(x => x.name === "insane"));
+    assert.strictEqual(game.hasAction("SHAKE"), false);
+    t.mock.method(Actions.SHAKE, "isAvailable", () => true);
+    assert.strictEqual(game.hasAction("SHAKE"), true);
+    game.start("seed");
+    while (game.expectedAction.Name !== "SHAKE") {
+        performExpectedAction(game);
+    }
+    const score = game.player.score;
+    game.onShake();
+    assert.strictEqual(game.isEnded, false);
+    assert.strictEqual(game.player.score, score + 1);
+});
+
+test("the game ends when the time for the action runs out", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    now = game.actionDeadline - 1;
+    game.tick();
+    assert.strictEqual(game.isEnded, false);
+    now = game.actionDeadline;
+    game.tick();
+    assert.strictEqual(game.isEnded, true);
+    assert.strictEqual(game.results.cause, "cause.slow");
+});
+
+test("the time doesn't run out while the clock is paused", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    game.isPaused = true;
+    game.clock.pause();
+    now = game.actionDeadline * 2;
+    game.tick();
+    assert.strictEqual(game.isEnded, false);
+    assert.strictEqual(game.getTimeLeft(), 1);
+});
+
+test("ticks get faster as the time runs out", () => {
+    const game = new GameCore(options);
+    const ticks = [];
+    game.playSound = name => {
+        if (name === "TICK") {
+            ticks.push(now);
+        }
+    };
+    game.start("seed");
+    for (now = 0; now < game.actionDeadline; now += 10) {
+        game.tick();
+    }
+    const intervals = ticks.slice(1).map((x, i) => x - ticks[i]);
+    assert.ok(intervals.length > 2);
+    assert.ok(intervals[intervals.length - 1] < intervals[0]);
+});
+
+test("waiting out a decoy scores and performing it ends the game", () => {
+    // The random numbers always pick the first action and make it a decoy.
+    options.createRandom = () => ({ next: () => 0 });
+    const game = new GameCore(options);
+    game.decoyMode = DecoyModes.find(x => x.name === "simon-says");
+    game.start("seed");
+    assert.strictEqual(game.expectedAction.IsDecoy, true);
+    now = game.actionDeadline;
+    game.tick();
+    assert.strictEqual(game.isEnded, false);
+    assert.strictEqual(game.player.score, 1);
+    game.handleAction(game.expectedAction.Name);
+    assert.strictEqual(game.isEnded, true);
+    assert.match(game.results.cause, /^cause\.decoy /);
+});
+
+test("end saves a new best score for the difficulty", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    performExpectedAction(game);
+    performExpectedAction(game);
+    game.end();
+    assert.strictEqual(game.results.isNewBest, true);
+    assert.strictEqual(game.results.bestScore, 2);
+    assert.strictEqual(options.profile.getBestScore(game.difficulty.getBestScoreKey()), 2);
+
+    // A lower score keeps the best.
+    game.start("seed");
+    performExpectedAction(game);
+    game.end();
+    assert.strictEqual(game.results.isNewBest, false);
+    assert.strictEqual(game.results.bestScore, 2);
+    assert.strictEqual(game.getBestScore(), 2);
+});
+
+test("a daily best is only set by a game seeded with the date, on the day it started", (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2024-03-01T23:59:59Z") });
+    const game = new GameCore(options);
+    game.setDifficulty(Difficulties.find(x => x.isDaily));
+
+    // A chosen seed, such as one from a link, can't set the day's best.
+    game.start("rehearsed");
+    performExpectedAction(game);
+    game.end();
+    assert.strictEqual(game.results.isNewBest, false);
+    assert.strictEqual(game.getBestScore(), 0);
+
+    // A game that goes past midnight counts for the day it started.
+    game.start();
+    assert.strictEqual(game.seed, "daily-2024-03-01");
+    performExpectedAction(game);
+    t.mock.timers.tick(2000);
+    game.end();
+    assert.strictEqual(game.results.isNewBest, true);
+    assert.strictEqual(options.profile.getBestScore("daily-2024-03-01"), 1);
+    assert.strictEqual(game.getBestScore(), 0);
+});
+
+test("end doesn't save the best score or statistics of a replay", () => {
+    const game = new GameCore(options);
+    game.isReplaying = () => true;
+    game.start("seed");
+    performExpectedAction(game);
+    game.end();
+    assert.strictEqual(game.results.isNewBest, false);
+    assert.strictEqual(game.results.isReplay, true);
+    assert.strictEqual(game.getBestScore(), 0);
+    assert.strictEqual(options.profile.getRecentRuns(1).length, 0);
+});
+
+test("end records the run in the profile", () => {
+    const game = new GameCore(options);
+    game.start("seed");
+    performExpectedAction(game);
+    now = 1000;
+    game.end();
+    const runs = options.profile.getRecentRuns(1);
+    assert.strictEqual(runs.length, 1);
+    assert.strictEqual(runs[0].score, 1);
+    assert.strictEqual(runs[0].difficulty, game.difficulty.name);
+});
+
+test("a saved profile that has the wrong shape is kept aside and started over", () => {
+    ["{\"version\":1}", "{\"version\":1,\"bestScores\":null,\"runs\":{}}", "{\"version\":0.5}", "{\"version\":-1}", "[1]"].forEach(raw => {
+        window.localStorage = createLocalStorage();
+        const storage = new SafeStorage();
+        storage.setItem("profile", raw);
+        const profile = new PlayerProfile(storage);
+        assert.strictEqual(profile.getBestScore("normal"), 0);
+        assert.deepStrictEqual(profile.getRecentRuns(5), []);
+        assert.strictEqual(profile.getTotals().games, 0);
+        profile.recordAction("TAP", true, 100);
+        assert.strictEqual(storage.getItem("profile-corrupt"), raw);
+        assert.strictEqual(JSON.parse(storage.getItem("profile")).version, 1);
+    });
+});
+
+test("in hot-seat each player gets a turn and the best is kept across them", () => {
+    const game = new GameCore(options);
+    game.playMode = PlayMode.HOT_SEAT;
+    game.start("seed");
+    performExpectedAction(game);
+    game.end();
+    assert.strictEqual(game.getNextPlayer(), game.players[1]);
+    game.startNextTurn();
+    assert.strictEqual(game.player, game.players[1]);
+    game.end();
+    assert.strictEqual(game.getNextPlayer(), null);
+    assert.strictEqual(game.results.players.length, 2);
+    assert.strictEqual(game.results.bestScore, 1);
+});
+
+test("instructions are only shown when speaking fails", () => {
+    const game = new GameCore(options);
+    assert.strictEqual(game.getInstructionMode(), InstructionMode.BOTH);
+    game.start("seed");
+    spoken[0].onFailed();
+    assert.strictEqual(game.isSpeechFailed, true);
+    assert.strictEqual(game.getInstructionMode(), InstructionMode.VISUAL);
+    performExpectedAction(game);
+    assert.strictEqual(spoken.length, 1);
+});
+
+test("instructions are only shown without speech", () => {
+    delete options.speech;
+    const game = new GameCore(options);
+    game.start("seed");
+    assert.strictEqual(game.getInstructionMode(), InstructionMode.VISUAL);
+    assert.strictEqual(spoken.length, 0);
+});
+
+test("the choices of the user are saved and loaded", () => {
+    const game = new GameCore(options);
+    game.setDifficulty(Difficulties.find(x => x.name === "hard"));
+    game.setInstructionMode(InstructionMode.AUDIO);
+    const loaded = new GameCore(options);
+    assert.strictEqual(loaded.difficulty.name, "hard");
+    assert.strictEqual(loaded.instructionMode, InstructionMode.AUDIO);
+});
+
+test("draw gives the prompt, time left and score to the renderer", () => {
+    const game = new GameCore(options);
+    game.draw();
+    assert.deepStrictEqual(drawn, []);
+    game.start("seed");
+    now = (game.actionDeadline - game.actionStartTime) / 2;
+    game.draw();
+    assert.deepStrictEqual(drawn, [["prompt", game.expectedAction.Text], ["time", .5], ["score", 0]]);
+
+    // The prompt isn't shown when instructions are only spoken.
+    drawn = [];
+    game.instructionMode = InstructionMode.AUDIO;
+    game.draw();
+    assert.deepStrictEqual(drawn.map(x => x[0]), ["time", "score"]);
+});
@@ -0,0 +1,266 @@
+// Tests for the gestures the Tap It!, Turn It! and Slide It! components recognize, run with `node --test test/`.
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert");
+
+/**
+ * Creates a 2D context that only keeps the bounds of the last path, which is enough for the components to hit test with isPointInPath.
+ * @returns {CanvasRenderingContext2D} The context.
+ */
+const createContext = () => {
+    let bounds = null;
+    const extend = (x, y) => {
+        bounds = bounds || [Infinity, Infinity, -Infinity, -Infinity];
+        bounds = [Math.min(bounds[0], x), Math.min(bounds[1], y), Math.max(bounds[2], x), Math.max(bounds[3], y)];
+    };
+    return new Proxy({
+        beginPath: () => { bounds = null; },
+        arc: (x, y, radius) => { extend(x - radius, y - radius); extend(x + radius, y + radius); },
+        rect: (x, y, width, height) => { extend(x, y); extend(x + width, y + height); },
+        moveTo: extend,
+        lineTo: extend,
+        quadraticCurveTo: (cx, cy, x, y) => { extend(cx, cy); extend(x, y); },
+        isPointInPath: (x, y) => !!bounds && x >= bounds[0] && x <= bounds[2] && y >= bounds[1] && y <= bounds[3],
+    }, {
+        // Everything else the components draw with does nothing.
+        get: (target, key) => (key in target ? target[key] : () => {}),
+    });
+};
+
+// The scripts are written for the browser, where they share their globals, so the ones they use are set up first.
+global.translate = (key) => key;
+global.localizer = { locale: "en" };
+Object.assign(global, require("../public/animation.js"));
+Object.assign(global, require("../public/layout.js"));
+Object.assign(global, require("../public/game-core.js"));
+Object.assign(global, require("../public/tutorial.js"));
+Object.assign(global, require("../public/pointer-input.js"));
+Object.assign(global, require("../public/accessibility.js"));
+Object.assign(global, require("../public/click-it.js"));
+global.context = createContext();
+// The game area fits the components side by side, 10 pixels to each unit.
+global.gameArea = { top: 0, left: 0, width: (ComponentSize * 3 + ComponentMargin * 4) * 10, height: (ComponentSize + ComponentMargin * 2) * 10, scale: 10 };
+
+/**
+ * Gets the box of a cell of the game area, like the one the layout of the game screen gives a component.
+ * @param {number} index The position of the cell.
+ * @returns {LayoutBox} The box.
+ */
+const getCell = (index) => new LayoutBox((ComponentMargin + (index * (ComponentSize + ComponentMargin))) * 10, ComponentMargin * 10, ComponentSize * 10, ComponentSize * 10, 10);
+
+let now = 0;
+let gestures = [];
+let misses = [];
+
+beforeEach(() => {
+    now = 0;
+    gestures = [];
+    misses = [];
+    mock.method(performance, "now", () => now);
+    global.animator = new Animator();
+    global.game = {
+        clock: new GameClock(() => now),
+        colorTheme: ColorThemes[0],
+        difficulty: Difficulties.find(x => x.name === "normal"),
+        hasAction: function (name) {
+            return this.difficulty.hasAction(name);
+        },
+        handleGesture: (component, recognizer, direction) => gestures.push(direction ? `${component} ${recognizer} ${direction}` : `${component} ${recognizer}`),
+        handleMiss: (miss, progress) => misses.push(progress === undefined ? miss : `${miss} ${Math.round(progress * 100)}`),
+    };
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+/**
+ * Called to turn a pointer around the center of a Turn It! circle.
+ * @param {TurnIt} component The component.
+ * @param {number} angle The angle (in radians) to turn, which is clockwise when positive.
+ * @param {boolean} [isReleased] Indicates if the pointer is let go at the end.
+ */
+const turn = (component, angle, isReleased) => {
+    const radius = component.radius * .8;
+    const steps = 16;
+    component.onMouseDown(component.x + radius, component.y, 1);
+    for (let i = 1; i <= steps; i++) {
+        const stepAngle = angle * i / steps;
+        now += 10;
+        component.onMouseMove(component.x + (Math.cos(stepAngle) * radius), component.y + (Math.sin(stepAngle) * radius), 1);
+    }
+    if (isReleased) {
+        component.onMouseUp(component.x + (Math.cos(angle) * radius), component.y + (Math.sin(angle) * radius), 1);
+    }
+};
+
+/**
+ * Called to drag the Slide It! knob along the bar and let it go.
+ * @param {SlideIt} component The component.
+ * @param {number} travel The distance to drag as a fraction of how far the knob can move, which is towards the end of the bar when positive.
+ */
+const slide = (component, travel) => {
+    const center = component.getKnobCenter();
+    const distance = component.knobTravel * travel;
+    component.onMouseDown(center.x, center.y, 1);
+    now += 100;
+    component.onMouseMove(center.x + (distance / 2), center.y, 1);
+    now += 100;
+    component.onMouseMove(center.x + distance, center.y, 1);
+    component.onMouseUp(center.x + distance, center.y, 1);
+};
+
+/**
+ * Called to tap the middle of the Tap It! circle.
+ * @param {TapIt} component The component.
+ */
+const tap = (component) => {
+    component.onMouseDown(component.x, component.y, 1);
+    now += 50;
+    component.onMouseUp(component.x, component.y, 1);
+};
+
+test("a turn is recognized once it sweeps half a circle", () => {
+    const component = new TurnIt();
+    component.update(getCell(1));
+    turn(component, TurnRequiredAngle * .9);
+    assert.deepStrictEqual(gestures, []);
+    const angle = TurnRequiredAngle * 1.05;
+    component.onMouseMove(component.x + (Math.cos(angle) * component.radius * .8), component.y + (Math.sin(angle) * component.radius * .8), 1);
+    assert.deepStrictEqual(gestures, ["TurnIt turn"]);
+
+    // Turning further in the same press isn't another turn.
+    component.onMouseMove(component.x, component.y - (component.radius * .8), 1);
+    component.onMouseUp(component.x, component.y - (component.radius * .8), 1);
+    assert.deepStrictEqual(gestures, ["TurnIt turn"]);
+});
+
+test("a turn is recognized in either direction", () => {
+    const component = new TurnIt();
+    component.update(getCell(1));
+    turn(component, -TurnRequiredAngle * 1.1, true);
+    assert.deepStrictEqual(gestures, ["TurnIt turn"]);
+});
+
+test("a turn that is let go too soon isn't recognized", () => {
+    const component = new TurnIt();
+    component.update(getCell(1));
+    turn(component, TurnRequiredAngle * .9, true);
+    turn(component, TurnRequiredAngle * .9, true);
+    assert.deepStrictEqual(gestures, []);
+    assert.deepStrictEqual(misses, ["turn-short 90", "turn-short 90"]);
+});
+
+test("a drag that doesn't go around Turn It! is a miss", () => {
+    const component = new TurnIt();
+    component.update(getCell(1));
+    component.onMouseDown(component.x + (component.radius * .3), component.y, 1);
+    now += 100;
+    component.onMouseMove(component.x + (component.radius * .9), component.y, 1);
+    component.onMouseUp(component.x + (component.radius * .9), component.y, 1);
+    // A tap isn't a turn that was started.
+    tap(component);
+    assert.deepStrictEqual(gestures, []);
+    assert.deepStrictEqual(misses, ["turn-around"]);
+});
+
+test("a slide is recognized when the knob is let go near either end", () => {
+    const component = new SlideIt();
+    component.update(getCell(2));
+    slide(component, SlideRequiredTravel + .05);
+    slide(component, -1.5);
+    assert.deepStrictEqual(gestures, ["SlideIt slide RIGHT", "SlideIt slide LEFT"]);
+    assert.strictEqual(component.knobOffset, 0);
+});
+
+test("a slide that doesn't travel far enough isn't recognized", () => {
+    const component = new SlideIt();
+    component.update(getCell(2));
+    slide(component, SlideRequiredTravel - .05);
+    slide(component, -(SlideRequiredTravel - .05));
+    assert.deepStrictEqual(gestures, []);
+    assert.deepStrictEqual(misses, ["slide-short 94", "slide-short 94"]);
+});
+
+test("a tap is recognized straight away when double taps can't be given", () => {
+    const component = new TapIt();
+    component.update(getCell(0));
+    tap(component);
+    assert.deepStrictEqual(gestures, ["TapIt tap"]);
+});
+
+test("a tap waits for a second tap when double taps can be given", () => {
+    game.difficulty = Difficulties.find(x => x.name === "hard");
+    const component = new TapIt();
+    component.update(getCell(0));
+    tap(component);
+    now += DoubleTapInterval - 100;
+    component.tick();
+    tap(component);
+    assert.deepStrictEqual(gestures, ["TapIt double-tap"]);
+    tap(component);
+    now += DoubleTapInterval + 1;
+    component.tick();
+    assert.deepStrictEqual(gestures, ["TapIt double-tap", "TapIt tap"]);
+});
+
+test("a hold is recognized once the press stays in place long enough", () => {
+    game.difficulty = Difficulties.find(x => x.name === "hard");
+    const component = new TapIt();
+    component.update(getCell(0));
+    component.onMouseDown(component.x, component.y, 1);
+    now += HoldDuration - 1;
+    component.tick();
+    assert.deepStrictEqual(gestures, []);
+    now += 1;
+    component.tick();
+    component.onMouseUp(component.x, component.y, 1);
+    assert.deepStrictEqual(gestures, ["TapIt hold"]);
+});
+
+test("Tap It! shrinks while it is pressed and grows back when let go", () => {
+    const component = new TapIt();
+    component.update(getCell(0));
+    // The circle can be pressed and let go near its edge, even though it is drawn smaller.
+    const x = component.x + (component.radius * .99);
+    component.onMouseDown(x, component.y, 1);
+    now += PressDuration;
+    animator.tick();
+    assert.strictEqual(component.scale, component.pressedScale);
+    assert.ok(component.scale < 1);
+    component.onMouseUp(x, component.y, 1);
+    assert.deepStrictEqual(gestures, ["TapIt tap"]);
+    now += PressDuration;
+    animator.tick();
+    assert.strictEqual(component.scale, 1);
+});
+
+test("a flick is recognized when a short drag is fast enough", () => {
+    game.difficulty = Difficulties.find(x => x.name === "insane");
+    const component = new TapIt();
+    component.update(getCell(0));
+    const distance = component.size * (FlickMinDistance + .05);
+    component.onMouseDown(component.x, component.y, 1);
+    now += FlickMaxDuration;
+    component.onMouseUp(component.x + distance, component.y, 1);
+    component.onMouseDown(component.x, component.y, 1);
+    now += FlickMaxDuration + 1;
+    component.onMouseUp(component.x + distance, component.y, 1);
+    assert.deepStrictEqual(gestures, ["TapIt flick"]);
+    assert.deepStrictEqual(misses, ["flick-slow"]);
+
+    // A fast drag that is too short to be a flick says how far it went.
+    component.onMouseDown(component.x, component.y, 1);
+    now += 50;
+    component.onMouseUp(component.x + (component.size * FlickMinDistance / 2), component.y, 1);
+    assert.deepStrictEqual(misses, ["flick-slow", "flick-short 50"]);
+});
+
+test("a flick is ignored when flicks can't be given", () => {
+    const component = new TapIt();
+    component.update(getCell(0));
+    component.onMouseDown(component.x, component.y, 1);
+    now += 50;
+    component.onMouseUp(component.x + (component.size * (FlickMinDistance + .05)), component.y, 1);
+    assert.deepStrictEqual(gestures, []);
+    assert.deepStrictEqual(misses, []);
+});
@@ -0,0 +1,160 @@
+// Tests for the layouts in layout.js, run with `node --test test/`.
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// The layouts measure in the units of the components, which are defined with them.
+global.ComponentMargin = 7;
+global.ComponentSize = 24;
+const { LayoutArrangements, LayoutAlign, LayoutBox, FlexLayout, GridLayout, StackLayout, ScreenLayout } = require("../public/layout.js");
+
+/**
+ * Creates a component that only keeps the box it is given.
+ * @param {string} [componentName] The name that arrangements call it by.
+ * @returns {{componentName: string, box: LayoutBox, update: function(LayoutBox): void}} The component.
+ */
+const createComponent = (componentName) => ({
+    componentName: componentName || null,
+    box: null,
+    update: function (box) {
+        this.box = box;
+    },
+});
+
+/**
+ * Creates a storage that keeps its values in memory.
+ * @returns {{getItem: function(string): string, setItem: function(string, string): void}} The storage.
+ */
+const createStorage = () => {
+    const values = new Map();
+    return {
+        getItem: key => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => values.set(key, String(value)),
+    };
+};
+
+/**
+ * Gets where each component was placed, rounded to avoid floating point noise.
+ * @param {Array} components The components.
+ * @returns {number[][]} The left, top, width and height of each.
+ */
+const getRects = (components) => components.map(x => [x.box.x, x.box.y, x.box.width, x.box.height].map(Math.round));
+
+// The content of a landscape screen at a scale of 1, which fits three cells side by side.
+const landscape = new LayoutBox(7, 7, 86, 24, 1);
+const context = { isLeftHanded: false, arrangements: null };
+
+test("a flex layout places the items in cells along the long side", () => {
+    const components = [createComponent(), createComponent(), createComponent()];
+    new FlexLayout(components).arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components), [[7, 7, 24, 24], [38, 7, 24, 24], [69, 7, 24, 24]]);
+
+    new FlexLayout(components).arrange(new LayoutBox(7, 7, 24, 86, 1), context);
+    assert.deepStrictEqual(getRects(components), [[7, 7, 24, 24], [7, 38, 24, 24], [7, 69, 24, 24]]);
+});
+
+test("an item can span cells and the space between them", () => {
+    const chart = createComponent();
+    const panel = createComponent();
+    new FlexLayout([{ content: chart, span: 2 }, panel]).arrange(landscape, context);
+    assert.deepStrictEqual(getRects([chart, panel]), [[7, 7, 55, 24], [69, 7, 24, 24]]);
+});
+
+test("fewer items are justified and aligned in the space left over", () => {
+    const components = [createComponent(), createComponent()];
+    new FlexLayout(components).arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components), [[23, 7, 24, 24], [54, 7, 24, 24]]);
+
+    new FlexLayout(components, { justify: LayoutAlign.START, align: LayoutAlign.END }).arrange(new LayoutBox(0, 0, 100, 40, 1), context);
+    assert.deepStrictEqual(getRects(components), [[0, 16, 24, 24], [31, 16, 24, 24]]);
+
+    new FlexLayout(components, { justify: LayoutAlign.SPACE_BETWEEN }).arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components), [[7, 7, 24, 24], [69, 7, 24, 24]]);
+});
+
+test("the cells shrink when the items don't fit", () => {
+    const components = [createComponent(), createComponent(), createComponent(), createComponent()];
+    new FlexLayout(components, { spacing: 2 }).arrange(new LayoutBox(0, 0, 46, 24, 1), context);
+    assert.deepStrictEqual(getRects(components), [[0, 0, 10, 24], [12, 0, 10, 24], [24, 0, 10, 24], [36, 0, 10, 24]]);
+});
+
+test("a grid layout fills each row before the next", () => {
+    const components = [createComponent(), createComponent(), createComponent(), createComponent()];
+    new GridLayout(components, { rowSpacing: 0 }).arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components), [[7, 7, 24, 12], [38, 7, 24, 12], [69, 7, 24, 12], [7, 19, 24, 12]]);
+
+    new GridLayout(components).arrange(new LayoutBox(7, 7, 24, 86, 1), context);
+    assert.deepStrictEqual(getRects(components).map(x => x[1]), [7, 30, 54, 77]);
+});
+
+test("a screen layout divides its area into the content, bands and corners", () => {
+    const slots = { content: createComponent(), top: createComponent(), bottom: createComponent(), topLeft: createComponent(), topRight: createComponent() };
+    const layout = new ScreenLayout(slots);
+    layout.arrange(new LayoutBox(0, 0, 100, 38, 1), context);
+    assert.deepStrictEqual(getRects(Object.values(slots)), [[7, 7, 86, 24], [0, 0, 100, 7], [0, 31, 100, 7], [0, 0, 7, 7], [93, 0, 7, 7]]);
+    assert.deepStrictEqual(layout.getComponents(), Object.values(slots));
+
+    // A layout that belongs to a player is placed in the player's area instead.
+    const player = { area: { left: 100, top: 0, width: 100, height: 38, scale: 1 } };
+    new ScreenLayout({ content: slots.content }, player).arrange(new LayoutBox(0, 0, 100, 38, 1), context);
+    assert.deepStrictEqual(getRects([slots.content]), [[107, 7, 86, 24]]);
+});
+
+test("a stack layout gives every item the same box", () => {
+    const components = [createComponent(), createComponent()];
+    new StackLayout(components).arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components), [[7, 7, 86, 24], [7, 7, 86, 24]]);
+});
+
+test("mirrored layouts are placed the other way around when left-handed", () => {
+    const components = [createComponent("TapIt"), createComponent("TurnIt"), createComponent("SlideIt")];
+    const layout = new FlexLayout(components, { isMirrored: true });
+    layout.arrange(landscape, { isLeftHanded: true, arrangements: null });
+    assert.deepStrictEqual(getRects(components).map(x => x[0]), [69, 38, 7]);
+
+    // A reversed layout that is mirrored as well ends up the usual way around.
+    const reversed = new FlexLayout(components, { isMirrored: true, isReversed: true });
+    reversed.arrange(landscape, { isLeftHanded: true, arrangements: null });
+    assert.deepStrictEqual(getRects(components).map(x => x[0]), [7, 38, 69]);
+    reversed.arrange(landscape, context);
+    assert.deepStrictEqual(getRects(components).map(x => x[0]), [69, 38, 7]);
+});
+
+test("a custom arrangement is saved and applied to every layout with its id", () => {
+    const storage = createStorage();
+    const arrangements = new LayoutArrangements(storage);
+    const layout = new FlexLayout([createComponent("TapIt"), createComponent("TurnIt"), createComponent("SlideIt")], { id: "play" });
+    arrangements.swap("play", ["TapIt", "TurnIt", "SlideIt"], "TapIt", "SlideIt");
+
+    const components = [createComponent("TapIt"), createComponent("TurnIt"), createComponent("SlideIt")];
+    const other = new FlexLayout(components, { id: "play" });
+    other.arrange(landscape, { isLeftHanded: false, arrangements: new LayoutArrangements(storage) });
+    assert.deepStrictEqual(getRects(components).map(x => x[0]), [69, 38, 7]);
+    assert.deepStrictEqual(layout.getArrangedItems(arrangements).map(x => layout.getKey(x)), ["SlideIt", "TurnIt", "TapIt"]);
+
+    arrangements.reset("play");
+    assert.strictEqual(new LayoutArrangements(storage).get("play"), null);
+});
+
+test("an arrangement can be used for now without saving it", () => {
+    const storage = createStorage();
+    const arrangements = new LayoutArrangements(storage);
+    const layout = new FlexLayout([createComponent("TapIt"), createComponent("TurnIt"), createComponent("SlideIt")], { id: "play" });
+    arrangements.set("play", ["TurnIt", "SlideIt", "TapIt"]);
+    assert.deepStrictEqual(layout.getArrangedItems(arrangements).map(x => layout.getKey(x)), ["TurnIt", "SlideIt", "TapIt"]);
+    assert.strictEqual(new LayoutArrangements(storage).get("play"), null);
+    arrangements.set("play", null);
+    assert.strictEqual(arrangements.get("play"), null);
+});
+
+test("items that an arrangement doesn't mention keep their order after it", () => {
+    const storage = createStorage();
+    storage.setItem("layouts", JSON.stringify({ play: ["SlideIt", "TapIt"] }));
+    const layout = new FlexLayout([createComponent("TapIt"), createComponent("TurnIt"), createComponent("SlideIt")], { id: "play" });
+    assert.deepStrictEqual(layout.getArrangedItems(new LayoutArrangements(storage)).map(x => layout.getKey(x)), ["SlideIt", "TapIt", "TurnIt"]);
+});
+
+test("arrangements that can't be read are ignored", () => {
+    const storage = createStorage();
+    storage.setItem("layouts", "{");
+    assert.strictEqual(new LayoutArrangements(storage).get("play"), null);
+});
@@ -0,0 +1,188 @@
+// Tests for playing offline: the service worker, the updater and the wake lock, run with `node --test test/`.
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+const { EventEmitter } = require("node:events");
+
+const publicPath = path.join(__dirname, "..", "public");
+
+// The service worker registers its listeners on the worker's global scope when it loads.
+const workerListeners = {};
+global.self = { location: { origin: "https://example.com" }, addEventListener: (type, listener) => { workerListeners[type] = listener; } };
+const { PrecachedFiles, PageCacheKey, SkipWaitingMessage: WorkerSkipWaitingMessage } = require("../public/service-worker.js");
+const { AppUpdater, SkipWaitingMessage } = require("../public/updates.js");
+const { ScreenWakeLock } = require("../public/wake-lock.js");
+
+/**
+ * Creates an object that takes event listeners like the browser's.
+ * @param {Object} [fields] The fields of the object.
+ * @returns {Object} The object, with a dispatch function to fire its events.
+ */
+const createTarget = (fields) => {
+    const events = new EventEmitter();
+    return Object.assign({
+        addEventListener: (type, listener) => events.on(type, listener),
+        dispatch: (type) => events.emit(type),
+    }, fields);
+};
+
+/**
+ * Creates a worker that is being installed.
+ * @returns {Object} The worker, which keeps the messages posted to it.
+ */
+const createWorker = () => {
+    const worker = createTarget({ state: "installing", messages: [] });
+    worker.postMessage = message => worker.messages.push(message);
+    worker.install = () => {
+        worker.state = "installed";
+        worker.dispatch("statechange");
+    };
+    return worker;
+};
+
+test("the service worker caches the page and every script it loads", () => {
+    const page = fs.readFileSync(path.join(publicPath, "index.html"), "utf8");
+    const scripts = [...page.matchAll(/<script [^>]*src="([^"]+)"/g)].map(x => x[1]);
+    assert.ok(scripts.length > 0);
+    scripts.forEach(x => assert.ok(PrecachedFiles.includes(x), `${x} is not cached`));
+    PrecachedFiles.filter(x => x !== PageCacheKey).forEach(x => assert.ok(fs.existsSync(path.join(publicPath, x)), `${x} doesn't exist`));
+    assert.strictEqual(WorkerSkipWaitingMessage, SkipWaitingMessage);
+});
+
+test("pages are answered with the page cached by its clean URL", async () => {
+    const matched = [];
+    global.caches = { match: key => matched.push(key) && Promise.resolve({ status: 200 }) };
+    let response = null;
+    workerListeners.fetch({
+        request: { method: "GET", mode: "navigate", url: "https://example.com/?seed=abc" },
+        respondWith: x => { response = x; },
+    });
+    assert.deepStrictEqual(await response, { status: 200 });
+    assert.deepStrictEqual(matched, ["./"]);
+    // The server redirects index.html to the clean URL, so caching it would answer navigations with a redirect.
+    assert.ok(!PrecachedFiles.includes("index.html"));
+});
+
+test("the manifest's icons exist and are cached", () => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(publicPath, "manifest.webmanifest"), "utf8"));
+    assert.ok(manifest.icons.some(x => x.purpose === "maskable"));
+    manifest.icons.forEach(x => {
+        assert.ok(fs.existsSync(path.join(publicPath, x.src)), `${x.src} doesn't exist`);
+        assert.ok(PrecachedFiles.includes(x.src), `${x.src} is not cached`);
+    });
+});
+
+test("the first install only makes the game work offline", async () => {
+    const worker = createWorker();
+    const registration = createTarget({ installing: worker, waiting: null });
+    const container = createTarget({ controller: null, register: () => Promise.resolve(registration) });
+    let updates = 0;
+    const updater = new AppUpdater(container, () => updates++);
+    await updater.register("service-worker.js");
+    worker.install();
+    assert.strictEqual(updates, 0);
+    assert.strictEqual(updater.isUpdateAvailable(), false);
+});
+
+test("a new version is offered and the page reloads once the user accepts it", async () => {
+    const registration = createTarget({ installing: null, waiting: null });
+    const container = createTarget({ controller: {}, register: () => Promise.resolve(registration) });
+    let updates = 0;
+    let reloads = 0;
+    const updater = new AppUpdater(container, () => updates++);
+    updater.reload = () => reloads++;
+    await updater.register("service-worker.js");
+
+    const worker = createWorker();
+    registration.installing = worker;
+    registration.dispatch("updatefound");
+    worker.install();
+    assert.strictEqual(updates, 1);
+    assert.strictEqual(updater.isUpdateAvailable(), true);
+
+    // Another tab can update the worker too, which doesn't reload a game that is being played.
+    container.dispatch("controllerchange");
+    assert.strictEqual(reloads, 0);
+
+    updater.applyUpdate();
+    assert.deepStrictEqual(worker.messages, [{ type: SkipWaitingMessage }]);
+    assert.strictEqual(updater.isUpdateAvailable(), false);
+    container.dispatch("controllerchange");
+    assert.strictEqual(reloads, 1);
+});
+
+test("a version that was already waiting is offered when the page loads", async () => {
+    const worker = createWorker();
+    worker.state = "installed";
+    const registration = createTarget({ installing: null, waiting: worker });
+    const container = createTarget({ controller: {}, register: () => Promise.resolve(registration) });
+    const updater = new AppUpdater(container, () => {});
+    await updater.register("service-worker.js");
+    assert.strictEqual(updater.isUpdateAvailable(), true);
+});
+
+test("nothing happens when service workers aren't supported", async () => {
+    const updater = new AppUpdater(undefined, () => assert.fail("No update can be offered"));
+    await updater.register("service-worker.js");
+    updater.checkForUpdate();
+    updater.applyUpdate();
+    assert.strictEqual(updater.isUpdateAvailable(), false);
+});
+
+/**
+ * Creates a wake lock API that grants every request.
+ * @returns {Object} The API, which keeps the sentinels it granted.
+ */
+const createWakeLock = () => {
+    const wakeLock = { sentinels: [] };
+    wakeLock.request = () => {
+        const sentinel = createTarget({ released: false });
+        sentinel.release = () => {
+            sentinel.released = true;
+            sentinel.dispatch("release");
+            return Promise.resolve();
+        };
+        wakeLock.sentinels.push(sentinel);
+        return Promise.resolve(sentinel);
+    };
+    return wakeLock;
+};
+
+test("the screen is kept on until the lock is released", async () => {
+    const wakeLock = createWakeLock();
+    const lock = new ScreenWakeLock(wakeLock);
+    await lock.request();
+    await lock.request();
+    assert.strictEqual(wakeLock.sentinels.length, 1);
+    lock.release();
+    assert.strictEqual(wakeLock.sentinels[0].released, true);
+
+    // The browser releases the lock when the page is hidden, so it is requested again.
+    await lock.request();
+    wakeLock.sentinels[1].release();
+    await lock.request();
+    assert.strictEqual(wakeLock.sentinels.length, 3);
+});
+
+test("a lock that is granted after it was released is let go", async () => {
+    const wakeLock = createWakeLock();
+    const lock = new ScreenWakeLock(wakeLock);
+    const request = lock.request();
+    lock.release();
+    await request;
+    assert.strictEqual(wakeLock.sentinels[0].released, true);
+    assert.strictEqual(lock.sentinel, null);
+});
+
+test("a lock that is refused or not supported lets the screen sleep as usual", async () => {
+    const refused = new ScreenWakeLock({ request: () => Promise.reject(new Error("The battery is low")) });
+    await refused.request();
+    assert.strictEqual(refused.sentinel, null);
+    assert.strictEqual(refused.isRequesting, false);
+
+    const unsupported = new ScreenWakeLock(undefined);
+    assert.strictEqual(unsupported.isSupported(), false);
+    await unsupported.request();
+    unsupported.release();
+});
@@ -0,0 +1,69 @@
+// Tests for saving, loading and importing replays in replay.js, run with `node --test test/`.
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// The scripts are written for the browser, where they share their globals, so the ones they use are set up first.
+global.translate = (key) => key;
+global.localizer = { locale: "en" };
+Object.assign(global, require("../public/game-core.js"));
+const { ReplayVersion, getBestReplayKey, ReplayRecorder } = require("../public/replay.js");
+
+/**
+ * Creates a game that only keeps what the recorder tells it.
+ * @returns {Object} The game, which keeps the seeds it was started with and the messages it announced.
+ */
+const createGame = () => ({
+    difficulty: Difficulties[0],
+    decoyMode: DecoyModes[0],
+    playMode: PlayMode.SOLO,
+    isLeftHanded: false,
+    arrangements: { get: () => null, set: () => {} },
+    layoutEditor: { id: "play" },
+    seeds: [],
+    announced: [],
+    start: function (seed) { this.seeds.push(seed); },
+    flash: () => {},
+    announce: function (message) { this.announced.push(message); },
+});
+
+test("a downloaded replay can be imported and played back", async () => {
+    const game = createGame();
+    const recorder = new ReplayRecorder(game);
+    const replay = { version: ReplayVersion, seed: "shared", difficulty: "insane", decoyMode: DecoyModes[0].name, events: [] };
+    assert.strictEqual(await recorder.playFile({ text: () => Promise.resolve(JSON.stringify(replay)) }), true);
+    assert.deepStrictEqual(game.seeds, ["shared"]);
+    assert.strictEqual(game.difficulty.name, "insane");
+    assert.deepStrictEqual(game.announced, []);
+});
+
+test("a file that isn't a replay this version can play is refused", async () => {
+    const game = createGame();
+    const recorder = new ReplayRecorder(game);
+    const files = ["{", JSON.stringify({ version: ReplayVersion + 1, difficulty: "normal", events: [] }), JSON.stringify({ version: ReplayVersion, difficulty: "unknown", events: [] })];
+    for (const json of files) {
+        assert.strictEqual(await recorder.playFile({ text: () => Promise.resolve(json) }), false);
+    }
+    assert.deepStrictEqual(game.seeds, []);
+    assert.deepStrictEqual(game.announced, files.map(() => "announce.badReplay"));
+    assert.strictEqual(getBestReplayKey("hard"), "replay-best-hard");
+});
+
+test("a replay whose seed, arrangement or events can't be played back is refused", async () => {
+    const game = createGame();
+    const recorder = new ReplayRecorder(game);
+    const replay = { version: ReplayVersion, seed: "a", difficulty: "normal", events: [[0, 10, "d", .5, .5, 1], [0, 20, "k", "TAP"]] };
+    const files = [
+        { ...replay, events: [5] },
+        { ...replay, events: [[0, 10, "x"]] },
+        { ...replay, events: [["0", 10, "s"]] },
+        { ...replay, events: [[0, 10, "d", null, .5]] },
+        { ...replay, seed: 5 },
+        { ...replay, arrangement: [1, 2] },
+    ].map(x => JSON.stringify(x));
+    for (const json of files) {
+        assert.strictEqual(await recorder.playFile({ text: () => Promise.resolve(json) }), false);
+    }
+    assert.deepStrictEqual(game.seeds, []);
+    assert.deepStrictEqual(game.announced, files.map(() => "announce.badReplay"));
+    assert.strictEqual(recorder.parse(JSON.stringify({ ...replay, arrangement: ["a", "b"] })).seed, "a");
+});
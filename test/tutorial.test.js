@@ -0,0 +1,47 @@
+// Tests for the lessons in tutorial.js, run with `node --test test/`.
+const { test } = require("node:test");
+const assert = require("node:assert");
+
+// The scripts are written for the browser, where they share their globals, so the ones they use are set up first.
+global.translate = (key, values) => (values ? `${key} ${JSON.stringify(values)}` : key);
+global.localizer = { locale: "en" };
+Object.assign(global, require("../public/game-core.js"));
+const { Tutorial, TutorialMode, GestureMiss } = require("../public/tutorial.js");
+
+test("the tutorial gives its actions in order and only moves on when the given one is performed", () => {
+    const tutorial = new Tutorial(TutorialMode.TUTORIAL, [Actions.TAP, Actions.SLIDE_LEFT]);
+    assert.strictEqual(tutorial.getAction(), Actions.TAP);
+    assert.strictEqual(tutorial.getCaption(), "hint.TAP");
+
+    assert.strictEqual(tutorial.handleAction("HOLD"), false);
+    assert.strictEqual(tutorial.step, 0);
+    assert.strictEqual(tutorial.getCaption(), "tutorial.wrong {\"performed\":\"performed.HOLD\"}");
+
+    assert.strictEqual(tutorial.handleAction("TAP"), true);
+    assert.strictEqual(tutorial.getAction(), Actions.SLIDE_LEFT);
+    assert.strictEqual(tutorial.getCaption(), "hint.SLIDE_LEFT");
+
+    // A slide the other way isn't the one that was given.
+    assert.strictEqual(tutorial.handleAction("SLIDE", SlideDirection.RIGHT), false);
+    assert.strictEqual(tutorial.handleAction("SLIDE", SlideDirection.LEFT), true);
+    assert.strictEqual(tutorial.isComplete(), true);
+    assert.strictEqual(tutorial.getCaption(), "tutorial.done");
+});
+
+test("a gesture that falls short says how much of it was made", () => {
+    const tutorial = new Tutorial(TutorialMode.TUTORIAL, [Actions.TURN]);
+    tutorial.handleMiss(GestureMiss.TURN_SHORT, .314);
+    assert.strictEqual(tutorial.getCaption(), "miss.turn-short {\"percent\":31}");
+    tutorial.handleMiss(GestureMiss.FLICK_SLOW);
+    assert.strictEqual(tutorial.getCaption(), "miss.flick-slow {\"percent\":0}");
+    assert.strictEqual(tutorial.step, 0);
+});
+
+test("practice accepts any action and says which one it was", () => {
+    const practice = new Tutorial(TutorialMode.PRACTICE);
+    assert.strictEqual(practice.getAction(), null);
+    assert.strictEqual(practice.getPrompt(), "tutorial.practice");
+    assert.strictEqual(practice.getCaption(), "tutorial.tryAny");
+    assert.strictEqual(practice.handleAction("SLIDE", SlideDirection.RIGHT), true);
+    assert.strictEqual(practice.getCaption(), "tutorial.performed {\"performed\":\"performed.SLIDE_RIGHT\"}");
+});